@@ -17,7 +17,39 @@ param(
     [string]$BackupType = 'CopyOnly',
     
     [Parameter(Mandatory=$false)]
-    [switch]$UseWindowsAuth
+    [switch]$UseWindowsAuth,
+
+    # SQL Authentication logins; without them the script asks for a username and password
+    [Parameter(Mandatory=$false)]
+    [pscredential]$SourceCredential,
+
+    [Parameter(Mandatory=$false)]
+    [pscredential]$TargetCredential,
+
+    # Locations on the source and target servers; without them the script asks,
+    # offering the instance defaults
+    [Parameter(Mandatory=$false)]
+    [string]$BackupPath,
+
+    [Parameter(Mandatory=$false)]
+    [string]$DataFilePath,
+
+    [Parameter(Mandatory=$false)]
+    [string]$LogFilePath,
+
+    # Keep the backup file after the restore instead of asking
+    [Parameter(Mandatory=$false)]
+    [switch]$KeepBackup,
+
+    # Never prompt: locations that are not given are the instance defaults and
+    # the backup file is removed unless -KeepBackup is set
+    [Parameter(Mandatory=$false)]
+    [switch]$NonInteractive,
+
+    # Synchronized hashtable with steps, log and fileMoves lists that the progress is
+    # reported to; the web server passes one to follow a refresh
+    [Parameter(Mandatory=$false)]
+    [hashtable]$Progress
 )
 
 # Function to write logs with color
@@ -34,6 +66,64 @@ function Write-Log {
         'Error'   { 'Red' }
     }
     Write-Host "[$timestamp] $Message" -ForegroundColor $color
+    if ($Progress) {
+        $null = $Progress.log.Add(@{ time = (Get-Date).ToString('o'); level = $Level; message = $Message })
+    }
+}
+
+# Function to report the state of a step of the refresh, and how far it got in percent
+function Set-RefreshStep {
+    param(
+        [string]$Name,
+        [ValidateSet('running', 'completed', 'failed')]
+        [string]$Status = 'running',
+        [int]$Percent = -1
+    )
+    if (-not $Progress) { return }
+    $step = $Progress.steps | Where-Object { $_.name -eq $Name } | Select-Object -First 1
+    if (-not $step) {
+        $step = [hashtable]::Synchronized(@{ name = $Name; status = $Status; percent = $null })
+        $null = $Progress.steps.Add($step)
+    }
+    $step.status = $Status
+    if ($Percent -ge 0) {
+        $step.percent = $Percent
+    }
+    elseif ($Status -eq 'completed' -and $null -ne $step.percent) {
+        $step.percent = 100
+    }
+    $Progress.currentStep = $Name
+}
+
+# Function to run a BACKUP or RESTORE, reporting the "n percent processed" messages
+# of its STATS option as the progress of a step
+function Invoke-ProgressCommand {
+    param (
+        [string]$ConnectionString,
+        [string]$Query,
+        [string]$Step
+    )
+    $connection = New-Object System.Data.SqlClient.SqlConnection $ConnectionString
+    try {
+        $handler = [System.Data.SqlClient.SqlInfoMessageEventHandler] {
+            param($sqlSender, $sqlEventArgs)
+            foreach ($sqlError in $sqlEventArgs.Errors) {
+                if ($sqlError.Message -match '^(\d+) percent processed') {
+                    Set-RefreshStep -Name $Step -Percent ([int]$Matches[1])
+                }
+                Write-Log $sqlError.Message
+            }
+        }
+        $connection.add_InfoMessage($handler)
+        $connection.Open()
+        $command = $connection.CreateCommand()
+        $command.CommandText = $Query
+        $command.CommandTimeout = 3600
+        $null = $command.ExecuteNonQuery()
+    }
+    finally {
+        $connection.Dispose()
+    }
 }
 
 # Function to get SQL connection string
@@ -41,7 +131,8 @@ function Get-SqlConnection {
     param (
         [string]$ServerInstance,
         [string]$Purpose,
-        [bool]$UseWindowsAuth
+        [bool]$UseWindowsAuth,
+        [pscredential]$Credential
     )
     try {
         Write-Log "Configuring connection for $Purpose server ($ServerInstance)..."
@@ -49,6 +140,11 @@ function Get-SqlConnection {
         if ($UseWindowsAuth) {
             $connString = "Server=$ServerInstance;Trusted_Connection=True;TrustServerCertificate=True;"
             Write-Log "Using Windows Authentication"
+        } elseif ($Credential) {
+            $connString = "Server=$ServerInstance;User Id=$($Credential.UserName);Password=$($Credential.GetNetworkCredential().Password);TrustServerCertificate=True;"
+            Write-Log "Using SQL Authentication as $($Credential.UserName)"
+        } elseif ($NonInteractive) {
+            throw "SQL Authentication needs a credential for the $Purpose server"
         } else {
             $SqlUsername = Read-Host "Enter SQL Username for $Purpose server"
             $SqlPassword = Read-Host "Enter SQL Password for $Purpose server" -AsSecureString
@@ -76,7 +172,8 @@ function Get-SqlConnection {
 
 try {
     # Get source connection first to verify database
-    $sourceConn = Get-SqlConnection -ServerInstance $SourceInstanceName -Purpose "Source" -UseWindowsAuth $UseWindowsAuth
+    Set-RefreshStep -Name 'Connect to source'
+    $sourceConn = Get-SqlConnection -ServerInstance $SourceInstanceName -Purpose "Source" -UseWindowsAuth $UseWindowsAuth -Credential $SourceCredential
 
     # Verify source database exists
     Write-Log "Verifying source database exists..."
@@ -85,20 +182,28 @@ try {
     if (-not $sourceDb) {
         throw "Source database '$SourceDatabaseName' does not exist on $SourceInstanceName"
     }
+    Set-RefreshStep -Name 'Connect to source' -Status completed
 
     # Get SQL Server default paths for suggestions
     $defaultBackupPath = Invoke-Sqlcmd -ConnectionString $sourceConn -Query "SELECT SERVERPROPERTY('InstanceDefaultBackupPath') as BackupPath"
     Write-Log "Default backup path is: $($defaultBackupPath.BackupPath)"
     
-    # Prompt for backup location
+    # Prompt for backup location unless it was given
+    $askForBackupPath = [string]::IsNullOrWhiteSpace($BackupPath) -and -not $NonInteractive
+    if ([string]::IsNullOrWhiteSpace($BackupPath)) {
+        $BackupPath = $defaultBackupPath.BackupPath
+    }
     do {
-        $BackupPath = Read-Host "Enter backup file location (press Enter for default: $($defaultBackupPath.BackupPath))"
-        if ([string]::IsNullOrWhiteSpace($BackupPath)) {
-            $BackupPath = $defaultBackupPath.BackupPath
+        if ($askForBackupPath) {
+            $BackupPath = Read-Host "Enter backup file location (press Enter for default: $($defaultBackupPath.BackupPath))"
+            if ([string]::IsNullOrWhiteSpace($BackupPath)) {
+                $BackupPath = $defaultBackupPath.BackupPath
+            }
         }
         
-        # Verify the path exists and is accessible
-        if (-not (Test-Path $BackupPath)) {
+        # Verify the path exists and is accessible. Without prompts the path is on the
+        # source server, so only the test backup below can check it.
+        if ($askForBackupPath -and -not (Test-Path $BackupPath)) {
             $create = Read-Host "Directory doesn't exist. Create it? (Y/N)"
             if ($create.ToUpper() -eq 'Y') {
                 New-Item -ItemType Directory -Path $BackupPath -Force | Out-Null
@@ -116,6 +221,9 @@ try {
             break
         }
         catch {
+            if (-not $askForBackupPath) {
+                throw "SQL Server cannot access the backup location '$BackupPath': $($_.Exception.Message)"
+            }
             Write-Log "SQL Server cannot access this location. Please choose a different path." -Level Warning
             Write-Log $_.Exception.Message -Level Warning
         }
@@ -126,28 +234,38 @@ try {
     $BackupFile = Join-Path $BackupPath "$($SourceDatabaseName)_$timestamp.bak"
 
     # Perform backup
+    Set-RefreshStep -Name 'Back up source database' -Percent 0
     Write-Log "Starting backup of database '$SourceDatabaseName' from $SourceInstanceName..."
     $backupCmd = if ($BackupType -eq 'CopyOnly') {
-        "BACKUP DATABASE [$SourceDatabaseName] TO DISK = N'$BackupFile' WITH COPY_ONLY, STATS = 10, INIT"
+        "BACKUP DATABASE [$SourceDatabaseName] TO DISK = N'$BackupFile' WITH COPY_ONLY, STATS = 5, INIT"
     } else {
-        "BACKUP DATABASE [$SourceDatabaseName] TO DISK = N'$BackupFile' WITH STATS = 10, INIT"
+        "BACKUP DATABASE [$SourceDatabaseName] TO DISK = N'$BackupFile' WITH STATS = 5, INIT"
     }
     
-    Invoke-Sqlcmd -ConnectionString $sourceConn -Query $backupCmd -QueryTimeout 3600 -ErrorAction Stop
+    Invoke-ProgressCommand -ConnectionString $sourceConn -Query $backupCmd -Step 'Back up source database'
     Write-Log "Backup completed successfully!"
+    Set-RefreshStep -Name 'Back up source database' -Status completed
+    if ($Progress) {
+        $Progress.backupFile = $BackupFile
+    }
 
-    # Verify backup file exists
-    if (-not (Test-Path $BackupFile)) {
+    # Verify backup file exists. Without prompts the file is on the source server;
+    # reading its file list below fails if it is missing.
+    if (-not $NonInteractive -and -not (Test-Path $BackupFile)) {
         throw "Backup file was not created at: $BackupFile"
     }
 
     # Get target connection
-    $targetConn = Get-SqlConnection -ServerInstance $TargetInstanceName -Purpose "Target" -UseWindowsAuth $UseWindowsAuth
+    Set-RefreshStep -Name 'Connect to target'
+    $targetConn = Get-SqlConnection -ServerInstance $TargetInstanceName -Purpose "Target" -UseWindowsAuth $UseWindowsAuth -Credential $TargetCredential
+    Set-RefreshStep -Name 'Connect to target' -Status completed
 
     # Get logical file names from backup
+    Set-RefreshStep -Name 'Read backup file list'
     Write-Log "Reading backup file information..."
     $fileListQuery = "RESTORE FILELISTONLY FROM DISK = N'$BackupFile'"
     $fileList = Invoke-Sqlcmd -ConnectionString $targetConn -Query $fileListQuery -ErrorAction Stop
+    Set-RefreshStep -Name 'Read backup file list' -Status completed
 
     # Get default paths for target
     $defaultDataPath = Invoke-Sqlcmd -ConnectionString $targetConn -Query "SELECT SERVERPROPERTY('InstanceDefaultDataPath') as DataPath"
@@ -156,8 +274,14 @@ try {
     Write-Log "Default data path is: $($defaultDataPath.DataPath)"
     Write-Log "Default log path is: $($defaultLogPath.LogPath)"
 
-    # Prompt for data file location
-    do {
+    # Without prompts the data and log files go to the target defaults unless given
+    if ($NonInteractive) {
+        if ([string]::IsNullOrWhiteSpace($DataFilePath)) { $DataFilePath = $defaultDataPath.DataPath }
+        if ([string]::IsNullOrWhiteSpace($LogFilePath)) { $LogFilePath = $defaultLogPath.LogPath }
+    }
+
+    # Prompt for data file location unless it was given
+    while ([string]::IsNullOrWhiteSpace($DataFilePath)) {
         $DataFilePath = Read-Host "Enter data file location (press Enter for default: $($defaultDataPath.DataPath))"
         if ([string]::IsNullOrWhiteSpace($DataFilePath)) {
             $DataFilePath = $defaultDataPath.DataPath
@@ -167,15 +291,14 @@ try {
             $create = Read-Host "Directory doesn't exist. Create it? (Y/N)"
             if ($create.ToUpper() -eq 'Y') {
                 New-Item -ItemType Directory -Path $DataFilePath -Force | Out-Null
-                break
+            } else {
+                $DataFilePath = $null
             }
-        } else {
-            break
         }
-    } while ($true)
+    }
 
-    # Prompt for log file location
-    do {
+    # Prompt for log file location unless it was given
+    while ([string]::IsNullOrWhiteSpace($LogFilePath)) {
         $LogFilePath = Read-Host "Enter log file location (press Enter for default: $($defaultLogPath.LogPath))"
         if ([string]::IsNullOrWhiteSpace($LogFilePath)) {
             $LogFilePath = $defaultLogPath.LogPath
@@ -185,17 +308,17 @@ try {
             $create = Read-Host "Directory doesn't exist. Create it? (Y/N)"
             if ($create.ToUpper() -eq 'Y') {
                 New-Item -ItemType Directory -Path $LogFilePath -Force | Out-Null
-                break
+            } else {
+                $LogFilePath = $null
             }
-        } else {
-            break
         }
-    } while ($true)
+    }
 
     # Check if target database exists
     $checkTargetQuery = "SELECT name FROM sys.databases WHERE name = '$TargetDatabaseName'"
     $targetDb = Invoke-Sqlcmd -ConnectionString $targetConn -Query $checkTargetQuery
     if ($targetDb) {
+        Set-RefreshStep -Name 'Drop target database'
         Write-Log "Target database exists. Setting to single user mode and dropping..." -Level Warning
         $dropQuery = @"
             IF EXISTS (SELECT 1 FROM sys.databases WHERE name = '$TargetDatabaseName')
@@ -205,51 +328,81 @@ try {
             END
 "@
         Invoke-Sqlcmd -ConnectionString $targetConn -Query $dropQuery -ErrorAction Stop
+        Set-RefreshStep -Name 'Drop target database' -Status completed
     }
 
-    # Build MOVE statements
+    # Build MOVE statements. The first data and log files are named after the database;
+    # further files get a number so that no two files share a name.
     $moveStatements = @()
+    $dataFileCount = 0
+    $logFileCount = 0
     foreach ($file in $fileList) {
         $logicalName = $file.LogicalName
         $type = $file.Type
         $targetPath = if ($type -eq 'L') { $LogFilePath } else { $DataFilePath }
         $newFileName = if ($type -eq 'L') {
-            "$($TargetDatabaseName)_log.ldf"
+            $logFileCount++
+            if ($logFileCount -eq 1) { "$($TargetDatabaseName)_log.ldf" } else { "$($TargetDatabaseName)_log$logFileCount.ldf" }
         } else {
-            "$($TargetDatabaseName).mdf"
+            $dataFileCount++
+            if ($dataFileCount -eq 1) { "$($TargetDatabaseName).mdf" } else { "$($TargetDatabaseName)_$dataFileCount.ndf" }
         }
         $fullPath = Join-Path $targetPath $newFileName
         $moveStatements += "MOVE N'$logicalName' TO N'$fullPath'"
+        Write-Log "Moving $logicalName ($($file.PhysicalName)) to $fullPath"
+        if ($Progress) {
+            $null = $Progress.fileMoves.Add(@{ logicalName = $logicalName; type = $type; from = $file.PhysicalName; to = $fullPath })
+        }
     }
 
     # Execute restore
+    Set-RefreshStep -Name 'Restore target database' -Percent 0
     Write-Log "Starting restore of database '$TargetDatabaseName' on $TargetInstanceName..."
     $restoreQuery = @"
 RESTORE DATABASE [$TargetDatabaseName] 
 FROM DISK = N'$BackupFile' 
 WITH FILE = 1,
     $(($moveStatements) -join ",`n    "),
-    STATS = 10,
+    STATS = 5,
     REPLACE
 "@
 
-    Invoke-Sqlcmd -ConnectionString $targetConn -Query $restoreQuery -QueryTimeout 3600 -ErrorAction Stop
+    Invoke-ProgressCommand -ConnectionString $targetConn -Query $restoreQuery -Step 'Restore target database'
     Write-Log "Database restore completed successfully!"
+    Set-RefreshStep -Name 'Restore target database' -Status completed
 
-    # Ask if user wants to keep the backup file
-    $keepBackup = Read-Host "Do you want to keep the backup file? (Y/N)"
-    if ($keepBackup.ToUpper() -ne 'Y') {
-        Remove-Item $BackupFile -Force
-        Write-Log "Backup file removed"
+    # Ask if user wants to keep the backup file, unless -KeepBackup or -NonInteractive decide
+    $keepBackupFile = if ($KeepBackup -or $NonInteractive) {
+        [bool]$KeepBackup
+    } else {
+        (Read-Host "Do you want to keep the backup file? (Y/N)").ToUpper() -eq 'Y'
+    }
+    if (-not $keepBackupFile) {
+        if (Test-Path $BackupFile) {
+            Remove-Item $BackupFile -Force
+            Write-Log "Backup file removed"
+        } else {
+            Write-Log "Backup file $BackupFile cannot be reached from here. Remove it on $SourceInstanceName." -Level Warning
+        }
     } else {
         Write-Log "Backup file kept at: $BackupFile"
     }
 
     Write-Log "Database refresh completed successfully!" -Level Info
+    if ($Progress) {
+        $Progress.status = 'completed'
+    }
 }
 catch {
     Write-Log $_.Exception.Message -Level Error
     Write-Log $_.Exception.StackTrace -Level Error
+    if ($Progress) {
+        if ($Progress.currentStep) {
+            Set-RefreshStep -Name $Progress.currentStep -Status failed
+        }
+        $Progress.error = $_.Exception.Message
+        $Progress.status = 'failed'
+    }
     exit 1
 }
 finally {
@@ -257,4 +410,4 @@ finally {
     if ($sourceConn) { $sourceConn = $null }
     if ($targetConn) { $targetConn = $null }
     [System.GC]::Collect()
-} 
\ No newline at end of file
+} 
@@ -4,13 +4,72 @@ let editor;
 // Cache for database objects
 let dbObjectsCache = {
     databases: { items: [], lastUpdate: null },
-    tables: { items: [], lastUpdate: null },
-    views: { items: [], lastUpdate: null },
+    schemas: { databaseMap: {} },
+    tables: { items: [], lastUpdate: null, schemaMap: {} },
+    views: { items: [], lastUpdate: null, schemaMap: {} },
     columns: { items: [], lastUpdate: null, tableMap: {} }
 };
 
 let currentDatabase = null;
 
+// Instances listed by the inventory for the server picker, and the server name
+// the editor is connected to
+let inventoryInstances = { items: [], lastUpdate: null };
+let appliedServerName = '';
+
+// Execution plan currently shown in the Plan tab, as XML and parsed for the analysis
+let currentPlanXml = null;
+let currentPlan = null;
+let planZoom = 1;
+// Plans on both sides of the plan comparison; they stay while the page is open
+let comparedPlans = { a: null, b: null };
+
+// Execution currently running on the server, if any
+let activeExecution = null;
+
+// Result sets of the last execution and the grids showing them
+let currentResultSets = [];
+let resultGrids = [];
+
+// Gutter annotations and underline markers for the errors of the last run
+let editorErrorAnnotations = [];
+let editorErrorMarkerIds = [];
+let editorErrorSession = null;
+
+// Annotations of the lint rules for the text in the editor
+let lintAnnotations = [];
+let lintTimer = null;
+
+// Editor buffers shown as tabs above the editor; each keeps its own Ace session
+let editorBuffers = [];
+let activeEditorBuffer = null;
+let editorBufferCount = 0;
+
+// Object the floating "Script as" menu was opened for
+let scriptMenuTarget = null;
+
+// Inventory dashboard as last loaded from the server
+let dashboardData = { lastUpdate: null };
+
+// Database refresh the wizard follows
+let activeRefresh = null;
+
+// Connection profiles the server holds a password for, by profile id
+let unlockedProfiles = new Set();
+
+// Safe-DML transaction waiting for Commit or Rollback: its deadline, the rows the
+// execution affected and the countdown timer
+let pendingTransaction = null;
+
+// How often a running background job is polled, in milliseconds
+const JOB_POLL_INTERVAL = 500;
+const JOB_STATUS_BADGES = {
+    running: 'bg-primary',
+    completed: 'bg-success',
+    failed: 'bg-danger',
+    cancelled: 'bg-secondary'
+};
+
 // Function to fetch database objects
 async function fetchDatabaseObjects(serverName, objectType, context = null) {
     try {
@@ -23,10 +82,11 @@ async function fetchDatabaseObjects(serverName, objectType, context = null) {
             },
             body: JSON.stringify({
                 serverName,
+                profileId: getConnectionProfileId(serverName),
                 objectType,
                 context: {
-                    ...context,
-                    database: currentDatabase
+                    database: currentDatabase,
+                    ...context
                 }
             })
         });
@@ -52,6 +112,338 @@ function needsRefresh(cacheEntry, maxAge = 5 * 60 * 1000) { // 5 minutes default
     return !cacheEntry.lastUpdate || (Date.now() - cacheEntry.lastUpdate) > maxAge;
 }
 
+// Identifier as written in T-SQL: [bracketed] or regular
+const SQL_NAME_PATTERN = '(?:\\[[^\\]]+\\]|[A-Za-z_@#][\\w@#$]*)';
+
+// Words that end a table source instead of naming its alias
+const SQL_ALIAS_STOPWORDS = new Set([
+    'WHERE', 'ON', 'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'OUTER', 'CROSS', 'APPLY',
+    'GROUP', 'ORDER', 'HAVING', 'UNION', 'EXCEPT', 'INTERSECT', 'WITH', 'SET', 'AS',
+    'OPTION', 'FOR', 'PIVOT', 'UNPIVOT', 'SELECT', 'FROM', 'INTO', 'VALUES', 'OUTPUT',
+    'USING', 'TABLESAMPLE', 'WHEN', 'THEN', 'AND', 'OR', 'NOT', 'BEGIN', 'END', 'IF',
+    'ELSE', 'WHILE', 'RETURN', 'DECLARE', 'INSERT', 'UPDATE', 'DELETE', 'MERGE',
+    'EXEC', 'EXECUTE', 'GO', 'USE', 'PRINT', 'TRUNCATE', 'CREATE', 'ALTER', 'DROP'
+]);
+
+// Replace comments and string literals with spaces so clause parsing skips them.
+// Offsets in the result match the original text.
+function maskSqlText(sql) {
+    let masked = '';
+    let i = 0;
+    while (i < sql.length) {
+        const char = sql[i];
+        const next = sql[i + 1];
+        let end = i + 1;
+        if (char === '-' && next === '-') {
+            end = sql.indexOf('\n', i);
+            if (end === -1) end = sql.length;
+        } else if (char === '/' && next === '*') {
+            let depth = 1;
+            end = i + 2;
+            while (end < sql.length && depth > 0) {
+                if (sql[end] === '/' && sql[end + 1] === '*') { depth++; end += 2; }
+                else if (sql[end] === '*' && sql[end + 1] === '/') { depth--; end += 2; }
+                else end++;
+            }
+        } else if (char === "'") {
+            end = i + 1;
+            while (end < sql.length && !(sql[end] === "'" && sql[end + 1] !== "'")) {
+                end += sql[end] === "'" ? 2 : 1;
+            }
+            end++;
+        } else {
+            masked += char;
+            i++;
+            continue;
+        }
+        masked += sql.slice(i, end).replace(/[^\n]/g, ' ');
+        i = end;
+    }
+    return masked;
+}
+
+// Find the parenthesis that closes the one at openIndex, or -1
+function findClosingParen(text, openIndex) {
+    let depth = 0;
+    for (let i = openIndex; i < text.length; i++) {
+        if (text[i] === '(') depth++;
+        else if (text[i] === ')' && --depth === 0) return i;
+    }
+    return -1;
+}
+
+// Split a multi-part name such as [Sales].dbo.Orders into its unquoted parts.
+// Empty parts (db..table) are kept as ''.
+function parseSqlNameParts(name) {
+    const parts = [''];
+    let bracketed = false;
+    for (const char of name) {
+        if (bracketed) {
+            if (char === ']') bracketed = false;
+            else parts[parts.length - 1] += char;
+        } else if (char === '[') {
+            bracketed = true;
+        } else if (char === '.') {
+            parts.push('');
+        } else if (!/\s/.test(char)) {
+            parts[parts.length - 1] += char;
+        }
+    }
+    return parts;
+}
+
+// Split text on commas that are not inside parentheses
+function splitTopLevel(text) {
+    const items = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '(') depth++;
+        else if (text[i] === ')') depth--;
+        else if (text[i] === ',' && depth === 0) {
+            items.push(text.slice(start, i));
+            start = i + 1;
+        }
+    }
+    items.push(text.slice(start));
+    return items;
+}
+
+// Get the column names a SELECT returns from its select list (best effort;
+// expressions without an alias and * are skipped)
+function getSelectListColumns(selectSql) {
+    const selectMatch = /\bSELECT\b(?:\s+DISTINCT\b)?(?:\s+TOP\s*(?:\(\s*[^)]*\)|\d+)(?:\s+PERCENT)?)?/i.exec(selectSql);
+    if (!selectMatch) return [];
+
+    // The select list ends at the first FROM outside parentheses
+    const listStart = selectMatch.index + selectMatch[0].length;
+    let listEnd = selectSql.length;
+    let depth = 0;
+    for (let i = listStart; i < selectSql.length; i++) {
+        if (selectSql[i] === '(') depth++;
+        else if (selectSql[i] === ')') depth--;
+        else if (depth === 0 && /^FROM\b/i.test(selectSql.slice(i, i + 5)) && /\W/.test(selectSql[i - 1] || ' ')) {
+            listEnd = i;
+            break;
+        }
+    }
+
+    const namePattern = new RegExp(`^${SQL_NAME_PATTERN}$`);
+    return splitTopLevel(selectSql.slice(listStart, listEnd)).map(item => {
+        item = item.trim();
+        const assignment = new RegExp(`^(${SQL_NAME_PATTERN})\\s*=(?!=)`).exec(item);
+        if (assignment) return parseSqlNameParts(assignment[1])[0];
+        const alias = new RegExp(`(?:\\bAS\\s+|\\s)(${SQL_NAME_PATTERN})$`, 'i').exec(item);
+        if (alias && !SQL_ALIAS_STOPWORDS.has(alias[1].toUpperCase())) return parseSqlNameParts(alias[1])[0];
+        const parts = parseSqlNameParts(item);
+        const last = parts[parts.length - 1];
+        return namePattern.test(item.split('.').pop().trim()) && last !== '*' ? last : null;
+    }).filter(Boolean);
+}
+
+// Parse the CTEs and table sources (FROM, JOIN, APPLY, UPDATE, INTO) of a batch.
+// Returns { ctes: { name: { name, columns } }, references: [{ parts, alias, columns, position }] }
+// where parts is the multi-part object name and columns is set for derived tables.
+function parseSqlTableReferences(sql) {
+    const text = maskSqlText(sql);
+    const ctes = {};
+    const references = [];
+
+    const ctePattern = new RegExp(`(?:\\bWITH|,)\\s*(${SQL_NAME_PATTERN})\\s*(?:\\(([^()]*)\\))?\\s*AS\\s*\\(`, 'gi');
+    let match;
+    while ((match = ctePattern.exec(text)) !== null) {
+        const open = match.index + match[0].length - 1;
+        const close = findClosingParen(text, open);
+        const body = text.slice(open + 1, close === -1 ? text.length : close);
+        const name = parseSqlNameParts(match[1])[0];
+        ctes[name.toLowerCase()] = {
+            name,
+            columns: match[2] ? match[2].split(',').map(column => parseSqlNameParts(column.trim())[0]).filter(Boolean)
+                : getSelectListColumns(body)
+        };
+    }
+
+    const objectPattern = new RegExp(`(${SQL_NAME_PATTERN}(?:\\s*\\.\\s*(?:${SQL_NAME_PATTERN})?)*)`, 'y');
+    const aliasPattern = new RegExp(`\\s+(?:AS\\s+)?(${SQL_NAME_PATTERN})`, 'iy');
+
+    // Read one table source at position; returns where it ends
+    const readTableSource = position => {
+        while (/\s/.test(text[position] || '')) position++;
+        const reference = { parts: null, alias: null, columns: null, position };
+
+        if (text[position] === '(') {
+            const close = findClosingParen(text, position);
+            if (close === -1) return -1;
+            reference.columns = getSelectListColumns(text.slice(position + 1, close));
+            position = close + 1;
+        } else {
+            objectPattern.lastIndex = position;
+            const objectMatch = objectPattern.exec(text);
+            if (!objectMatch || SQL_ALIAS_STOPWORDS.has(objectMatch[1].toUpperCase())) return -1;
+            reference.parts = parseSqlNameParts(objectMatch[1]);
+            position = objectPattern.lastIndex;
+            // Table-valued function arguments
+            if (text[position] === '(') {
+                const close = findClosingParen(text, position);
+                position = close === -1 ? text.length : close + 1;
+            }
+        }
+
+        aliasPattern.lastIndex = position;
+        const aliasMatch = aliasPattern.exec(text);
+        if (aliasMatch && !SQL_ALIAS_STOPWORDS.has(aliasMatch[1].toUpperCase())) {
+            reference.alias = parseSqlNameParts(aliasMatch[1])[0];
+            position = aliasPattern.lastIndex;
+        }
+        references.push(reference);
+        return position;
+    };
+
+    const sourcePattern = /\b(FROM|JOIN|APPLY|UPDATE|INTO)\s+/gi;
+    while ((match = sourcePattern.exec(text)) !== null) {
+        let position = readTableSource(sourcePattern.lastIndex);
+        // FROM a x, b y lists more sources after commas
+        while (match[1].toUpperCase() === 'FROM' && position !== -1) {
+            const comma = /\s*,/y;
+            comma.lastIndex = position;
+            if (!comma.exec(text)) break;
+            position = readTableSource(comma.lastIndex);
+        }
+    }
+
+    return { ctes, references };
+}
+
+// Find the table source a one-part qualifier names: an alias first, then an
+// unaliased table or CTE name. The reference closest before the cursor wins.
+function findSqlReference(references, name, cursorOffset) {
+    const lowerName = name.toLowerCase();
+    const candidates = references.filter(reference => reference.alias ?
+        reference.alias.toLowerCase() === lowerName :
+        reference.parts && reference.parts[reference.parts.length - 1].toLowerCase() === lowerName);
+    if (candidates.length === 0) return null;
+    const before = candidates.filter(reference => reference.position <= cursorOffset);
+    return before.length ? before[before.length - 1] : candidates[0];
+}
+
+// Get the text of the GO batch the cursor is in and the cursor offset within it
+function getCursorBatch(session, row, column) {
+    const script = session.getValue();
+    const batches = splitSqlBatches(script);
+    let batch = null;
+    batches.forEach(candidate => {
+        if (candidate.startLine <= row) batch = candidate;
+    });
+    if (!batch) {
+        batch = { text: script, startLine: 0 };
+    }
+
+    let offset = column;
+    for (let line = batch.startLine; line < row; line++) {
+        offset += session.getLine(line).length + 1;
+    }
+    return { text: batch.text, offset };
+}
+
+// Get the columns of a table or view, cached per database.schema.table
+async function getTableColumns(serverName, database, schema, table) {
+    const key = [database || currentDatabase || '', schema || '', table].join('.').toLowerCase();
+    if (!dbObjectsCache.columns.tableMap[key]) {
+        const context = { table };
+        if (schema) context.schema = schema;
+        if (database) context.database = database;
+        dbObjectsCache.columns.tableMap[key] = await fetchDatabaseObjects(serverName, 'columns', context);
+        dbObjectsCache.columns.lastUpdate = Date.now();
+    }
+    return dbObjectsCache.columns.tableMap[key];
+}
+
+// Get the schemas of a database, cached per database
+async function getDatabaseSchemas(serverName, database) {
+    const key = (database || currentDatabase || '').toLowerCase();
+    if (!dbObjectsCache.schemas.databaseMap[key]) {
+        dbObjectsCache.schemas.databaseMap[key] = await fetchDatabaseObjects(serverName, 'schemas', database ? { database } : null);
+    }
+    return dbObjectsCache.schemas.databaseMap[key];
+}
+
+// Get the tables and views of a schema, cached per database.schema
+async function getSchemaObjects(serverName, database, schema) {
+    const key = `${database || currentDatabase || ''}.${schema}`.toLowerCase();
+    const context = { schema };
+    if (database) context.database = database;
+    if (!dbObjectsCache.tables.schemaMap[key]) {
+        dbObjectsCache.tables.schemaMap[key] = await fetchDatabaseObjects(serverName, 'tables', context);
+    }
+    if (!dbObjectsCache.views.schemaMap[key]) {
+        dbObjectsCache.views.schemaMap[key] = await fetchDatabaseObjects(serverName, 'views', context);
+    }
+    return [...dbObjectsCache.tables.schemaMap[key], ...dbObjectsCache.views.schemaMap[key]];
+}
+
+// Get completions for the name parts typed before a dot:
+//   alias. / cte. / table.   -> columns
+//   database.                -> schemas
+//   schema.                  -> tables and views
+//   database.schema.         -> tables and views
+//   schema.table. / database.schema.table. -> columns
+async function getQualifiedCompletions(serverName, parts, statement) {
+    const { ctes, references } = parseSqlTableReferences(statement.text);
+    const isDatabase = name => dbObjectsCache.databases.items.some(db => db.name.toLowerCase() === name.toLowerCase());
+
+    const columnItems = (columns, meta) => columns.map(name => ({ caption: name, value: name, meta, score: 800 }));
+    const tableColumnItems = columns => columns.map(col => ({
+        caption: col.name,
+        value: col.name,
+        meta: `${col.dataType} (${col.schema}.${col.table})`,
+        score: 800
+    }));
+    const objectItems = objects => objects.map(obj => ({
+        caption: obj.name,
+        value: obj.name,
+        meta: obj.type,
+        score: obj.type === 'table' ? 1000 : 900
+    }));
+    // Columns of a multi-part object name; CTE names are resolved locally
+    const objectColumns = async objectParts => {
+        const name = objectParts[objectParts.length - 1];
+        if (objectParts.length === 1 && ctes[name.toLowerCase()]) {
+            return columnItems(ctes[name.toLowerCase()].columns, 'cte column');
+        }
+        const [database, schema] = objectParts.length >= 3 ? objectParts.slice(-3, -1) : [null, objectParts.length === 2 ? objectParts[0] : null];
+        return tableColumnItems(await getTableColumns(serverName, database || null, schema || null, name));
+    };
+
+    if (parts.length === 1) {
+        const name = parts[0];
+        const reference = findSqlReference(references, name, statement.offset);
+        if (reference) {
+            return reference.columns ? columnItems(reference.columns, 'derived column') : objectColumns(reference.parts);
+        }
+        if (ctes[name.toLowerCase()]) {
+            return columnItems(ctes[name.toLowerCase()].columns, 'cte column');
+        }
+        if (isDatabase(name)) {
+            return (await getDatabaseSchemas(serverName, name)).map(schema => ({
+                caption: schema.name,
+                value: schema.name,
+                meta: 'schema',
+                score: 1000
+            }));
+        }
+        const schemas = await getDatabaseSchemas(serverName, null);
+        if (schemas.some(schema => schema.name.toLowerCase() === name.toLowerCase())) {
+            return objectItems(await getSchemaObjects(serverName, null, name));
+        }
+        return objectColumns([name]);
+    }
+
+    if (parts.length === 2 && isDatabase(parts[0])) {
+        return objectItems(await getSchemaObjects(serverName, parts[0], parts[1] || 'dbo'));
+    }
+    return objectColumns(parts.slice(-3));
+}
+
 // Function to get completion items based on context
 async function getCompletionItems(editor, prefix, context) {
     const serverName = document.getElementById('serverName').value;
@@ -89,6 +481,14 @@ async function getCompletionItems(editor, prefix, context) {
             return completions;
         }
 
+        // After a dot, resolve the name parts before it (alias, table, schema or database)
+        const qualifierMatch = isAfterDot && beforeCursor.match(new RegExp(`(${SQL_NAME_PATTERN}(?:\\s*\\.\\s*(?:${SQL_NAME_PATTERN})?)*)\\s*\\.\\s*[\\w-]*$`));
+        if (qualifierMatch) {
+            const statement = getCursorBatch(editor.session, context.row, context.column);
+            completions.push(...await getQualifiedCompletions(serverName, parseSqlNameParts(qualifierMatch[1]), statement));
+            return completions;
+        }
+
         // Load tables and views if needed after FROM or JOIN
         if (isAfterFrom || isAfterJoin) {
             if (needsRefresh(dbObjectsCache.tables)) {
@@ -115,36 +515,29 @@ async function getCompletionItems(editor, prefix, context) {
             })));
         }
         
-        // Load columns if needed after dot or in SELECT
-        if (isAfterDot || isInSelect) {
-            const tableMatch = beforeCursor.match(/([a-zA-Z0-9_]+)\.$/);
-            if (tableMatch || isInSelect) {
-                const tableName = tableMatch ? tableMatch[1] : null;
-                
-                // Only fetch columns for specific table if we know it
-                if (tableName && !dbObjectsCache.columns.tableMap[tableName]) {
-                    const columns = await fetchDatabaseObjects(serverName, 'columns', { table: tableName });
-                    dbObjectsCache.columns.tableMap[tableName] = columns;
-                    dbObjectsCache.columns.lastUpdate = Date.now();
-                }
-                // Fetch all columns if in general SELECT context
-                else if (!tableName && needsRefresh(dbObjectsCache.columns)) {
-                    dbObjectsCache.columns.items = await fetchDatabaseObjects(serverName, 'columns');
-                    dbObjectsCache.columns.lastUpdate = Date.now();
-                }
-                
-                // Add relevant columns to completions
-                const relevantColumns = tableName 
-                    ? (dbObjectsCache.columns.tableMap[tableName] || [])
-                    : dbObjectsCache.columns.items;
-                
-                completions.push(...relevantColumns.map(col => ({
-                    caption: col.name,
-                    value: col.name,
-                    meta: `${col.dataType} (${col.schema}.${col.table})`,
-                    score: 700
-                })));
+        // Suggest the aliases of the current statement and columns in a SELECT list
+        if (!isAfterDot) {
+            const statement = getCursorBatch(editor.session, context.row, context.column);
+            const { references } = parseSqlTableReferences(statement.text);
+            references.filter(reference => reference.alias).forEach(reference => completions.push({
+                caption: reference.alias,
+                value: reference.alias,
+                meta: reference.parts ? `alias (${reference.parts.filter(Boolean).join('.')})` : 'alias',
+                score: 800
+            }));
+        }
+        if (isInSelect) {
+            // Fetch all columns if in general SELECT context
+            if (needsRefresh(dbObjectsCache.columns)) {
+                dbObjectsCache.columns.items = await fetchDatabaseObjects(serverName, 'columns');
+                dbObjectsCache.columns.lastUpdate = Date.now();
             }
+            completions.push(...dbObjectsCache.columns.items.map(col => ({
+                caption: col.name,
+                value: col.name,
+                meta: `${col.dataType} (${col.schema}.${col.table})`,
+                score: 700
+            })));
         }
 
         // Add SQL keywords with appropriate context
@@ -164,42 +557,63 @@ async function getCompletionItems(editor, prefix, context) {
     }
 }
 
-// Function to update database dropdown
+// Function to update database dropdown. The server marks the database queries run
+// in (the selected one, or else the login's default) as isCurrentDb.
 function updateDatabaseDropdown(databases) {
     const dbSelect = document.getElementById('databaseSelect');
-    if (!dbSelect) {
-        // Create database select if it doesn't exist
-        const container = document.querySelector('.sql-editor');
-        const select = document.createElement('select');
-        select.id = 'databaseSelect';
-        select.className = 'form-select mb-2';
-        container.insertBefore(select, container.firstChild);
-        
-        // Add change event listener
-        select.addEventListener('change', function() {
-            currentDatabase = this.value;
-            // Clear cache for database-specific objects
-            dbObjectsCache.tables.items = [];
-            dbObjectsCache.tables.lastUpdate = null;
-            dbObjectsCache.views.items = [];
-            dbObjectsCache.views.lastUpdate = null;
-            dbObjectsCache.columns.items = [];
-            dbObjectsCache.columns.lastUpdate = null;
-            dbObjectsCache.columns.tableMap = {};
-            
-            showMessage(`Switched to database: ${currentDatabase}`);
-        });
+    if (databases.length === 0) {
+        dbSelect.innerHTML = '<option value="">Default database</option>';
+        currentDatabase = null;
+        return;
     }
-    
+
     // Update options
     dbSelect.innerHTML = databases.map(db => 
-        `<option value="${db.name}" ${db.isCurrentDb ? 'selected' : ''}>${db.name}</option>`
+        `<option value="${escapeHtml(db.name)}" ${db.isCurrentDb ? 'selected' : ''}>${escapeHtml(db.name)}</option>`
     ).join('');
     
     // Set current database
     currentDatabase = dbSelect.value;
 }
 
+// Function to switch the database queries and autocomplete use
+function switchDatabase(database) {
+    const dbSelect = document.getElementById('databaseSelect');
+    if (![...dbSelect.options].some(option => option.value === database)) {
+        // Created by the script that switched to it
+        dbSelect.add(new Option(database, database));
+    }
+    dbSelect.value = database;
+    currentDatabase = database;
+    // Clear cache for database-specific objects
+    dbObjectsCache.tables.items = [];
+    dbObjectsCache.tables.lastUpdate = null;
+    dbObjectsCache.views.items = [];
+    dbObjectsCache.views.lastUpdate = null;
+    dbObjectsCache.columns.items = [];
+    dbObjectsCache.columns.lastUpdate = null;
+    dbObjectsCache.columns.tableMap = {};
+    
+    showMessage(`Switched to database: ${currentDatabase}`);
+}
+
+// Function to load the databases of a server into the dropdown
+async function loadDatabaseDropdown(serverName) {
+    dbObjectsCache.databases.items = await fetchDatabaseObjects(serverName, 'databases');
+    dbObjectsCache.databases.lastUpdate = Date.now();
+    // Another server may have been picked while the list loaded
+    if (serverName === appliedServerName) {
+        updateDatabaseDropdown(dbObjectsCache.databases.items);
+    }
+}
+
+// Follow a USE statement of the script that just ran
+function applyExecutionDatabase(database) {
+    if (database && database !== currentDatabase) {
+        switchDatabase(database);
+    }
+}
+
 // Function to get contextual keywords
 function getContextualKeywords(beforeCursor) {
     const defaultKeywords = ['SELECT', 'FROM', 'WHERE', 'GROUP BY', 'ORDER BY', 'HAVING'];
@@ -257,18 +671,98 @@ document.addEventListener('DOMContentLoaded', function() {
     // Clear the editor content
     editor.setValue("");
 
-    // Add server name input event listener
+    // The editor starts with one buffer; scripted objects open in new ones
+    addEditorBuffer(editor.session);
+    document.getElementById('editorTabs').addEventListener('click', function(event) {
+        const tab = event.target.closest('[data-buffer-id]');
+        if (!tab) return;
+        event.preventDefault();
+
+        const id = Number(tab.dataset.bufferId);
+        if (event.target.closest('.editor-tab-close')) {
+            closeEditorBuffer(id);
+        } else if (tab.dataset.bufferId === 'new') {
+            openEditorBuffer();
+        } else {
+            switchEditorBuffer(id);
+        }
+    });
+
+    // Lint the text shortly after it changes, and when another buffer is shown
+    editor.on('change', function() {
+        clearTimeout(lintTimer);
+        lintTimer = setTimeout(updateLintAnnotations, 500);
+    });
+    editor.on('changeSession', updateLintAnnotations);
+    renderLintMenu();
+    document.getElementById('lintMenu').addEventListener('change', function(event) {
+        const select = event.target.closest('[data-lint-rule]');
+        if (!select) return;
+        const severities = getLintSeverities();
+        severities[select.dataset.lintRule] = select.value;
+        localStorage.setItem('lintSeverities', JSON.stringify(severities));
+        updateLintAnnotations();
+    });
+
+    // Script the object under the cursor, or the one right-clicked in the Object Explorer
+    renderScriptActions(document.getElementById('scriptAsMenu'), null);
+    document.getElementById('scriptAsMenu').addEventListener('click', function(event) {
+        const item = event.target.closest('[data-script-type]');
+        if (item) {
+            scriptObjectAtCursor(item.dataset.scriptType);
+        }
+    });
+    document.getElementById('scriptMenu').addEventListener('click', function(event) {
+        const item = event.target.closest('[data-script-type]');
+        if (item && scriptMenuTarget) {
+            scriptObject(document.getElementById('objectTree').dataset.serverName, scriptMenuTarget, item.dataset.scriptType);
+        }
+        hideScriptMenu();
+    });
+    document.addEventListener('click', function(event) {
+        if (!event.target.closest('#scriptMenu')) hideScriptMenu();
+    });
+    document.addEventListener('keydown', function(event) {
+        if (event.key === 'Escape') hideScriptMenu();
+    });
+
+    // The server name box searches the inventory; the server is applied once it is
+    // picked or the name is complete
     const serverNameInput = document.getElementById('serverName');
-    serverNameInput.addEventListener('input', function() {
-        // Clear cache when server name changes
-        dbObjectsCache = {
-            databases: { items: [], lastUpdate: null },
-            tables: { items: [], lastUpdate: null },
-            views: { items: [], lastUpdate: null },
-            columns: { items: [], lastUpdate: null, tableMap: {} }
-        };
-        validateEnvironment();
+    serverNameInput.addEventListener('focus', showServerPicker);
+    serverNameInput.addEventListener('input', showServerPicker);
+    serverNameInput.addEventListener('blur', hideServerPicker);
+    serverNameInput.addEventListener('change', applyServerName);
+    serverNameInput.addEventListener('keydown', function(event) {
+        const picker = document.getElementById('serverPicker');
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            if (!picker.classList.contains('show')) showServerPicker();
+            moveServerPickerSelection(event.key === 'ArrowDown' ? 1 : -1);
+        } else if (event.key === 'Enter') {
+            event.preventDefault();
+            const active = picker.classList.contains('show') && picker.querySelector('.server-option.active');
+            if (active) {
+                selectServer(active.dataset.serverName);
+            } else {
+                hideServerPicker();
+                applyServerName();
+            }
+        } else if (event.key === 'Escape') {
+            hideServerPicker();
+        }
+    });
+    document.getElementById('serverPicker').addEventListener('mousedown', function(event) {
+        // Keep the focus in the box so the click is not lost to blur
+        event.preventDefault();
+        const option = event.target.closest('.server-option');
+        if (option) {
+            selectServer(option.dataset.serverName);
+        }
     });
+    if (localStorage.getItem('objectExplorerVisible') === 'true') {
+        toggleObjectExplorer(true);
+    }
 
     // Initialize Bootstrap tabs
     const tabElements = document.querySelectorAll('a[data-bs-toggle="tab"]');
@@ -283,6 +777,233 @@ document.addEventListener('DOMContentLoaded', function() {
 
     // Clear message area
     document.getElementById('messageArea').innerHTML = '';
+
+    // Remember the chosen execution timeout
+    const timeoutSelect = document.getElementById('queryTimeout');
+    const savedTimeout = localStorage.getItem('queryTimeout');
+    if (savedTimeout !== null && timeoutSelect.querySelector(`option[value="${savedTimeout}"]`)) {
+        timeoutSelect.value = savedTimeout;
+    }
+    timeoutSelect.addEventListener('change', function() {
+        localStorage.setItem('queryTimeout', this.value);
+    });
+
+    // Remember whether a failing batch stops the script
+    const batchErrorSelect = document.getElementById('batchErrorMode');
+    batchErrorSelect.value = localStorage.getItem('batchErrorMode') === 'continue' ? 'continue' : 'stop';
+    batchErrorSelect.addEventListener('change', function() {
+        localStorage.setItem('batchErrorMode', this.value);
+    });
+
+    // Remember whether queries run as background jobs
+    const runAsJobCheckbox = document.getElementById('runAsJob');
+    runAsJobCheckbox.checked = localStorage.getItem('runAsJob') === 'true';
+    runAsJobCheckbox.addEventListener('change', function() {
+        localStorage.setItem('runAsJob', String(this.checked));
+    });
+
+    // The Jobs menu lists background jobs each time it opens
+    document.getElementById('jobsMenuBtn').addEventListener('show.bs.dropdown', loadJobList);
+    document.getElementById('jobsMenu').addEventListener('click', function(event) {
+        const button = event.target.closest('[data-job-action]');
+        if (!button) return;
+
+        const jobId = button.dataset.jobId;
+        bootstrap.Dropdown.getOrCreateInstance(document.getElementById('jobsMenuBtn')).hide();
+        if (button.dataset.jobAction === 'attach') {
+            attachQueryJob(jobId);
+        } else {
+            cancelQueryJob(jobId);
+        }
+    });
+
+    // Multi-server mode: the menu lists the inventory each time it opens
+    const multiServerMode = document.getElementById('multiServerMode');
+    multiServerMode.checked = localStorage.getItem('multiServerMode') === 'true';
+    multiServerMode.addEventListener('change', function() {
+        localStorage.setItem('multiServerMode', String(this.checked));
+        updateMultiServerButton();
+    });
+    const multiServerConcurrency = document.getElementById('multiServerConcurrency');
+    multiServerConcurrency.value = localStorage.getItem('multiServerConcurrency') || '4';
+    multiServerConcurrency.addEventListener('change', function() {
+        localStorage.setItem('multiServerConcurrency', this.value);
+    });
+    updateMultiServerButton();
+    document.getElementById('multiServerBtn').addEventListener('show.bs.dropdown', renderMultiServerList);
+    document.getElementById('multiServerList').addEventListener('change', function(event) {
+        const checkbox = event.target;
+        if (checkbox.dataset.environment !== undefined) {
+            const servers = inventoryInstances.items
+                .filter(instance => (instance.environment || 'Other') === checkbox.dataset.environment)
+                .map(instance => instance.serverName);
+            setMultiServerTargets(servers, checkbox.checked);
+        } else if (checkbox.dataset.serverName) {
+            setMultiServerTargets([checkbox.dataset.serverName], checkbox.checked);
+        }
+        renderMultiServerList();
+    });
+
+    // The backup list of the dashboard filters as you type
+    document.getElementById('dashboardBackupFilter').addEventListener('input', renderDashboardBackups);
+    document.getElementById('dashboardBackupProblems').addEventListener('change', renderDashboardBackups);
+
+    // Dashboard rows open a query about the instance or database in a new editor tab
+    document.getElementById('dashboardView').addEventListener('click', function(event) {
+        const row = event.target.closest('[data-drill-server]');
+        if (!row) return;
+        if (row.dataset.drillDatabase) {
+            openDatabaseBackupQuery(row.dataset.drillServer, row.dataset.drillDatabase);
+        } else {
+            openInstanceQuery(row.dataset.drillServer);
+        }
+    });
+
+    // Refresh wizard: suggest the databases of the source and check the target as they are entered
+    document.getElementById('refreshSourceInstance').addEventListener('change', loadRefreshSourceDatabases);
+    document.getElementById('refreshTargetInstance').addEventListener('change', checkRefreshTarget);
+    document.querySelectorAll('input[name="refreshAuthMode"]').forEach(radio => radio.addEventListener('change', function() {
+        document.getElementById('refreshSqlLogins').classList.toggle('d-none', getRefreshAuthMode() !== 'sql');
+    }));
+    document.getElementById('refreshHistoryTab').addEventListener('show.bs.tab', loadRefreshHistory);
+    document.getElementById('refreshHistoryList').addEventListener('click', function(event) {
+        const row = event.target.closest('[data-refresh-id]');
+        if (!row) return;
+        bootstrap.Tab.getOrCreateInstance(document.querySelector('a[href="#refreshNew"]')).show();
+        followDatabaseRefresh(row.dataset.refreshId);
+    });
+
+    // The database dropdown picks the database queries run in
+    document.getElementById('databaseSelect').addEventListener('change', function() {
+        switchDatabase(this.value);
+    });
+
+    // Connection profiles: the selected profile fills in the server box
+    renderConnectionProfileSelect();
+    syncConnectionProfiles();
+    const selectedProfile = getSelectedConnectionProfile();
+    if (selectedProfile) {
+        serverNameInput.value = selectedProfile.serverName;
+        applyServerName();
+    }
+    document.getElementById('connectionProfile').addEventListener('change', function() {
+        selectConnectionProfile(this.value);
+    });
+    document.querySelectorAll('input[name="profileAuthType"]').forEach(radio => radio.addEventListener('change', updateProfileAuthFields));
+    document.getElementById('profileList').addEventListener('click', function(event) {
+        const button = event.target.closest('button');
+        if (!button) return;
+        if (button.dataset.profileEdit) {
+            editConnectionProfile(button.dataset.profileEdit);
+        } else if (button.dataset.profileRemove) {
+            removeConnectionProfile(button.dataset.profileRemove);
+        }
+    });
+    document.getElementById('profileModal').addEventListener('hidden.bs.modal', function() {
+        document.getElementById('profilePassword').value = '';
+    });
+
+    // Session mode: queries of this tab share one connection on the server
+    const sessionMode = document.getElementById('sessionMode');
+    sessionMode.checked = localStorage.getItem('sessionMode') === 'true';
+    sessionMode.addEventListener('change', function() {
+        localStorage.setItem('sessionMode', String(this.checked));
+        if (!this.checked && !isSafeDmlMode()) {
+            // Nothing runs on the session any more; close it rather than wait for the idle timeout
+            resetQuerySession(false);
+        }
+        updateSessionStatus();
+    });
+    const safeDmlMode = document.getElementById('safeDmlMode');
+    safeDmlMode.checked = localStorage.getItem('safeDmlMode') === 'true';
+    safeDmlMode.addEventListener('change', function() {
+        localStorage.setItem('safeDmlMode', String(this.checked));
+        // A pending transaction keeps the session until it is committed or rolled back
+        if (!this.checked && !sessionMode.checked && !pendingTransaction) {
+            resetQuerySession(false);
+        }
+        updateSessionStatus();
+    });
+    updateSessionStatus();
+    setInterval(updateSessionStatus, SESSION_STATUS_INTERVAL);
+
+    const actualPlanMode = document.getElementById('actualPlanMode');
+    actualPlanMode.checked = localStorage.getItem('actualPlanMode') === 'true';
+    actualPlanMode.addEventListener('change', function() {
+        localStorage.setItem('actualPlanMode', String(this.checked));
+    });
+
+    // Closing the page cancels the job it follows, unless the job was detached
+    window.addEventListener('pagehide', function() {
+        const execution = activeExecution;
+        if (execution && execution.jobId && !execution.detached) {
+            navigator.sendBeacon('/api/job-abandon', JSON.stringify({ jobId: execution.jobId }));
+        }
+    });
+
+    // Clicking an error message moves the cursor to its line
+    document.getElementById('messageArea').addEventListener('click', function(event) {
+        const link = event.target.closest('[data-editor-row]');
+        if (!link) return;
+        editor.gotoLine(Number(link.dataset.editorRow) + 1, 0, true);
+        editor.focus();
+    });
+
+    // XML and JSON cells open in the document viewer
+    document.getElementById('resultTable').addEventListener('click', function(event) {
+        const link = event.target.closest('.cell-document');
+        if (!link) return;
+        event.preventDefault();
+
+        const resultSet = currentResultSets[Number(link.dataset.set)];
+        const column = resultSet.columns[Number(link.dataset.col)];
+        const value = resultSet.rows[Number(link.dataset.row)][Number(link.dataset.col)];
+        openCellViewer(link.dataset.kind, value, getColumnDisplayName(column));
+    });
+
+    // Ctrl + mouse wheel zooms the graphical execution plan
+    document.getElementById('planGraph').addEventListener('wheel', function(event) {
+        if (!event.ctrlKey) return;
+        event.preventDefault();
+        zoomPlan(event.deltaY < 0 ? 1.1 : 1 / 1.1);
+    }, { passive: false });
+
+    // Cost from which the plan analysis flags scans and key lookups
+    const planCostThreshold = document.getElementById('planCostThreshold');
+    planCostThreshold.value = getPlanCostThreshold();
+    planCostThreshold.addEventListener('change', function() {
+        const threshold = parseFloat(this.value);
+        if (isNaN(threshold) || threshold < 0) {
+            this.value = getPlanCostThreshold();
+            return;
+        }
+        localStorage.setItem('planCostThreshold', String(threshold));
+        renderPlanAnalysis();
+    });
+
+    // Uploading plans to Paste The Plan is off unless the user allows it
+    const pasteThePlanEnabled = document.getElementById('pasteThePlanEnabled');
+    pasteThePlanEnabled.checked = isPasteThePlanEnabled();
+    pasteThePlanEnabled.addEventListener('change', function() {
+        if (this.checked && !confirm('Paste The Plan uploads plans to brentozar.com. Plans contain table, index and column names, query text and parameter values. Allow uploads from this browser?')) {
+            this.checked = false;
+        }
+        localStorage.setItem('pasteThePlanEnabled', String(this.checked));
+        updatePasteThePlanButton();
+    });
+    updatePasteThePlanButton();
+
+    document.getElementById('planFileInput').addEventListener('change', function() {
+        if (this.files.length > 0) openPlanFile(this.files[0]);
+        this.value = '';
+    });
+    ['a', 'b'].forEach(side => {
+        document.getElementById(`planCompareFile${side.toUpperCase()}`).addEventListener('change', function() {
+            if (this.files.length > 0) openComparedPlanFile(side, this.files[0]);
+            this.value = '';
+        });
+    });
+    document.getElementById('planCompareShowAll').addEventListener('change', renderPlanComparison);
 });
 
 // Validate environment and get environment info
@@ -312,29 +1033,42 @@ async function validateEnvironment() {
 
         const data = await response.json();
         
+        const policy = data.policy || {};
+        const policyText = policy.name ? `${policy.name} policy: ${policy.description}` : '';
         if (data.error) {
             environmentInfo.textContent = `Error: ${data.error}`;
             environmentInfo.className = 'form-text text-danger';
-            environmentWarning.classList.add('d-none');
+            // The server applies the strictest policy until the inventory answers again
+            if (policy.name) {
+                environmentWarning.innerHTML = `<strong>Environment unknown.</strong> The inventory lookup failed, so the ${escapeHtml(policy.name)} policy applies. ${escapeHtml(policy.description)}`;
+                environmentWarning.className = 'alert alert-danger';
+            } else {
+                environmentWarning.classList.add('d-none');
+            }
             body.style.backgroundColor = '';
             return;
         }
 
         if (data.environment) {
-            environmentInfo.textContent = `Environment: ${data.environment}`;
-            environmentInfo.className = 'form-text text-info';
+            environmentInfo.innerHTML = `${getEnvironmentBadge(data.environment)} ${escapeHtml(policyText)}`;
+            environmentInfo.className = 'form-text';
 
-            if (data.environment.toUpperCase() === 'PROD') {
-                environmentWarning.classList.remove('d-none');
-                body.style.backgroundColor = '#ffebee'; // Light red background
+            // Warn when the policy keeps queries from running or from changing anything
+            const canExecute = (policy.actions || []).includes('execute');
+            if (policy.name && (!canExecute || policy.changes === 'block')) {
+                environmentWarning.innerHTML = `<strong>Warning!</strong> ${escapeHtml(data.environment)} uses the ${escapeHtml(policy.name)} policy. ${escapeHtml(policy.description)}`;
+                environmentWarning.className = `alert ${canExecute ? 'alert-warning' : 'alert-danger'}`;
+                body.style.backgroundColor = canExecute ? '' : '#ffebee'; // Light red background
             } else {
                 environmentWarning.classList.add('d-none');
                 body.style.backgroundColor = '';
             }
         } else {
-            environmentInfo.textContent = 'Server not found in inventory';
+            // Not in the inventory: say so instead of treating it like any non-PROD server
+            environmentInfo.innerHTML = `${getEnvironmentBadge(null)} Not in the inventory. ${escapeHtml(policyText)}`;
             environmentInfo.className = 'form-text text-warning';
-            environmentWarning.classList.add('d-none');
+            environmentWarning.innerHTML = `<strong>Unclassified server.</strong> ${escapeHtml(serverName)} is not in the inventory, so its environment is unknown. ${escapeHtml(policyText)}`;
+            environmentWarning.className = 'alert alert-warning';
             body.style.backgroundColor = '';
         }
     } catch (error) {
@@ -345,84 +1079,99 @@ async function validateEnvironment() {
     }
 }
 
-// Validation wrapper functions
-async function validateAndExecute() {
+// Ask the server whether the execution policy of the server's environment allows an
+// action on the editor text. A blocked action is explained in the Messages tab with
+// the offending statements marked in the editor; when the policy asks for a
+// confirmation the user is asked. Returns { allowed, confirmed }.
+async function checkExecutionPolicy(action) {
     const serverName = document.getElementById('serverName').value;
-    const environmentInfo = document.getElementById('environmentInfo');
-    
-    try {
-        const response = await fetch('/api/validate-environment', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-                serverName
-            })
+    const batches = splitSqlBatches(editor.getValue());
+    const labels = { execute: 'Execution', parse: 'Parse', plan: 'Execution plan' };
+
+    const response = await fetch('/api/validate-environment', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+            serverName,
+            action,
+            batches
+        })
+    });
+    const data = await response.json();
+    const statements = Array.isArray(data.statements) ? data.statements : [];
+    const describeStatement = statement => {
+        const row = getErrorEditorRow(statement, batches);
+        return { row, text: `${statement.keyword} on line ${row === null ? statement.line : row + 1}` };
+    };
+
+    if (data.allowed === false) {
+        clearEditorErrors();
+        showMessage(`${labels[action]} blocked: ${data.reason}`, true);
+        statements.forEach(statement => {
+            const { row, text } = describeStatement(statement);
+            showMessage(`Blocked by the ${data.policy.name} policy: ${text}`, true, false, row);
+            if (row !== null) {
+                markEditorError(row, `${statement.keyword} is not allowed by the ${data.policy.name} policy`);
+            }
         });
+        return { allowed: false, confirmed: false };
+    }
 
-        const data = await response.json();
-        
-        if (data.environment && data.environment.toUpperCase() === 'PROD') {
-            showMessage('Execution blocked: Production instance detected', true);
-            return;
+    if (data.confirmationRequired) {
+        const list = statements.slice(0, 10).map(statement => describeStatement(statement).text).join('\n');
+        const more = statements.length > 10 ? `\n...and ${statements.length - 10} more` : '';
+        if (!confirm(`${data.reason}\n\n${list}${more}\n\nRun anyway?`)) {
+            showMessage(`${labels[action]} cancelled: the ${data.policy.name} policy needs a confirmation to run these statements.`, true);
+            return { allowed: false, confirmed: false };
         }
+        return { allowed: true, confirmed: true };
+    }
+    return { allowed: true, confirmed: false };
+}
 
-        executeQuery();
+// Validation wrapper functions
+async function validateAndExecute() {
+    if (pendingTransaction) {
+        showMessage('A transaction is pending. Commit or roll it back before the next execution.', true);
+        return;
+    }
+    if (document.getElementById('multiServerMode').checked) {
+        if (isSafeDmlMode()) {
+            showMessage('Safe DML runs on one server. Switch off multi-server mode or Safe DML.', true);
+            return;
+        }
+        executeMultiServerQuery();
+        return;
+    }
+    try {
+        const check = await checkExecutionPolicy('execute');
+        if (check.allowed) {
+            executeQuery(check.confirmed);
+        }
     } catch (error) {
         showMessage(`Error: ${error.message}`, true);
     }
 }
 
 async function validateAndParse() {
-    const serverName = document.getElementById('serverName').value;
-    
     try {
-        const response = await fetch('/api/validate-environment', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-                serverName
-            })
-        });
-
-        const data = await response.json();
-        
-        if (data.environment && data.environment.toUpperCase() === 'PROD') {
-            showMessage('Parse blocked: Production instance detected', true);
-            return;
+        const check = await checkExecutionPolicy('parse');
+        if (check.allowed) {
+            await parseQuery(check.confirmed);
         }
-
-        parseQuery();
     } catch (error) {
         showMessage(`Error: ${error.message}`, true);
     }
 }
 
 async function validateAndGetPlan() {
-    const serverName = document.getElementById('serverName').value;
-    
     try {
-        const response = await fetch('/api/validate-environment', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-                serverName
-            })
-        });
-
-        const data = await response.json();
-        
-        if (data.environment && data.environment.toUpperCase() === 'PROD') {
-            showMessage('Execution plan blocked: Production instance detected', true);
-            return;
+        const check = await checkExecutionPolicy('plan');
+        if (check.allowed) {
+            await getExecutionPlan(check.confirmed);
         }
-
-        getExecutionPlan();
     } catch (error) {
         showMessage(`Error: ${error.message}`, true);
     }
@@ -434,14 +1183,17 @@ function clearResults() {
     const messageArea = document.getElementById('messageArea');
     resultTable.innerHTML = '';
     messageArea.innerHTML = '';
+    document.getElementById('multiServerStatus').innerHTML = '';
 }
 
-// Show messages in the message area
-function showMessage(message, isError = false, isPrint = false) {
+// Show messages in the message area. Messages with an editor row (0-based) jump
+// to that line when clicked.
+function showMessage(message, isError = false, isPrint = false, editorRow = null) {
     const messageArea = document.getElementById('messageArea');
     const timestamp = new Date().toLocaleTimeString();
     const messageClass = isError ? 'error-message' : (isPrint ? 'print-message' : 'success-message');
-    messageArea.innerHTML += `<div class="${messageClass}">${timestamp}: ${message}</div>`;
+    const rowAttributes = editorRow === null ? '' : ` data-editor-row="${editorRow}" title="Go to line ${editorRow + 1}"`;
+    messageArea.innerHTML += `<div class="${messageClass}${editorRow === null ? '' : ' message-link'}"${rowAttributes}>${timestamp}: ${escapeHtml(message)}</div>`;
     messageArea.scrollTop = messageArea.scrollHeight;
     
     // Switch to messages tab if there's an error or print message
@@ -451,8 +1203,161 @@ function showMessage(message, isError = false, isPrint = false) {
     }
 }
 
-// Execute Query
-async function executeQuery() {
+// Format an error the way SSMS does: Msg 208, Level 16, State 1, Line 3 [Batch Start Line 10]
+function formatSqlErrorText(msg, batches = null) {
+    const parts = [`Msg ${msg.number}`, `Level ${msg.severity}`, `State ${msg.state}`];
+    if (msg.procedure) {
+        parts.push(`Procedure ${msg.procedure}`);
+    }
+    if (msg.line) {
+        const batch = Array.isArray(batches) && msg.batch ? batches[msg.batch - 1] : null;
+        parts.push(batch && batch.startLine > 0 ? `Line ${msg.line} [Batch Start Line ${batch.startLine}]` : `Line ${msg.line}`);
+    }
+    return `${parts.join(', ')}: ${msg.text}`;
+}
+
+// Get the editor row (0-based) an error points at, or null. Lines are counted
+// from the start of the error's batch; lines inside a procedure are not in the editor.
+function getErrorEditorRow(msg, batches) {
+    if (!msg || !msg.line || msg.procedure || !Array.isArray(batches)) return null;
+    const batch = batches[(msg.batch || 1) - 1];
+    if (!batch) return null;
+    const row = batch.startLine + msg.line - 1;
+    return row < editor.session.getLength() ? row : null;
+}
+
+// Add a gutter annotation and underline the line of an error
+function markEditorError(row, text) {
+    const Range = ace.require('ace/range').Range;
+    const line = editor.session.getLine(row);
+    const start = Math.max(0, line.search(/\S/));
+
+    editorErrorSession = editor.session;
+    editorErrorAnnotations.push({ row, column: start, text, type: 'error' });
+    refreshEditorAnnotations();
+    editorErrorMarkerIds.push(editor.session.addMarker(new Range(row, start, row, Math.max(line.length, start + 1)), 'sql-error-marker', 'text', false));
+}
+
+// Remove the error annotations and underlines of the previous run, from the
+// buffer they were added to
+function clearEditorErrors() {
+    const session = editorErrorSession || editor.session;
+    editorErrorMarkerIds.forEach(id => session.removeMarker(id));
+    editorErrorMarkerIds = [];
+    editorErrorAnnotations = [];
+    editorErrorSession = null;
+    if (session === editor.session) {
+        refreshEditorAnnotations();
+    } else {
+        session.clearAnnotations();
+    }
+}
+
+// Show the error annotations of the last run together with the lint findings
+function refreshEditorAnnotations() {
+    const errors = editorErrorSession === editor.session ? editorErrorAnnotations : [];
+    editor.session.setAnnotations([...errors, ...lintAnnotations]);
+}
+
+// Start the messages of the next batch of a script
+function showBatchHeader(text) {
+    const messageArea = document.getElementById('messageArea');
+    messageArea.innerHTML += `<div class="batch-message">${escapeHtml(text)}</div>`;
+    messageArea.scrollTop = messageArea.scrollHeight;
+}
+
+// Show the messages of an execution: PRINT output, errors and "(n rows affected)" counts.
+// With the batches that were sent, errors are also marked in the editor.
+function displayExecutionMessages(messages, batches = null) {
+    if (!Array.isArray(messages)) return;
+
+    messages.forEach(msg => {
+        if (typeof msg === 'string') {
+            showMessage(msg, false, true);
+        } else if (msg.type === 'error') {
+            const row = getErrorEditorRow(msg, batches);
+            const text = msg.number ? formatSqlErrorText(msg, batches) : msg.text;
+            showMessage(text, true, false, row);
+            if (row !== null) {
+                markEditorError(row, text);
+            }
+        } else if (msg.type === 'rowcount') {
+            showMessage(msg.text);
+        } else if (msg.type === 'batch') {
+            showBatchHeader(msg.text);
+        } else {
+            showMessage(msg.text, false, true);
+        }
+    });
+}
+
+// Split a script into batches on GO lines, as SSMS does. GO must be alone on its
+// line, optionally followed by a repeat count and a comment, and is ignored inside
+// block comments, string literals and quoted identifiers.
+// Returns [{ text, startLine, repeat }] with startLine counted from 0.
+function splitSqlBatches(script) {
+    const lines = script.split(/\r?\n/);
+    const batches = [];
+    let batchLines = [];
+    let startLine = 0;
+    let commentDepth = 0;
+    let closingQuote = null;
+
+    const endBatch = (repeat, nextLine) => {
+        const text = batchLines.join('\n');
+        if (text.trim() !== '') {
+            batches.push({ text, startLine, repeat });
+        }
+        batchLines = [];
+        startLine = nextLine;
+    };
+
+    lines.forEach((line, lineIndex) => {
+        const separator = commentDepth === 0 && !closingQuote &&
+            line.match(/^\s*GO(?:\s+(\d+))?\s*(?:--.*)?$/i);
+        if (separator) {
+            endBatch(separator[1] ? Math.max(1, parseInt(separator[1], 10)) : 1, lineIndex + 1);
+            return;
+        }
+        batchLines.push(line);
+
+        // Track comments and quotes that continue onto the next line
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            const next = line[i + 1];
+            if (commentDepth > 0) {
+                if (char === '*' && next === '/') { commentDepth--; i++; }
+                else if (char === '/' && next === '*') { commentDepth++; i++; }
+            } else if (closingQuote) {
+                if (char === closingQuote) {
+                    // A doubled quote ('' or ]]) is an escaped one
+                    if (next === closingQuote) i++;
+                    else closingQuote = null;
+                }
+            } else if (char === '-' && next === '-') {
+                break;
+            } else if (char === '/' && next === '*') {
+                commentDepth = 1;
+                i++;
+            } else if (char === "'" || char === '"') {
+                closingQuote = char;
+            } else if (char === '[') {
+                closingQuote = ']';
+            }
+        }
+    });
+    endBatch(1, lines.length);
+    return batches;
+}
+
+// Whether to stop or continue after a batch fails
+function getBatchErrorMode() {
+    return document.getElementById('batchErrorMode').value === 'continue' ? 'continue' : 'stop';
+}
+
+// Execute Query. policyConfirmed is set once the user confirmed the statements
+// the execution policy asks about.
+async function executeQuery(policyConfirmed = false) {
     const serverName = document.getElementById('serverName').value;
     const query = editor.getValue();
     
@@ -461,17 +1366,37 @@ async function executeQuery() {
         return;
     }
 
+    if (activeExecution) {
+        showMessage('A query is already running. Cancel it or wait for it to finish.', true);
+        return;
+    }
+
+    const batches = splitSqlBatches(query);
+    if (batches.length === 0) {
+        showMessage('The query contains no statements to run.', true);
+        return;
+    }
+
+    if (!confirmBlockingLintFindings(query)) {
+        return;
+    }
+
     // Clear previous results
     clearResults();
+    clearEditorErrors();
     showMessage('Executing query...'); // Debug line
     const resultTable = document.getElementById('resultTable');
     resultTable.innerHTML = '<div class="text-center"><div class="spinner-border" role="status"><span class="visually-hidden">Loading...</span></div></div>';
 
+    const execution = beginExecution();
+    execution.batches = batches;
+    execution.actualPlan = isActualPlanMode();
+    const safeDml = isSafeDmlMode();
+    // A Safe-DML transaction is answered when the execution ends, so it does not run as a job
+    const runAsJob = document.getElementById('runAsJob').checked && !safeDml;
+
     try {
         console.log('Sending request to execute query...'); // Debug line
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 30000); // 30 second timeout
-
         const response = await fetch('/api/execute', {
             method: 'POST',
             headers: {
@@ -479,13 +1404,23 @@ async function executeQuery() {
             },
             body: JSON.stringify({
                 serverName,
+                profileId: getConnectionProfileId(serverName),
+                database: currentDatabase,
+                sessionId: getQuerySessionId(),
+                safeDml,
+                actualPlan: execution.actualPlan,
                 query,
-                action: 'execute'
+                action: 'execute',
+                batches,
+                onError: getBatchErrorMode(),
+                executionId: execution.id,
+                timeout: getSelectedTimeout(),
+                mode: runAsJob ? 'job' : 'request',
+                policyConfirmed
             }),
-            signal: controller.signal
+            signal: execution.controller.signal
         });
 
-        clearTimeout(timeoutId);
         console.log('Received response from server...'); // Debug line
         
         if (!response.ok) {
@@ -494,28 +1429,48 @@ async function executeQuery() {
         
         const data = await response.json();
         console.log('Parsed response:', data); // Debug line
-        
-        if (data.error) {
-            showMessage(data.error, true);
-            resultTable.innerHTML = `<div class="alert alert-danger">${data.error}</div>`;
+
+        // A job only returns its id; rows and messages arrive while polling it
+        if (runAsJob && data.jobId) {
+            await followQueryJob(execution, data.jobId);
             return;
         }
+        
+        // Display print messages, errors and row counts in the order they were produced
+        displayExecutionMessages(data.messages, batches);
+        applyExecutionDatabase(data.database);
+        if (safeDml) {
+            rememberSafeDmlRows(data.messages);
+        }
+        displayActualPlanAndStatistics(data, execution.actualPlan);
 
-        // Display any print messages
-        if (data.messages && data.messages.length > 0) {
-            data.messages.forEach(msg => showMessage(msg, false, true));
+        const resultSets = Array.isArray(data.resultSets) ? data.resultSets : [];
+
+        if (data.error) {
+            // Only repeat the error if it was not already part of the message list
+            const hasErrorMessages = (data.messages || []).some(msg => msg && msg.type === 'error');
+            if (!hasErrorMessages) {
+                showMessage(data.error, true);
+            }
+            if (resultSets.length === 0) {
+                resultTable.innerHTML = `<div class="alert alert-danger">${escapeHtml(data.error)}</div>`;
+            } else {
+                // Keep the result sets returned before the failing statement
+                displayResults(resultSets);
+            }
+            return;
         }
 
         // Handle empty results case
-        if (!data.results || !Array.isArray(data.results) || data.results.length === 0) {
-            showMessage('Query executed successfully but returned no results.');
+        if (resultSets.length === 0) {
+            showMessage(data.message || 'Query executed successfully but returned no results.');
             resultTable.innerHTML = '<div class="alert alert-info">Query executed successfully but returned no results.</div>';
             return;
         }
 
         // Display results
-        console.log('Displaying results...', data.results); // Debug line
-        displayResults(data.results);
+        console.log('Displaying results...', resultSets); // Debug line
+        displayResults(resultSets);
         showMessage(data.message || 'Query executed successfully.');
         
         // Switch to results tab if we have results
@@ -525,16 +1480,361 @@ async function executeQuery() {
     } catch (error) {
         console.error('Error executing query:', error); // Debug line
         if (error.name === 'AbortError') {
-            showMessage('Query timed out after 30 seconds', true);
+            showMessage('Stopped waiting for the server after the query was cancelled', true);
+        } else {
+            showMessage(`Error: ${error.message}`, true);
+        }
+        resultTable.innerHTML = '<div class="alert alert-danger">Query execution failed. Check the Messages tab for details.</div>';
+    } finally {
+        endExecution(execution);
+    }
+}
+
+// Lint findings at error severity block the run unless confirmed
+function confirmBlockingLintFindings(query) {
+    const blocking = lintSql(query).filter(finding => finding.severity === 'error');
+    if (blocking.length === 0) {
+        return true;
+    }
+    const summary = blocking.slice(0, 5).map(finding => `Line ${finding.row + 1}: ${finding.message}`).join('\n');
+    if (!confirm(`The query has ${blocking.length} blocking lint finding(s):\n\n${summary}\n\nExecute anyway?`)) {
+        showMessage('Execution cancelled because of blocking lint findings. Fix them or lower their severity in the Lint menu.', true);
+        return false;
+    }
+    return true;
+}
+
+// Generate an id the server uses to track (and cancel) an execution
+function generateExecutionId() {
+    if (window.crypto && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// Get the timeout in seconds chosen for the next execution (0 = no limit)
+function getSelectedTimeout() {
+    const value = parseInt(document.getElementById('queryTimeout').value, 10);
+    return isNaN(value) ? 30 : value;
+}
+
+// Format milliseconds as mm:ss.t for the elapsed-time counter
+function formatElapsed(milliseconds) {
+    const totalSeconds = milliseconds / 1000;
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = (totalSeconds - minutes * 60).toFixed(1).padStart(4, '0');
+    return `${String(minutes).padStart(2, '0')}:${seconds}`;
+}
+
+// Start tracking a running execution: elapsed-time counter and Cancel button.
+// Attaching to a background job passes the job id, which is its execution id.
+function beginExecution(id) {
+    const execution = {
+        id: id || generateExecutionId(),
+        startedAt: Date.now(),
+        controller: new AbortController(),
+        cancelRequested: false
+    };
+    activeExecution = execution;
+
+    const status = document.getElementById('executionStatus');
+    const updateElapsed = () => {
+        status.textContent = `Executing… ${formatElapsed(Date.now() - execution.startedAt)}`;
+    };
+    updateElapsed();
+    execution.timerId = setInterval(updateElapsed, 100);
+
+    document.getElementById('executeBtn').disabled = true;
+    document.getElementById('cancelBtn').disabled = false;
+    return execution;
+}
+
+// Stop tracking an execution and show how long it took
+function endExecution(execution) {
+    clearInterval(execution.timerId);
+    if (activeExecution === execution) {
+        activeExecution = null;
+    }
+
+    const elapsed = formatElapsed(Date.now() - execution.startedAt);
+    const outcome = execution.cancelRequested ? 'Cancelled after' : (execution.detached ? 'Detached after' : 'Completed in');
+    document.getElementById('executionStatus').textContent = `${outcome} ${elapsed}`;
+    document.getElementById('executeBtn').disabled = false;
+    document.getElementById('cancelBtn').disabled = true;
+    document.getElementById('detachBtn').classList.add('d-none');
+    updateSessionStatus();
+}
+
+// Cancel the running query on SQL Server
+async function cancelQuery() {
+    const execution = activeExecution;
+    if (!execution || execution.cancelRequested) return;
+
+    execution.cancelRequested = true;
+    document.getElementById('cancelBtn').disabled = true;
+    showMessage('Cancelling query...');
+
+    try {
+        const response = await fetch('/api/cancel', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                executionId: execution.id
+            })
+        });
+        const data = await response.json();
+        if (data.error) {
+            showMessage(`Cancel failed: ${data.error}`, true);
+        }
+    } catch (error) {
+        showMessage(`Cancel failed: ${error.message}`, true);
+    }
+
+    // The execute request normally returns as soon as SQL Server stops the
+    // statement; stop waiting for it if the server does not answer
+    setTimeout(() => {
+        if (activeExecution === execution) {
+            execution.controller.abort();
+        }
+    }, 10000);
+}
+
+// Follow a background job until it finishes or is detached, streaming its
+// rows and messages into the Results and Messages tabs as they arrive
+async function followQueryJob(execution, jobId) {
+    execution.jobId = jobId;
+    document.getElementById('detachBtn').classList.remove('d-none');
+
+    // Jobs attached from the Jobs menu have no batches: the editor may hold another script
+    const job = { messageCount: 0, hasErrors: false, resultSets: [], batches: execution.batches || null, actualPlan: Boolean(execution.actualPlan) };
+    currentResultSets = job.resultSets;
+    resultGrids = [];
+
+    while (!execution.detached) {
+        const response = await fetch('/api/job-status', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                jobId,
+                messageOffset: job.messageCount,
+                rowOffsets: job.resultSets.map(resultSet => resultSet.rows.length)
+            }),
+            signal: execution.controller.signal
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const status = await response.json();
+        if (status.error) {
+            throw new Error(status.error);
+        }
+        if (execution.detached) return;
+
+        applyJobProgress(job, status);
+
+        // The server reports the final status only after everything was produced
+        if (status.status !== 'running' && !status.hasMore) {
+            // A job attached from the Jobs menu may have run another script
+            if (job.batches) {
+                applyExecutionDatabase((status.result || {}).database);
+            }
+            showJobOutcome(job, status.result || {});
+            return;
+        }
+        if (!status.hasMore) {
+            await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL));
+        }
+    }
+}
+
+// Add the messages and rows of one job poll to what is already shown
+function applyJobProgress(job, status) {
+    const messages = status.messages || [];
+    displayExecutionMessages(messages, job.batches);
+    job.messageCount += messages.length;
+    if (messages.some(msg => msg && msg.type === 'error')) {
+        job.hasErrors = true;
+    }
+
+    (status.resultSets || []).forEach(update => {
+        const rows = update.rows || [];
+        let resultSet = job.resultSets[update.index];
+        if (!resultSet) {
+            if (job.resultSets.length === 0) {
+                // Replace the spinner with the first grid
+                document.getElementById('resultTable').innerHTML = '';
+                bootstrap.Tab.getOrCreateInstance(document.querySelector('a[href="#results"]')).show();
+            }
+            resultSet = { columns: update.columns || [], rows: rows.slice(), rowCount: rows.length };
+            job.resultSets[update.index] = resultSet;
+            addResultGrid(resultSet, update.index);
+            return;
+        }
+        if (rows.length) {
+            rows.forEach(row => resultSet.rows.push(row));
+            resultSet.rowCount = resultSet.rows.length;
+            resultGrids[update.index].refresh();
+        }
+    });
+}
+
+// Show how a followed job ended; its rows and messages are already on screen
+function showJobOutcome(job, result) {
+    const resultTable = document.getElementById('resultTable');
+    displayActualPlanAndStatistics(result, job.actualPlan);
+    if (result.error) {
+        if (!job.hasErrors) {
+            showMessage(result.error, true);
+        }
+        if (job.resultSets.length === 0) {
+            resultTable.innerHTML = `<div class="alert alert-danger">${escapeHtml(result.error)}</div>`;
+        }
+        return;
+    }
+
+    if (job.resultSets.length === 0) {
+        showMessage(result.message || 'Query executed successfully but returned no results.');
+        resultTable.innerHTML = '<div class="alert alert-info">Query executed successfully but returned no results.</div>';
+        return;
+    }
+    showMessage(result.message || 'Query executed successfully.');
+}
+
+// Stop following the running job and leave it running on the server
+async function detachJob() {
+    const execution = activeExecution;
+    if (!execution || !execution.jobId || execution.detached) return;
+
+    try {
+        const response = await fetch('/api/job-detach', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                jobId: execution.jobId
+            })
+        });
+        const data = await response.json();
+        if (data.error) {
+            showMessage(`Detach failed: ${data.error}`, true);
+            return;
+        }
+    } catch (error) {
+        showMessage(`Detach failed: ${error.message}`, true);
+        return;
+    }
+
+    execution.detached = true;
+    document.getElementById('detachBtn').classList.add('d-none');
+    showMessage(`Job ${execution.jobId} detached. It keeps running on the server; reattach from the Jobs menu.`);
+}
+
+// Follow a job started earlier, from its first row and message
+async function attachQueryJob(jobId) {
+    if (activeExecution) {
+        showMessage('A query is already running. Cancel it or wait for it to finish.', true);
+        return;
+    }
+
+    clearResults();
+    showMessage(`Attaching to job ${jobId}...`);
+    const resultTable = document.getElementById('resultTable');
+    resultTable.innerHTML = '<div class="text-center"><div class="spinner-border" role="status"><span class="visually-hidden">Loading...</span></div></div>';
+
+    const execution = beginExecution(jobId);
+    try {
+        await followQueryJob(execution, jobId);
+    } catch (error) {
+        console.error('Error following job:', error);
+        if (error.name === 'AbortError') {
+            showMessage('Stopped waiting for the server after the query was cancelled', true);
         } else {
             showMessage(`Error: ${error.message}`, true);
         }
         resultTable.innerHTML = '<div class="alert alert-danger">Query execution failed. Check the Messages tab for details.</div>';
+    } finally {
+        endExecution(execution);
+    }
+}
+
+// Fill the Jobs menu with the jobs the server knows about
+async function loadJobList() {
+    const menu = document.getElementById('jobsMenu');
+    menu.innerHTML = '<span class="dropdown-item-text text-muted">Loading...</span>';
+
+    try {
+        const response = await fetch('/api/jobs', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({})
+        });
+        const data = await response.json();
+        if (data.error) {
+            throw new Error(data.error);
+        }
+
+        const jobs = data.jobs || [];
+        if (jobs.length === 0) {
+            menu.innerHTML = '<span class="dropdown-item-text text-muted">No background jobs</span>';
+            return;
+        }
+
+        menu.innerHTML = jobs.map(job => `
+            <div class="dropdown-item-text job-item">
+                <div class="d-flex justify-content-between align-items-center gap-2">
+                    <span class="badge ${JOB_STATUS_BADGES[job.status] || 'bg-secondary'}">${escapeHtml(job.status)}${job.detached ? ' · detached' : ''}</span>
+                    <small class="text-muted">${escapeHtml(job.serverName)} · ${new Date(job.startedAt).toLocaleTimeString()} · ${Number(job.rowCount).toLocaleString()} rows</small>
+                </div>
+                <div class="job-query" title="${escapeHtml(job.queryPreview)}">${escapeHtml(job.queryPreview)}</div>
+                <div class="mt-1">
+                    <button class="btn btn-sm btn-outline-primary" data-job-action="attach" data-job-id="${escapeHtml(job.jobId)}">Attach</button>
+                    ${job.status === 'running' ? `<button class="btn btn-sm btn-outline-danger" data-job-action="cancel" data-job-id="${escapeHtml(job.jobId)}">Cancel</button>` : ''}
+                </div>
+            </div>`).join('');
+    } catch (error) {
+        menu.innerHTML = `<span class="dropdown-item-text text-danger">${escapeHtml(error.message)}</span>`;
+    }
+}
+
+// Cancel a job from the Jobs menu, whether or not this page follows it
+async function cancelQueryJob(jobId) {
+    if (activeExecution && activeExecution.id === jobId) {
+        await cancelQuery();
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/cancel', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                executionId: jobId
+            })
+        });
+        const data = await response.json();
+        if (data.error) {
+            showMessage(`Cancel failed: ${data.error}`, true);
+        } else {
+            showMessage(`Cancellation requested for job ${jobId}`);
+        }
+    } catch (error) {
+        showMessage(`Cancel failed: ${error.message}`, true);
     }
 }
 
-// Parse Query
-async function parseQuery() {
+// Parse Query. policyConfirmed is set once the user confirmed the statements
+// the execution policy asks about.
+async function parseQuery(policyConfirmed = false) {
     const serverName = document.getElementById('serverName').value;
     const query = editor.getValue();
     
@@ -543,8 +1843,22 @@ async function parseQuery() {
         return;
     }
 
+    if (activeExecution) {
+        showMessage('A query is already running. Cancel it or wait for it to finish.', true);
+        return;
+    }
+
+    const batches = splitSqlBatches(query);
+    if (batches.length === 0) {
+        showMessage('The query contains no statements to parse.', true);
+        return;
+    }
+
+    clearEditorErrors();
     showMessage('Parsing query...'); // Debug line
 
+    // Parsing a long script takes a while too; Cancel stops it on the server
+    const execution = beginExecution();
     try {
         console.log('Sending parse request...'); // Debug line
         const response = await fetch('/api/execute', {
@@ -554,23 +1868,46 @@ async function parseQuery() {
             },
             body: JSON.stringify({
                 serverName,
+                profileId: getConnectionProfileId(serverName),
+                database: currentDatabase,
+                sessionId: getQuerySessionId(),
                 query,
-                action: 'parse'
-            })
+                batches,
+                action: 'parse',
+                executionId: execution.id,
+                policyConfirmed
+            }),
+            signal: execution.controller.signal
         });
 
         console.log('Received parse response...'); // Debug line
         const data = await response.json();
         console.log('Parse result:', data); // Debug line
         
-        if (data.error) {
+        if (data.error && Array.isArray(data.errors) && data.errors.length > 0) {
+            // Structured errors can be placed on their lines
+            data.errors.forEach(err => {
+                const row = getErrorEditorRow(err, batches);
+                const text = formatSqlErrorText(err, batches);
+                showMessage(`Syntax error: ${text}`, true, false, row);
+                if (row !== null) {
+                    markEditorError(row, text);
+                }
+            });
+        } else if (data.error) {
             showMessage(`Syntax error: ${data.error}`, true);
         } else {
             showMessage(data.message || 'Query syntax is valid');
         }
     } catch (error) {
         console.error('Error parsing query:', error); // Debug line
-        showMessage(`Error: ${error.message}`, true);
+        if (error.name === 'AbortError') {
+            showMessage('Stopped waiting for the server after parsing was cancelled', true);
+        } else {
+            showMessage(`Error: ${error.message}`, true);
+        }
+    } finally {
+        endExecution(execution);
     }
 }
 
@@ -601,6 +1938,10 @@ function isValidExecutionPlan(xmlString) {
 
 // Open execution plan in Paste The Plan
 function openInPasteThePlan() {
+    if (!isPasteThePlanEnabled()) {
+        showMessage('Uploading plans to Paste The Plan is not allowed. Switch on Allow Paste The Plan in the Execution Plan tab first.', true);
+        return;
+    }
     const planArea = document.getElementById('planArea');
     if (!planArea.textContent) {
         showMessage('No execution plan available to share', true);
@@ -649,8 +1990,9 @@ function openInPasteThePlan() {
     }
 }
 
-// Get Execution Plan
-async function getExecutionPlan() {
+// Get Execution Plan. policyConfirmed is set once the user confirmed the statements
+// the execution policy asks about.
+async function getExecutionPlan(policyConfirmed = false) {
     const serverName = document.getElementById('serverName').value;
     const query = editor.getValue();
     
@@ -659,10 +2001,22 @@ async function getExecutionPlan() {
         return;
     }
 
+    if (activeExecution) {
+        showMessage('A query is already running. Cancel it or wait for it to finish.', true);
+        return;
+    }
+
+    const batches = splitSqlBatches(query);
+    if (batches.length === 0) {
+        showMessage('The query contains no statements to plan.', true);
+        return;
+    }
+
     showMessage('Getting execution plan...'); // Debug line
-    const planArea = document.getElementById('planArea');
-    planArea.innerHTML = '<div class="text-center"><div class="spinner-border" role="status"><span class="visually-hidden">Loading...</span></div></div>';
+    showPlanStatus('<div class="text-center"><div class="spinner-border" role="status"><span class="visually-hidden">Loading...</span></div></div>');
 
+    // Compiling a plan can take long; Cancel stops it on the server
+    const execution = beginExecution();
     try {
         console.log('Sending execution plan request...'); // Debug line
         const response = await fetch('/api/execute', {
@@ -672,9 +2026,16 @@ async function getExecutionPlan() {
             },
             body: JSON.stringify({
                 serverName,
+                profileId: getConnectionProfileId(serverName),
+                database: currentDatabase,
+                sessionId: getQuerySessionId(),
                 query,
-                action: 'plan'
-            })
+                batches,
+                action: 'plan',
+                executionId: execution.id,
+                policyConfirmed
+            }),
+            signal: execution.controller.signal
         });
 
         console.log('Received execution plan response...'); // Debug line
@@ -687,7 +2048,7 @@ async function getExecutionPlan() {
         
         if (result && result.error) {
             showMessage(result.error, true);
-            planArea.innerHTML = `<div class="alert alert-danger">${result.error}</div>`;
+            showPlanStatus(`<div class="alert alert-danger">${escapeHtml(result.error)}</div>`);
             
             // Disable buttons since we don't have a valid plan
             document.getElementById('copyXmlBtn').disabled = true;
@@ -697,10 +2058,8 @@ async function getExecutionPlan() {
 
         // Check if we have a plan property in the response
         if (result && result.plan && typeof result.plan === 'string') {
-            console.log('Formatting execution plan XML...'); // Debug line
-            // Format and display the XML
-            const formattedXml = formatXml(result.plan);
-            planArea.textContent = formattedXml;
+            console.log('Rendering execution plan...'); // Debug line
+            displayExecutionPlan(result.plan);
             showMessage(result.message || 'Execution plan generated successfully');
             
             // Enable the buttons since we have a valid plan
@@ -713,7 +2072,7 @@ async function getExecutionPlan() {
         } else {
             console.log('No plan in response:', result); // Debug line
             showMessage('No execution plan was returned from server', true);
-            planArea.innerHTML = '<div class="alert alert-danger">No execution plan was returned from server.</div>';
+            showPlanStatus('<div class="alert alert-danger">No execution plan was returned from server.</div>');
             
             // Disable buttons since we don't have a valid plan
             document.getElementById('copyXmlBtn').disabled = true;
@@ -722,12 +2081,18 @@ async function getExecutionPlan() {
 
     } catch (error) {
         console.error('Error getting execution plan:', error); // Debug line
-        showMessage(`Error: ${error.message}`, true);
-        planArea.innerHTML = '<div class="alert alert-danger">Failed to generate execution plan. Check the Messages tab for details.</div>';
+        if (error.name === 'AbortError') {
+            showMessage('Stopped waiting for the server after the plan was cancelled', true);
+        } else {
+            showMessage(`Error: ${error.message}`, true);
+        }
+        showPlanStatus('<div class="alert alert-danger">Failed to generate execution plan. Check the Messages tab for details.</div>');
         
         // Disable buttons on error
         document.getElementById('copyXmlBtn').disabled = true;
         document.getElementById('pasteThePlanBtn').disabled = true;
+    } finally {
+        endExecution(execution);
     }
 }
 
@@ -752,9 +2117,8 @@ function parseAndFormatXml() {
             throw new Error("Invalid XML format");
         }
 
-        // Format the XML
-        const formattedXml = formatXml(xmlContent);
-        planArea.textContent = formattedXml;
+        // Format the XML and redraw the graphical plan from it
+        displayExecutionPlan(xmlContent);
         showMessage('XML parsed and formatted successfully');
     } catch (error) {
         showMessage(`Failed to parse XML: ${error.message}`, true);
@@ -788,57 +2152,4206 @@ function formatXml(xml) {
     return formatted.substring(1, formatted.length - 3);
 }
 
-// Display results in table format
-function displayResults(results) {
-    const resultTable = document.getElementById('resultTable');
-    
-    if (!results || !results.length) {
-        resultTable.innerHTML = '<p>No results to display.</p>';
-        return;
+// Escape text for safe insertion into HTML markup
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Show a spinner or error in place of the execution plan
+function showPlanStatus(html) {
+    currentPlanXml = null;
+    currentPlan = null;
+    renderPlanAnalysis();
+    document.getElementById('planArea').textContent = '';
+    document.getElementById('planGraph').innerHTML = html;
+    setPlanView('graph');
+}
+
+// Show an execution plan both as a graph and as formatted XML
+function displayExecutionPlan(planXml) {
+    currentPlanXml = planXml;
+    document.getElementById('planArea').textContent = formatXml(planXml);
+
+    const planGraph = document.getElementById('planGraph');
+    currentPlan = null;
+    try {
+        const plan = parseShowPlan(planXml);
+        if (plan.statements.length === 0) {
+            planGraph.innerHTML = '<div class="alert alert-info">The plan contains no query operators to draw.</div>';
+        } else {
+            renderPlanGraph(plan, planGraph);
+            currentPlan = plan;
+        }
+        setPlanView('graph');
+    } catch (error) {
+        console.error('Error rendering execution plan:', error);
+        planGraph.innerHTML = `<div class="alert alert-warning">Could not draw the plan: ${escapeHtml(error.message)}</div>`;
+        setPlanView('xml');
+    }
+    renderPlanAnalysis();
+}
+
+// Switch the Plan tab between the graphical and the raw XML view
+function setPlanView(view) {
+    document.getElementById('planGraphContainer').classList.toggle('d-none', view !== 'graph');
+    document.getElementById('planArea').classList.toggle('d-none', view !== 'xml');
+    document.getElementById('planGraphViewBtn').classList.toggle('active', view === 'graph');
+    document.getElementById('planXmlViewBtn').classList.toggle('active', view === 'xml');
+}
+
+// Get direct child elements by local name, ignoring the showplan namespace
+function planChildElements(element, localName) {
+    return Array.from(element.children).filter(child => child.localName === localName);
+}
+
+// Get the RelOp elements nested under an element without descending into other RelOps
+function findChildRelOps(element) {
+    const relOps = [];
+    Array.from(element.children).forEach(child => {
+        if (child.localName === 'RelOp') {
+            relOps.push(child);
+        } else {
+            relOps.push(...findChildRelOps(child));
+        }
+    });
+    return relOps;
+}
+
+// Parse ShowPlanXML into statements with operator trees
+function parseShowPlan(xmlString) {
+    const parser = new DOMParser();
+    const xmlDoc = parser.parseFromString(xmlString, "text/xml");
+    if (xmlDoc.getElementsByTagName("parsererror").length > 0) {
+        throw new Error("Invalid XML format");
+    }
+
+    let nextNodeId = 0;
+    const statements = [];
+    const statementElements = Array.from(xmlDoc.getElementsByTagName('*'))
+        .filter(el => el.localName === 'StmtSimple');
+
+    statementElements.forEach(stmt => {
+        const queryPlan = planChildElements(stmt, 'QueryPlan')[0];
+        const rootRelOp = queryPlan ? planChildElements(queryPlan, 'RelOp')[0] : null;
+        if (!rootRelOp) return;
+
+        const statementCost = parseFloat(stmt.getAttribute('StatementSubTreeCost')) ||
+            parseFloat(rootRelOp.getAttribute('EstimatedTotalSubtreeCost')) || 0;
+
+        const buildNode = (relOp, depth) => {
+            const node = {
+                id: nextNodeId++,
+                depth,
+                element: relOp,
+                physicalOp: relOp.getAttribute('PhysicalOp') || '',
+                logicalOp: relOp.getAttribute('LogicalOp') || '',
+                estimateRows: parseFloat(relOp.getAttribute('EstimateRows')) || 0,
+                subtreeCost: parseFloat(relOp.getAttribute('EstimatedTotalSubtreeCost')) || 0,
+                objectName: getPlanOperatorObject(relOp),
+                ...getPlanRuntimeCounters(relOp),
+                children: []
+            };
+            node.children = findChildRelOps(relOp).map(child => buildNode(child, depth + 1));
+
+            const childCost = node.children.reduce((sum, child) => sum + child.subtreeCost, 0);
+            node.ownCost = Math.max(0, node.subtreeCost - childCost);
+            node.costPercent = statementCost > 0 ? (node.ownCost / statementCost) * 100 : 0;
+            node.properties = getPlanOperatorProperties(relOp, node);
+            return node;
+        };
+
+        const root = buildNode(rootRelOp, 0);
+        statements.push({
+            element: stmt,
+            text: stmt.getAttribute('StatementText') || '',
+            type: stmt.getAttribute('StatementType') || '',
+            cost: statementCost,
+            // Actual plans carry run-time counters on their operators
+            hasActual: root.actualRows !== null,
+            root
+        });
+    });
+
+    // Relative cost of each statement within the batch, as SSMS reports it
+    const batchCost = statements.reduce((sum, stmt) => sum + stmt.cost, 0);
+    statements.forEach(stmt => {
+        stmt.batchPercent = batchCost > 0 ? (stmt.cost / batchCost) * 100 : 0;
+    });
+
+    return { statements };
+}
+
+// Get the object (table/index) an operator works on, e.g. [dbo].[Orders].[PK_Orders]
+function getPlanOperatorObject(relOp) {
+    const operatorElement = Array.from(relOp.children).find(child => child.localName !== 'OutputList' &&
+        child.localName !== 'RunTimeInformation' && child.localName !== 'Warnings' && child.localName !== 'MemoryFractions');
+    if (!operatorElement) return '';
+
+    const objectElement = planChildElements(operatorElement, 'Object')[0];
+    if (!objectElement) return '';
+
+    return ['Schema', 'Table', 'Index']
+        .map(attr => objectElement.getAttribute(attr))
+        .filter(Boolean)
+        .join('.');
+}
+
+// Sum the run-time counters of an actual plan operator over its threads. The
+// counters are null in estimated plans.
+function getPlanRuntimeCounters(relOp) {
+    const runTime = planChildElements(relOp, 'RunTimeInformation')[0];
+    const threads = runTime ? planChildElements(runTime, 'RunTimeCountersPerThread') : [];
+    if (threads.length === 0) {
+        return { actualRows: null, actualExecutions: null, actualLogicalReads: null, actualElapsedMs: null };
+    }
+    const sum = attr => threads.reduce((total, thread) => total + (parseFloat(thread.getAttribute(attr)) || 0), 0);
+    const hasAttribute = attr => threads.some(thread => thread.hasAttribute(attr));
+    return {
+        actualRows: sum('ActualRows'),
+        actualExecutions: sum('ActualExecutions'),
+        actualLogicalReads: hasAttribute('ActualLogicalReads') ? sum('ActualLogicalReads') : null,
+        // Threads run side by side, so the slowest one is the operator's time
+        actualElapsedMs: hasAttribute('ActualElapsedms')
+            ? Math.max(...threads.map(thread => parseFloat(thread.getAttribute('ActualElapsedms')) || 0))
+            : null
+    };
+}
+
+// Collect the operator properties shown in the plan tooltip
+function getPlanOperatorProperties(relOp, node) {
+    const formatNumber = value => {
+        const number = parseFloat(value);
+        return isNaN(number) ? value : number.toLocaleString(undefined, { maximumFractionDigits: 6 });
+    };
+
+    const properties = [
+        ['Physical Operation', node.physicalOp],
+        ['Logical Operation', node.logicalOp],
+        ['Estimated Execution Mode', relOp.getAttribute('EstimatedExecutionMode')],
+        ['Estimated I/O Cost', formatNumber(relOp.getAttribute('EstimateIO'))],
+        ['Estimated CPU Cost', formatNumber(relOp.getAttribute('EstimateCPU'))],
+        ['Estimated Operator Cost', `${formatNumber(node.ownCost)} (${node.costPercent.toFixed(0)}%)`],
+        ['Estimated Subtree Cost', formatNumber(node.subtreeCost)],
+        ['Actual Number of Rows', node.actualRows === null ? null : formatNumber(node.actualRows)],
+        ['Actual Executions', node.actualExecutions === null ? null : formatNumber(node.actualExecutions)],
+        ['Actual Logical Reads', node.actualLogicalReads === null ? null : formatNumber(node.actualLogicalReads)],
+        ['Actual Elapsed Time', node.actualElapsedMs === null ? null : `${formatNumber(node.actualElapsedMs)} ms`],
+        ['Estimated Number of Rows', formatNumber(node.estimateRows)],
+        ['Estimated Row Size', relOp.getAttribute('AvgRowSize') ? `${relOp.getAttribute('AvgRowSize')} B` : null],
+        ['Estimated Rebinds', formatNumber(relOp.getAttribute('EstimateRebinds'))],
+        ['Estimated Rewinds', formatNumber(relOp.getAttribute('EstimateRewinds'))],
+        ['Parallel', relOp.getAttribute('Parallel') === '1' || relOp.getAttribute('Parallel') === 'true' ? 'True' : 'False'],
+        ['Node ID', relOp.getAttribute('NodeId')],
+        ['Object', node.objectName]
+    ];
+
+    // Predicates and output columns live on descendant elements of the operator itself
+    const ownDescendants = element => Array.from(element.children)
+        .filter(child => child.localName !== 'RelOp')
+        .flatMap(child => [child, ...ownDescendants(child)]);
+    const descendants = ownDescendants(relOp);
+
+    const seekPredicate = descendants.find(el => el.localName === 'SeekPredicates');
+    if (seekPredicate) {
+        const scalars = Array.from(seekPredicate.getElementsByTagName('*'))
+            .filter(el => el.localName === 'ScalarOperator' && el.getAttribute('ScalarString'))
+            .map(el => el.getAttribute('ScalarString'));
+        properties.push(['Seek Predicates', scalars.join(', ')]);
+    }
+
+    const predicate = descendants.find(el => el.localName === 'Predicate');
+    if (predicate) {
+        const scalar = Array.from(predicate.children).find(el => el.localName === 'ScalarOperator');
+        if (scalar) properties.push(['Predicate', scalar.getAttribute('ScalarString')]);
+    }
+
+    const outputList = planChildElements(relOp, 'OutputList')[0];
+    if (outputList) {
+        const columns = planChildElements(outputList, 'ColumnReference')
+            .map(col => [col.getAttribute('Table'), col.getAttribute('Column')].filter(Boolean).join('.'));
+        properties.push(['Output List', columns.join(', ')]);
+    }
+
+    return properties.filter(([, value]) => value !== null && value !== undefined && value !== '');
+}
+
+// Lay out an operator tree the way SSMS does: root on the left, inputs to the right.
+// Operators of actual plans get a taller box for their row counts.
+function layoutPlanTree(root, hasActual = false) {
+    const nodeWidth = 170;
+    const nodeHeight = hasActual ? 90 : 74;
+    const columnGap = 70;
+    const rowGap = 26;
+    let nextRow = 0;
+    const nodes = [];
+
+    const place = node => {
+        node.x = node.depth * (nodeWidth + columnGap);
+        if (node.children.length === 0) {
+            node.y = nextRow * (nodeHeight + rowGap);
+            nextRow++;
+        } else {
+            node.children.forEach(place);
+            // Parents line up with their first input
+            node.y = node.children[0].y;
+        }
+        node.width = nodeWidth;
+        node.height = nodeHeight;
+        nodes.push(node);
+    };
+    place(root);
+
+    const width = Math.max(...nodes.map(n => n.x + n.width)) + 20;
+    const height = Math.max(...nodes.map(n => n.y + n.height)) + 20;
+    return { nodes, width, height };
+}
+
+// Width of the arrow between two operators, scaled by the estimated row count
+function getPlanArrowWidth(rows) {
+    return Math.max(1, Math.min(14, Math.log10(rows + 1) * 2.5));
+}
+
+// Draw all statements of a parsed plan as zoomable SVG operator trees
+function renderPlanGraph(plan, container) {
+    const svgNs = 'http://www.w3.org/2000/svg';
+    container.innerHTML = '';
+
+    plan.statements.forEach((stmt, index) => {
+        const header = document.createElement('div');
+        header.className = 'plan-statement-header';
+        header.innerHTML = `<strong>Query ${index + 1}:</strong> Query cost (relative to the batch): ${stmt.batchPercent.toFixed(0)}%` +
+            `<div class="plan-statement-text">${escapeHtml(stmt.text)}</div>`;
+        container.appendChild(header);
+
+        const layout = layoutPlanTree(stmt.root, stmt.hasActual);
+        const svg = document.createElementNS(svgNs, 'svg');
+        svg.classList.add('plan-svg');
+        svg.setAttribute('viewBox', `-10 -10 ${layout.width} ${layout.height}`);
+        svg.dataset.baseWidth = layout.width;
+        svg.dataset.baseHeight = layout.height;
+
+        const defs = document.createElementNS(svgNs, 'defs');
+        defs.innerHTML = `<marker id="planArrowHead${index}" viewBox="0 0 10 10" refX="2" refY="5" markerWidth="4" markerHeight="4" orient="auto-start-reverse"><path d="M 0 0 L 10 5 L 0 10 z" fill="#6c757d"/></marker>`;
+        svg.appendChild(defs);
+
+        // Arrows first so operator boxes are drawn on top of them
+        layout.nodes.forEach(node => {
+            node.children.forEach(child => {
+                const startX = node.x + node.width;
+                const startY = node.y + node.height / 2;
+                const endX = child.x;
+                const endY = child.y + child.height / 2;
+                const midX = startX + (endX - startX) / 2;
+
+                const path = document.createElementNS(svgNs, 'path');
+                path.setAttribute('d', `M ${startX + 6} ${startY} H ${midX} V ${endY} H ${endX}`);
+                path.setAttribute('class', 'plan-arrow');
+                path.setAttribute('stroke-width', getPlanArrowWidth(child.actualRows === null ? child.estimateRows : child.actualRows));
+                path.setAttribute('marker-start', `url(#planArrowHead${index})`);
+
+                const title = document.createElementNS(svgNs, 'title');
+                title.textContent = `Estimated Number of Rows: ${child.estimateRows.toLocaleString()}` +
+                    (child.actualRows === null ? '' : `\nActual Number of Rows: ${child.actualRows.toLocaleString()}`);
+                path.appendChild(title);
+                svg.appendChild(path);
+            });
+        });
+
+        layout.nodes.forEach(node => {
+            const group = document.createElementNS(svgNs, 'g');
+            group.setAttribute('class', 'plan-node');
+            group.setAttribute('transform', `translate(${node.x}, ${node.y})`);
+            group.dataset.nodeId = node.id;
+
+            const rect = document.createElementNS(svgNs, 'rect');
+            rect.setAttribute('width', node.width);
+            rect.setAttribute('height', node.height);
+            rect.setAttribute('rx', 6);
+            if (node.costPercent >= 50) {
+                rect.classList.add('plan-node-hot');
+            } else if (node.costPercent >= 20) {
+                rect.classList.add('plan-node-warm');
+            }
+            group.appendChild(rect);
+
+            const lines = [
+                { text: node.physicalOp, className: 'plan-node-title' },
+                { text: node.logicalOp && node.logicalOp !== node.physicalOp ? `(${node.logicalOp})` : '', className: 'plan-node-detail' },
+                { text: node.objectName, className: 'plan-node-detail' },
+                { text: `Cost: ${node.costPercent.toFixed(0)} %`, className: 'plan-node-cost' },
+                {
+                    text: node.actualRows === null ? '' : `${node.actualRows.toLocaleString()} of ${Math.round(node.estimateRows).toLocaleString()} rows`,
+                    className: 'plan-node-detail'
+                }
+            ].filter(line => line.text);
+
+            lines.forEach((line, lineIndex) => {
+                const text = document.createElementNS(svgNs, 'text');
+                text.setAttribute('x', node.width / 2);
+                text.setAttribute('y', 18 + lineIndex * 16);
+                text.setAttribute('class', line.className);
+                text.textContent = line.text.length > 26 ? `${line.text.slice(0, 25)}…` : line.text;
+                group.appendChild(text);
+            });
+
+            group.addEventListener('mouseenter', event => showPlanTooltip(node, event));
+            group.addEventListener('mousemove', positionPlanTooltip);
+            group.addEventListener('mouseleave', hidePlanTooltip);
+            svg.appendChild(group);
+        });
+
+        container.appendChild(svg);
+    });
+
+    applyPlanZoom();
+}
+
+// Show the property tooltip for a plan operator
+function showPlanTooltip(node, event) {
+    const tooltip = document.getElementById('planTooltip');
+    const rows = node.properties
+        .map(([name, value]) => `<tr><th>${escapeHtml(name)}</th><td>${escapeHtml(value)}</td></tr>`)
+        .join('');
+    tooltip.innerHTML = `<div class="plan-tooltip-title">${escapeHtml(node.physicalOp)}</div><table>${rows}</table>`;
+    tooltip.classList.remove('d-none');
+    positionPlanTooltip(event);
+}
+
+function positionPlanTooltip(event) {
+    const tooltip = document.getElementById('planTooltip');
+    const margin = 16;
+    let left = event.clientX + margin;
+    let top = event.clientY + margin;
+    if (left + tooltip.offsetWidth > window.innerWidth) {
+        left = Math.max(0, event.clientX - tooltip.offsetWidth - margin);
+    }
+    if (top + tooltip.offsetHeight > window.innerHeight) {
+        top = Math.max(0, window.innerHeight - tooltip.offsetHeight - margin);
+    }
+    tooltip.style.left = `${left}px`;
+    tooltip.style.top = `${top}px`;
+}
+
+function hidePlanTooltip() {
+    document.getElementById('planTooltip').classList.add('d-none');
+}
+
+// Zoom the graphical plan; pass null to fit the widest statement into the view
+function zoomPlan(factor) {
+    if (factor === null) {
+        const container = document.getElementById('planGraph');
+        const widths = Array.from(container.querySelectorAll('.plan-svg')).map(svg => parseFloat(svg.dataset.baseWidth));
+        if (widths.length === 0) return;
+        planZoom = Math.min(1, (container.clientWidth - 20) / Math.max(...widths));
+    } else if (factor === 1) {
+        planZoom = 1;
+    } else {
+        planZoom *= factor;
+    }
+    planZoom = Math.min(3, Math.max(0.1, planZoom));
+    applyPlanZoom();
+}
+
+function applyPlanZoom() {
+    document.querySelectorAll('#planGraph .plan-svg').forEach(svg => {
+        svg.setAttribute('width', parseFloat(svg.dataset.baseWidth) * planZoom);
+        svg.setAttribute('height', parseFloat(svg.dataset.baseHeight) * planZoom);
+    });
+    const zoomLabel = document.getElementById('planZoomLevel');
+    if (zoomLabel) zoomLabel.textContent = `${Math.round(planZoom * 100)}%`;
+}
+
+// SQL types grouped by how their values are rendered in the grid
+const SQL_NUMERIC_TYPES = ['tinyint', 'smallint', 'int', 'bigint', 'decimal', 'numeric', 'money', 'smallmoney', 'float', 'real'];
+const SQL_BINARY_TYPES = ['binary', 'varbinary', 'image', 'timestamp', 'rowversion'];
+const SQL_DATETIME_TYPES = ['date', 'datetime', 'datetime2', 'smalldatetime', 'datetimeoffset', 'time'];
+
+// Get the display name of a result column; unnamed columns read like SSMS
+function getColumnDisplayName(column) {
+    return column.name ? column.name : '(No column name)';
+}
+
+// Format an ISO date/time value from the server according to its SQL type
+function formatSqlDateTime(value, sqlType) {
+    const text = String(value);
+    switch (sqlType) {
+        case 'date':
+            return text.slice(0, 10);
+        case 'smalldatetime':
+            return text.slice(0, 19);
+        case 'datetime':
+            return text.slice(0, 23);
+        default:
+            // datetime2, datetimeoffset and time keep their full precision
+            return text;
+    }
+}
+
+// Check whether a character value holds a JSON object or array
+function looksLikeJson(value) {
+    if (typeof value !== 'string') return false;
+    const trimmed = value.trim();
+    if (!/^[\[{]/.test(trimmed)) return false;
+    try {
+        JSON.parse(trimmed);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Render one result cell as HTML according to the column's SQL type
+function formatCellHtml(value, column, location) {
+    if (value === null || value === undefined) {
+        return '<span class="cell-null">NULL</span>';
+    }
+
+    const sqlType = (column.sqlType || '').toLowerCase();
+
+    if (sqlType === 'bit') {
+        return `<input type="checkbox" class="form-check-input cell-bit" disabled ${value === true || value === 1 || value === '1' ? 'checked' : ''}>`;
+    }
+    if (SQL_DATETIME_TYPES.includes(sqlType)) {
+        return escapeHtml(formatSqlDateTime(value, sqlType));
+    }
+    if (SQL_BINARY_TYPES.includes(sqlType)) {
+        const text = String(value);
+        const shown = text.length > 66 ? `${text.slice(0, 66)}…` : text;
+        return `<span class="cell-binary" title="${text.length > 66 ? `${(text.length - 2) / 2} bytes` : ''}">${escapeHtml(shown)}</span>`;
+    }
+    if (sqlType === 'xml' || looksLikeJson(value)) {
+        const kind = sqlType === 'xml' ? 'xml' : 'json';
+        const text = String(value);
+        const shown = text.length > 60 ? `${text.slice(0, 60)}…` : text;
+        return `<a href="#" class="cell-document" data-kind="${kind}" data-set="${location.set}" data-row="${location.row}" data-col="${location.col}">${escapeHtml(shown)}</a>`;
+    }
+
+    return escapeHtml(value);
+}
+
+// Render a cell value as plain text, used for copying and filtering
+function formatCellText(value, column) {
+    if (value === null || value === undefined) return 'NULL';
+
+    const sqlType = (column.sqlType || '').toLowerCase();
+    if (sqlType === 'bit') {
+        return value === true || value === 1 || value === '1' ? '1' : '0';
+    }
+    if (SQL_DATETIME_TYPES.includes(sqlType)) {
+        return formatSqlDateTime(value, sqlType);
+    }
+    return String(value);
+}
+
+// Compare two cell values of the same column; NULL sorts first like SQL Server
+function compareCellValues(a, b, column) {
+    const aIsNull = a === null || a === undefined;
+    const bIsNull = b === null || b === undefined;
+    if (aIsNull || bIsNull) {
+        return aIsNull === bIsNull ? 0 : (aIsNull ? -1 : 1);
+    }
+
+    const sqlType = (column.sqlType || '').toLowerCase();
+    if (SQL_NUMERIC_TYPES.includes(sqlType)) {
+        return Number(a) - Number(b);
+    }
+    if (sqlType === 'bit') {
+        return Number(a === true || a === 1 || a === '1') - Number(b === true || b === 1 || b === '1');
+    }
+    if (SQL_DATETIME_TYPES.includes(sqlType) || SQL_BINARY_TYPES.includes(sqlType)) {
+        // ISO date/time strings and hex strings order correctly as plain text
+        return a < b ? -1 : (a > b ? 1 : 0);
+    }
+    return String(a).localeCompare(String(b), undefined, { sensitivity: 'base' });
+}
+
+// Check a cell value against a column filter.
+// Supports plain "contains" text, NULL / NOT NULL and =, <>, >, >=, <, <= comparisons.
+function matchesGridFilter(value, column, filter) {
+    const text = filter.trim();
+    if (!text) return true;
+
+    const isNull = value === null || value === undefined;
+    if (/^null$/i.test(text)) return isNull;
+    if (/^not\s+null$/i.test(text)) return !isNull;
+
+    const comparison = /^(>=|<=|<>|!=|=|>|<)\s*(.*)$/.exec(text);
+    if (comparison) {
+        if (isNull) return false;
+        const result = compareCellValues(formatCellText(value, column), comparison[2], column);
+        switch (comparison[1]) {
+            case '=': return result === 0;
+            case '<>':
+            case '!=': return result !== 0;
+            case '>': return result > 0;
+            case '>=': return result >= 0;
+            case '<': return result < 0;
+            case '<=': return result <= 0;
+        }
+    }
+
+    return formatCellText(value, column).toLowerCase().includes(text.toLowerCase());
+}
+
+// Pick a starting width for a grid column from its type and first values
+function getDefaultColumnWidth(column, rows, colIndex) {
+    const sqlType = (column.sqlType || '').toLowerCase();
+    if (sqlType === 'bit') return 60;
+
+    let longest = getColumnDisplayName(column).length + 2;
+    rows.slice(0, 50).forEach(row => {
+        longest = Math.max(longest, formatCellText(row[colIndex], column).length);
+    });
+    return Math.min(320, Math.max(70, Math.round(longest * 7.5) + 20));
+}
+
+// Row height used to virtualize the result grid; must match .result-grid td
+const GRID_ROW_HEIGHT = 26;
+const GRID_OVERSCAN = 10;
+const GRID_ROW_NUMBER_WIDTH = 56;
+
+// Create an interactive grid for one result set: virtualized rows, sorting,
+// per-column filters, column resize/hide and cell/range copy
+function createResultGrid(container, resultSet, setIndex) {
+    const columns = resultSet.columns || [];
+    const rows = resultSet.rows || (resultSet.rows = []);
+    const state = {
+        sortColumn: null,
+        sortDirection: 0, // 1 ascending, -1 descending
+        filters: columns.map(() => ''),
+        hidden: columns.map(() => false),
+        widths: columns.map((column, index) => getDefaultColumnWidth(column, rows, index)),
+        viewRows: [], // indexes into rows after filtering and sorting
+        rowCount: 0, // rows already taken into viewRows
+        rendered: null, // { first, last } view rows currently in the table body
+        selection: null, // { anchor, focus } in view row / visible column positions
+        selecting: false
+    };
+
+    container.innerHTML = `
+        <div class="result-grid" tabindex="0">
+            <div class="result-grid-toolbar">
+                <strong>Result set ${setIndex + 1}</strong>
+                ${resultSet.batch ? `<span class="badge bg-light text-dark border">Batch ${resultSet.batch}${resultSet.batchRun ? `, run ${resultSet.batchRun}` : ''}</span>` : ''}
+                <span class="result-grid-counter text-muted"></span>
+                <div class="result-grid-actions">
+                    <div class="dropdown d-inline-block">
+                        <button class="btn btn-sm btn-outline-secondary dropdown-toggle" data-bs-toggle="dropdown" data-bs-auto-close="outside">Columns</button>
+                        <div class="dropdown-menu result-grid-columns"></div>
+                    </div>
+                    <button class="btn btn-sm btn-outline-secondary" data-action="copy" title="Copy selection (Ctrl+C)">Copy</button>
+                    <button class="btn btn-sm btn-outline-secondary" data-action="copy-headers">Copy with headers</button>
+                    <button class="btn btn-sm btn-outline-secondary" data-action="clear-filters">Clear filters</button>
+                    <div class="dropdown d-inline-block">
+                        <button class="btn btn-sm btn-outline-primary dropdown-toggle" data-bs-toggle="dropdown">Export</button>
+                        <div class="dropdown-menu dropdown-menu-end">
+                            <button class="dropdown-item" data-action="export" data-format="csv">CSV (.csv)</button>
+                            <button class="dropdown-item" data-action="export" data-format="json">JSON (.json)</button>
+                            <button class="dropdown-item" data-action="export" data-format="xlsx">Excel workbook (.xlsx)</button>
+                            <button class="dropdown-item" data-action="export" data-format="insert">INSERT script (.sql)</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+            <div class="result-grid-viewport">
+                <table class="result-grid-table">
+                    <colgroup></colgroup>
+                    <thead></thead>
+                    <tbody></tbody>
+                </table>
+            </div>
+        </div>`;
+
+    const gridElement = container.querySelector('.result-grid');
+    const viewport = container.querySelector('.result-grid-viewport');
+    const table = container.querySelector('.result-grid-table');
+    const colgroup = table.querySelector('colgroup');
+    const thead = table.querySelector('thead');
+    const tbody = table.querySelector('tbody');
+    const counter = container.querySelector('.result-grid-counter');
+    const columnMenu = container.querySelector('.result-grid-columns');
+
+    const visibleColumns = () => columns.map((column, index) => index).filter(index => !state.hidden[index]);
+
+    const getActiveFilters = () => state.filters
+        .map((filter, index) => ({ filter, index }))
+        .filter(entry => entry.filter.trim() !== '');
+
+    const matchesFilters = (row, activeFilters) =>
+        activeFilters.every(({ filter, index }) => matchesGridFilter(row[index], columns[index], filter));
+
+    const isSorted = () => state.sortColumn !== null && state.sortDirection !== 0;
+
+    function sortViewRows() {
+        const column = columns[state.sortColumn];
+        state.viewRows.sort((a, b) =>
+            (compareCellValues(rows[a][state.sortColumn], rows[b][state.sortColumn], column) || a - b) * state.sortDirection);
+    }
+
+    // Recompute the filtered and sorted row order
+    function applyView() {
+        const activeFilters = getActiveFilters();
+        state.viewRows = [];
+        rows.forEach((row, rowIndex) => {
+            if (matchesFilters(row, activeFilters)) {
+                state.viewRows.push(rowIndex);
+            }
+        });
+        state.rowCount = rows.length;
+
+        if (isSorted()) {
+            sortViewRows();
+        }
+
+        state.selection = null;
+        renderBody();
+        updateCounter();
+    }
+
+    // Take in rows appended to the result set while a job streams them. The
+    // selection stays on the same rows and the rows in view stay in view.
+    function appendRows() {
+        const activeFilters = getActiveFilters();
+        const added = [];
+        for (let rowIndex = state.rowCount; rowIndex < rows.length; rowIndex++) {
+            if (matchesFilters(rows[rowIndex], activeFilters)) {
+                added.push(rowIndex);
+            }
+        }
+        state.rowCount = rows.length;
+        if (!added.length) {
+            updateCounter();
+            return;
+        }
+
+        if (!isSorted()) {
+            // New rows go after the existing ones, so no position changes
+            const previousTotal = state.viewRows.length;
+            added.forEach(rowIndex => state.viewRows.push(rowIndex));
+            const { first, last } = getRenderWindow();
+            const spacer = tbody.lastElementChild;
+            if (previousTotal > 0 && state.rendered && first === state.rendered.first && last === state.rendered.last &&
+                spacer && spacer.classList.contains('grid-spacer')) {
+                // The rows on screen are unchanged: keep them and only grow the bottom spacer
+                spacer.firstElementChild.style.height = `${(state.viewRows.length - last) * GRID_ROW_HEIGHT}px`;
+            } else {
+                renderBody();
+            }
+            updateCounter();
+            return;
+        }
+
+        // Sorting may place new rows anywhere: follow the selected rows and the top row by row index
+        const topPosition = Math.floor(viewport.scrollTop / GRID_ROW_HEIGHT);
+        const topRow = state.viewRows[topPosition];
+        const topOffset = viewport.scrollTop - topPosition * GRID_ROW_HEIGHT;
+        const selection = state.selection && {
+            anchor: { row: state.viewRows[state.selection.anchor.row], col: state.selection.anchor.col },
+            focus: { row: state.viewRows[state.selection.focus.row], col: state.selection.focus.col }
+        };
+
+        added.forEach(rowIndex => state.viewRows.push(rowIndex));
+        sortViewRows();
+        const positions = new Map(state.viewRows.map((rowIndex, position) => [rowIndex, position]));
+
+        if (selection) {
+            state.selection = {
+                anchor: { row: positions.get(selection.anchor.row), col: selection.anchor.col },
+                focus: { row: positions.get(selection.focus.row), col: selection.focus.col }
+            };
+        }
+        renderBody();
+        if (topRow !== undefined) {
+            const scrollTop = positions.get(topRow) * GRID_ROW_HEIGHT + topOffset;
+            if (viewport.scrollTop !== scrollTop) {
+                viewport.scrollTop = scrollTop;
+                renderBody();
+            }
+        }
+        updateCounter();
+    }
+
+    function updateCounter() {
+        const total = rows.length;
+        const shown = state.viewRows.length;
+        let text = shown === total ? `${total.toLocaleString()} ${total === 1 ? 'row' : 'rows'}` :
+            `${shown.toLocaleString()} of ${total.toLocaleString()} rows`;
+        const range = getSelectionRange();
+        if (range) {
+            text += ` · ${range.bottom - range.top + 1} × ${range.right - range.left + 1} selected`;
+        }
+        counter.textContent = text;
+    }
+
+    function renderColumnMenu() {
+        columnMenu.innerHTML = columns.map((column, index) => `
+            <label class="dropdown-item">
+                <input type="checkbox" class="form-check-input me-2" data-col="${index}" ${state.hidden[index] ? '' : 'checked'}>
+                ${escapeHtml(getColumnDisplayName(column))}
+            </label>`).join('');
+    }
+
+    function updateTableWidth() {
+        const width = GRID_ROW_NUMBER_WIDTH + visibleColumns().reduce((sum, index) => sum + state.widths[index], 0);
+        table.style.width = `${width}px`;
+    }
+
+    function renderHeader() {
+        const visible = visibleColumns();
+        colgroup.innerHTML = `<col style="width:${GRID_ROW_NUMBER_WIDTH}px">` +
+            visible.map(index => `<col data-col="${index}" style="width:${state.widths[index]}px">`).join('');
+
+        const headerCells = visible.map(index => {
+            const column = columns[index];
+            const typeHint = `${column.sqlType || ''}${column.nullable ? ', null' : ', not null'}`;
+            const sortMark = state.sortColumn === index ? (state.sortDirection === 1 ? ' ▲' : (state.sortDirection === -1 ? ' ▼' : '')) : '';
+            return `<th data-col="${index}" title="${escapeHtml(typeHint)}"><span class="grid-header-label">${escapeHtml(getColumnDisplayName(column))}${sortMark}</span><span class="grid-resize-handle" data-col="${index}"></span></th>`;
+        }).join('');
+
+        const filterCells = visible.map(index =>
+            `<th class="grid-filter-cell"><input type="text" class="form-control form-control-sm grid-filter" data-col="${index}" placeholder="Filter" value="${escapeHtml(state.filters[index])}"></th>`
+        ).join('');
+
+        thead.innerHTML = `<tr class="grid-header-row"><th class="grid-row-number" title="Select all">#</th>${headerCells}</tr>` +
+            `<tr class="grid-filter-row"><th class="grid-row-number"></th>${filterCells}</tr>`;
+        updateTableWidth();
+    }
+
+    function getSelectionRange() {
+        if (!state.selection) return null;
+        const { anchor, focus } = state.selection;
+        return {
+            top: Math.min(anchor.row, focus.row),
+            bottom: Math.max(anchor.row, focus.row),
+            left: Math.min(anchor.col, focus.col),
+            right: Math.max(anchor.col, focus.col)
+        };
+    }
+
+    // View rows to render for the current scroll position, with some overscan
+    function getRenderWindow() {
+        const total = state.viewRows.length;
+        const viewportHeight = viewport.clientHeight || 400;
+        const first = Math.max(0, Math.floor(viewport.scrollTop / GRID_ROW_HEIGHT) - GRID_OVERSCAN);
+        const last = Math.min(total, first + Math.ceil(viewportHeight / GRID_ROW_HEIGHT) + GRID_OVERSCAN * 2);
+        return { first, last };
+    }
+
+    function renderBody() {
+        const visible = visibleColumns();
+        const total = state.viewRows.length;
+        const { first, last } = getRenderWindow();
+        const range = getSelectionRange();
+        const spacer = height => height > 0 ?
+            `<tr class="grid-spacer"><td colspan="${visible.length + 1}" style="height:${height}px"></td></tr>` : '';
+
+        let html = spacer(first * GRID_ROW_HEIGHT);
+        for (let viewRow = first; viewRow < last; viewRow++) {
+            const rowIndex = state.viewRows[viewRow];
+            const row = rows[rowIndex];
+            const rowSelected = range && viewRow >= range.top && viewRow <= range.bottom;
+            html += `<tr data-view-row="${viewRow}"><td class="grid-row-number${rowSelected ? ' grid-row-selected' : ''}">${rowIndex + 1}</td>`;
+            visible.forEach((colIndex, position) => {
+                const column = columns[colIndex];
+                const classes = [];
+                if (SQL_NUMERIC_TYPES.includes((column.sqlType || '').toLowerCase())) classes.push('cell-numeric');
+                if (rowSelected && position >= range.left && position <= range.right) classes.push('grid-cell-selected');
+                const cell = formatCellHtml(row[colIndex], column, { set: setIndex, row: rowIndex, col: colIndex });
+                html += `<td data-pos="${position}"${classes.length ? ` class="${classes.join(' ')}"` : ''}>${cell}</td>`;
+            });
+            html += '</tr>';
+        }
+        html += spacer((total - last) * GRID_ROW_HEIGHT);
+        if (total === 0) {
+            html = `<tr><td colspan="${visible.length + 1}" class="text-muted text-center">${rows.length ? 'No rows match the filters.' : 'No rows.'}</td></tr>`;
+        }
+        tbody.innerHTML = html;
+        state.rendered = { first, last };
+    }
+
+    function setSelection(anchor, focus) {
+        state.selection = { anchor, focus };
+        renderBody();
+        updateCounter();
+    }
+
+    // Build tab-separated text for the selected range, or the whole view when nothing is selected
+    function getSelectionText(includeHeaders) {
+        const visible = visibleColumns();
+        const range = getSelectionRange() || {
+            top: 0, bottom: state.viewRows.length - 1, left: 0, right: visible.length - 1
+        };
+        const selectedColumns = visible.slice(range.left, range.right + 1);
+        const lines = [];
+        if (includeHeaders) {
+            lines.push(selectedColumns.map(index => getColumnDisplayName(columns[index])).join('\t'));
+        }
+        for (let viewRow = range.top; viewRow <= range.bottom; viewRow++) {
+            const row = rows[state.viewRows[viewRow]];
+            lines.push(selectedColumns.map(index => formatCellText(row[index], columns[index]).replace(/[\t\r\n]+/g, ' ')).join('\t'));
+        }
+        return lines.join('\r\n');
+    }
+
+    async function copySelection(includeHeaders) {
+        try {
+            await navigator.clipboard.writeText(getSelectionText(includeHeaders));
+            const range = getSelectionRange();
+            showMessage(range ? 'Selection copied to clipboard' : `Result set ${setIndex + 1} copied to clipboard`);
+        } catch (err) {
+            showMessage('Failed to copy: ' + err.message, true);
+        }
+    }
+
+    function cellFromEvent(event) {
+        const cell = event.target.closest('td');
+        const rowElement = cell && cell.parentElement;
+        if (!cell || !rowElement || rowElement.dataset.viewRow === undefined) return null;
+        const row = Number(rowElement.dataset.viewRow);
+        if (cell.classList.contains('grid-row-number')) {
+            return { row, col: null };
+        }
+        return { row, col: Number(cell.dataset.pos) };
+    }
+
+    // Scrolling only re-renders the rows in view
+    let scrollFrame = null;
+    viewport.addEventListener('scroll', () => {
+        if (scrollFrame) return;
+        scrollFrame = requestAnimationFrame(() => {
+            scrollFrame = null;
+            renderBody();
+        });
+    });
+
+    // Sorting cycles ascending, descending and original order
+    thead.addEventListener('click', event => {
+        if (event.target.closest('.grid-resize-handle') || event.target.closest('.grid-filter-cell')) return;
+        const header = event.target.closest('th');
+        if (!header) return;
+
+        if (header.classList.contains('grid-row-number')) {
+            if (state.viewRows.length) {
+                setSelection({ row: 0, col: 0 }, { row: state.viewRows.length - 1, col: visibleColumns().length - 1 });
+            }
+            return;
+        }
+
+        const colIndex = Number(header.dataset.col);
+        if (state.sortColumn !== colIndex) {
+            state.sortColumn = colIndex;
+            state.sortDirection = 1;
+        } else {
+            state.sortDirection = state.sortDirection === 1 ? -1 : (state.sortDirection === -1 ? 0 : 1);
+        }
+        renderHeader();
+        applyView();
+    });
+
+    let filterTimer = null;
+    thead.addEventListener('input', event => {
+        if (!event.target.classList.contains('grid-filter')) return;
+        state.filters[Number(event.target.dataset.col)] = event.target.value;
+        clearTimeout(filterTimer);
+        filterTimer = setTimeout(applyView, 150);
+    });
+
+    // Column resize by dragging the right edge of a header
+    thead.addEventListener('mousedown', event => {
+        const handle = event.target.closest('.grid-resize-handle');
+        if (!handle) return;
+        event.preventDefault();
+
+        const colIndex = Number(handle.dataset.col);
+        const startX = event.clientX;
+        const startWidth = state.widths[colIndex];
+        const col = colgroup.querySelector(`col[data-col="${colIndex}"]`);
+
+        const onMove = moveEvent => {
+            state.widths[colIndex] = Math.max(40, startWidth + moveEvent.clientX - startX);
+            col.style.width = `${state.widths[colIndex]}px`;
+            updateTableWidth();
+        };
+        const onUp = () => {
+            document.removeEventListener('mousemove', onMove);
+            document.removeEventListener('mouseup', onUp);
+        };
+        document.addEventListener('mousemove', onMove);
+        document.addEventListener('mouseup', onUp);
+    });
+
+    // Cell and range selection: click, shift+click, drag, or row numbers for whole rows
+    tbody.addEventListener('mousedown', event => {
+        const cell = cellFromEvent(event);
+        if (!cell || event.button !== 0) return;
+        gridElement.focus({ preventScroll: true });
+
+        const lastCol = visibleColumns().length - 1;
+        if (cell.col === null) {
+            const anchor = event.shiftKey && state.selection ? state.selection.anchor : { row: cell.row, col: 0 };
+            setSelection({ row: anchor.row, col: 0 }, { row: cell.row, col: lastCol });
+            return;
+        }
+
+        const anchor = event.shiftKey && state.selection ? state.selection.anchor : cell;
+        state.selecting = true;
+        document.addEventListener('mouseup', () => {
+            state.selecting = false;
+        }, { once: true });
+        setSelection(anchor, cell);
+    });
+
+    tbody.addEventListener('mouseover', event => {
+        if (!state.selecting) return;
+        const cell = cellFromEvent(event);
+        if (!cell || cell.col === null) return;
+        const { focus } = state.selection;
+        if (focus.row !== cell.row || focus.col !== cell.col) {
+            setSelection(state.selection.anchor, cell);
+        }
+    });
+
+    gridElement.addEventListener('keydown', event => {
+        if (event.target.classList.contains('grid-filter')) return;
+        const key = event.key.toLowerCase();
+        if ((event.ctrlKey || event.metaKey) && key === 'c') {
+            event.preventDefault();
+            copySelection(event.shiftKey);
+        } else if ((event.ctrlKey || event.metaKey) && key === 'a') {
+            event.preventDefault();
+            if (state.viewRows.length) {
+                setSelection({ row: 0, col: 0 }, { row: state.viewRows.length - 1, col: visibleColumns().length - 1 });
+            }
+        } else if (key === 'escape' && state.selection) {
+            state.selection = null;
+            renderBody();
+            updateCounter();
+        }
+    });
+
+    container.querySelector('.result-grid-toolbar').addEventListener('click', event => {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+        switch (button.dataset.action) {
+            case 'copy':
+                copySelection(false);
+                break;
+            case 'copy-headers':
+                copySelection(true);
+                break;
+            case 'clear-filters':
+                state.filters = columns.map(() => '');
+                renderHeader();
+                applyView();
+                break;
+            case 'export':
+                exportResultGrid(grid, button.dataset.format);
+                break;
+        }
+    });
+
+    columnMenu.addEventListener('change', event => {
+        const colIndex = Number(event.target.dataset.col);
+        const visibleCount = visibleColumns().length;
+        if (!event.target.checked && visibleCount === 1) {
+            // Keep at least one column on screen
+            event.target.checked = true;
+            return;
+        }
+        state.hidden[colIndex] = !event.target.checked;
+        state.selection = null;
+        renderHeader();
+        renderBody();
+        updateCounter();
+    });
+
+    renderColumnMenu();
+    renderHeader();
+    applyView();
+
+    const grid = {
+        element: gridElement,
+        resultSet,
+        setIndex,
+        // Re-read rows after more were appended, keeping sort, filters, selection and scroll
+        refresh: appendRows,
+        getViewRows: () => state.viewRows.map(index => rows[index]),
+        getVisibleColumns: () => visibleColumns().map(index => ({ ...columns[index], index }))
+    };
+    return grid;
+}
+
+// Trigger a browser download of generated content
+function downloadFile(fileName, content, mimeType) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Timestamp used in export file names, e.g. 20240131_142501
+function getFileTimestamp() {
+    const now = new Date();
+    const pad = value => String(value).padStart(2, '0');
+    return `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}_` +
+        `${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+}
+
+// Make column names unique and non-empty for formats that key values by name
+function getExportColumnNames(columns) {
+    const used = {};
+    return columns.map((column, position) => {
+        const baseName = column.name || `Column${position + 1}`;
+        let name = baseName;
+        let suffix = 2;
+        while (used[name.toLowerCase()]) {
+            name = `${baseName}_${suffix++}`;
+        }
+        used[name.toLowerCase()] = true;
+        return name;
+    });
+}
+
+// Export the rows a grid currently shows (after filters and sorting) in the given format
+function exportResultGrid(grid, format) {
+    const columns = grid.getVisibleColumns();
+    const rows = grid.getViewRows().map(row => columns.map(column => row[column.index]));
+    const baseName = `ResultSet${grid.setIndex + 1}_${getFileTimestamp()}`;
+
+    try {
+        switch (format) {
+            case 'csv':
+                // Byte order mark so Excel detects UTF-8
+                downloadFile(`${baseName}.csv`, '\uFEFF' + buildCsv(columns, rows), 'text/csv;charset=utf-8');
+                break;
+            case 'json':
+                downloadFile(`${baseName}.json`, buildJsonExport(columns, rows), 'application/json');
+                break;
+            case 'xlsx':
+                downloadFile(`${baseName}.xlsx`, buildXlsx(columns, rows, `Result set ${grid.setIndex + 1}`),
+                    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+                break;
+            case 'insert': {
+                const tableName = prompt('Target table for the INSERT statements:', `dbo.ResultSet${grid.setIndex + 1}`);
+                if (!tableName) return;
+                downloadFile(`${baseName}.sql`, buildInsertScript(columns, rows, tableName), 'application/sql');
+                break;
+            }
+            default:
+                throw new Error(`Unknown export format: ${format}`);
+        }
+        showMessage(`Exported ${rows.length} rows of result set ${grid.setIndex + 1} as ${format.toUpperCase()}`);
+    } catch (error) {
+        console.error('Export failed:', error);
+        showMessage(`Export failed: ${error.message}`, true);
+    }
+}
+
+// RFC 4180 CSV: CRLF line breaks, fields with commas, quotes or line breaks are quoted
+function buildCsv(columns, rows) {
+    const quote = text => /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    const lines = [columns.map(column => quote(getColumnDisplayName(column))).join(',')];
+    rows.forEach(row => {
+        lines.push(row.map((value, position) =>
+            value === null || value === undefined ? '' : quote(formatCellText(value, columns[position]))
+        ).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+// JSON array of row objects keyed by (de-duplicated) column name
+function buildJsonExport(columns, rows) {
+    const names = getExportColumnNames(columns);
+    const objects = rows.map(row => {
+        const item = {};
+        row.forEach((value, position) => {
+            const sqlType = (columns[position].sqlType || '').toLowerCase();
+            if (value !== null && sqlType === 'bit') {
+                item[names[position]] = value === true || value === 1 || value === '1';
+            } else if (value !== null && SQL_DATETIME_TYPES.includes(sqlType)) {
+                item[names[position]] = formatSqlDateTime(value, sqlType);
+            } else {
+                item[names[position]] = value === undefined ? null : value;
+            }
+        });
+        return item;
+    });
+    return JSON.stringify(objects, null, 2);
+}
+
+// Quote an identifier for T-SQL, accepting names that are already bracketed
+function quoteSqlIdentifier(name) {
+    return name
+        .split('.')
+        .map(part => part.trim())
+        .map(part => /^\[.*\]$/.test(part) ? part : quoteSqlName(part))
+        .join('.');
+}
+
+// Format a value as a T-SQL literal according to its column type
+function toSqlLiteral(value, column) {
+    if (value === null || value === undefined) return 'NULL';
+
+    const sqlType = (column.sqlType || '').toLowerCase();
+    if (SQL_NUMERIC_TYPES.includes(sqlType)) return String(value);
+    if (sqlType === 'bit') return value === true || value === 1 || value === '1' ? '1' : '0';
+    if (SQL_BINARY_TYPES.includes(sqlType)) return String(value);
+    if (SQL_DATETIME_TYPES.includes(sqlType)) return `'${formatSqlDateTime(value, sqlType)}'`;
+
+    const text = String(value).replace(/'/g, "''");
+    // Unicode literal unless the column is known to be non-Unicode character data
+    return ['char', 'varchar', 'text', 'uniqueidentifier'].includes(sqlType) ? `'${text}'` : `N'${text}'`;
+}
+
+// INSERT INTO ... VALUES script; at most 1000 rows per statement as SQL Server allows
+function buildInsertScript(columns, rows, tableName) {
+    // rowversion/timestamp values are generated by the server and cannot be inserted
+    const insertable = columns
+        .map((column, position) => ({ column, position }))
+        .filter(({ column }) => !['timestamp', 'rowversion'].includes((column.sqlType || '').toLowerCase()));
+    if (insertable.length === 0) {
+        throw new Error('The result set has no insertable columns');
+    }
+
+    const names = getExportColumnNames(insertable.map(entry => entry.column));
+    const target = quoteSqlIdentifier(tableName);
+    const columnList = names.map(name => quoteSqlIdentifier(name)).join(', ');
+    const lines = [
+        `-- ${rows.length} rows exported ${new Date().toISOString()}`,
+        'SET NOCOUNT ON;',
+        ''
+    ];
+
+    for (let start = 0; start < rows.length; start += 1000) {
+        const chunk = rows.slice(start, start + 1000);
+        lines.push(`INSERT INTO ${target} (${columnList})`);
+        lines.push('VALUES');
+        chunk.forEach((row, index) => {
+            const values = insertable.map(({ column, position }) => toSqlLiteral(row[position], column)).join(', ');
+            lines.push(`    (${values})${index === chunk.length - 1 ? ';' : ','}`);
+        });
+        lines.push('');
+    }
+    return lines.join('\r\n');
+}
+
+// Escape text for XML content, dropping characters XML 1.0 cannot represent
+function escapeXml(value) {
+    return String(value)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Spreadsheet column letters for a zero-based index: 0 -> A, 26 -> AA
+function getSpreadsheetColumnName(index) {
+    let name = '';
+    let remaining = index + 1;
+    while (remaining > 0) {
+        const mod = (remaining - 1) % 26;
+        name = String.fromCharCode(65 + mod) + name;
+        remaining = Math.floor((remaining - 1) / 26);
+    }
+    return name;
+}
+
+// Convert an ISO date/time string to an Excel serial date number
+function toExcelSerialDate(isoValue) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}):(\d{2})(?:\.(\d+))?)?/.exec(isoValue);
+    if (!match) return null;
+    const [, year, month, day, hours = '0', minutes = '0', seconds = '0', fraction = '0'] = match;
+    const milliseconds = Number(`0.${fraction}`) * 1000;
+    const utc = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds), milliseconds);
+    return (utc - Date.UTC(1899, 11, 30)) / 86400000;
+}
+
+// Build a single-sheet .xlsx workbook (Office Open XML in a zip package)
+function buildXlsx(columns, rows, sheetName) {
+    // Style indexes defined in styles.xml below
+    const STYLE_HEADER = 1;
+    const STYLE_DATE = 2;
+    const STYLE_DATETIME = 3;
+
+    const cellXml = (ref, value, column) => {
+        if (value === null || value === undefined) return '';
+        const sqlType = (column.sqlType || '').toLowerCase();
+
+        if (sqlType === 'bit') {
+            return `<c r="${ref}" t="b"><v>${value === true || value === 1 || value === '1' ? 1 : 0}</v></c>`;
+        }
+        if (SQL_NUMERIC_TYPES.includes(sqlType) && isFinite(Number(value))) {
+            return `<c r="${ref}"><v>${Number(value)}</v></c>`;
+        }
+        if (['date', 'datetime', 'datetime2', 'smalldatetime'].includes(sqlType)) {
+            const serial = toExcelSerialDate(String(value));
+            if (serial !== null) {
+                return `<c r="${ref}" s="${sqlType === 'date' ? STYLE_DATE : STYLE_DATETIME}"><v>${serial}</v></c>`;
+            }
+        }
+        return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(formatCellText(value, column))}</t></is></c>`;
+    };
+
+    const headerCells = columns.map((column, position) =>
+        `<c r="${getSpreadsheetColumnName(position)}1" t="inlineStr" s="${STYLE_HEADER}"><is><t>${escapeXml(getColumnDisplayName(column))}</t></is></c>`
+    ).join('');
+    const dataRows = rows.map((row, rowIndex) => {
+        const rowNumber = rowIndex + 2;
+        const cells = row.map((value, position) =>
+            cellXml(`${getSpreadsheetColumnName(position)}${rowNumber}`, value, columns[position])
+        ).join('');
+        return `<row r="${rowNumber}">${cells}</row>`;
+    }).join('');
+
+    const lastCell = `${getSpreadsheetColumnName(Math.max(0, columns.length - 1))}${rows.length + 1}`;
+    const sheetXml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        `<dimension ref="A1:${lastCell}"/>` +
+        '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+        `<sheetData><row r="1">${headerCells}</row>${dataRows}</sheetData>` +
+        `<autoFilter ref="A1:${lastCell}"/>` +
+        '</worksheet>';
+
+    // Sheet names are limited to 31 characters and may not contain []:*?/\
+    const safeSheetName = sheetName.replace(/[\[\]:*?\/\\]/g, ' ').slice(0, 31);
+
+    const files = {
+        '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            '<Default Extension="xml" ContentType="application/xml"/>' +
+            '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+            '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+            '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+            '</Types>',
+        '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+            '</Relationships>',
+        'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+            `<sheets><sheet name="${escapeXml(safeSheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+            '</workbook>',
+        'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+            '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+            '</Relationships>',
+        'xl/styles.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm:ss"/></numFmts>' +
+            '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+            '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+            '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+            '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+            '<cellXfs count="4">' +
+            '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+            '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+            '<xf numFmtId="14" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+            '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+            '</cellXfs>' +
+            '</styleSheet>',
+        'xl/worksheets/sheet1.xml': sheetXml
+    };
+
+    return new Blob([buildZip(files)], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+}
+
+// CRC-32 lookup table for zip entries
+let crc32Table = null;
+
+function crc32(bytes) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crc32Table[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crc32Table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Build an uncompressed (stored) zip archive from a map of file name -> text content
+function buildZip(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    Object.entries(files).forEach(([name, content]) => {
+        const nameBytes = encoder.encode(name);
+        const data = encoder.encode(content);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true); // local file header signature
+        local.setUint16(4, 20, true);         // version needed to extract
+        local.setUint16(6, 0x0800, true);     // UTF-8 file names
+        local.setUint16(8, 0, true);          // stored, no compression
+        local.setUint16(10, 0, true);         // modification time
+        local.setUint16(12, 0x21, true);      // modification date (1980-01-01)
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        local.setUint16(28, 0, true);
+        localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true); // central directory signature
+        central.setUint16(4, 20, true);         // version made by
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, 0, true);
+        central.setUint16(14, 0x21, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, offset, true);    // offset of the local header
+        centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+        offset += 30 + nameBytes.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); // end of central directory signature
+    end.setUint16(8, Object.keys(files).length, true);
+    end.setUint16(10, Object.keys(files).length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const total = parts.reduce((sum, part) => sum + part.length, 0);
+    const zip = new Uint8Array(total);
+    let position = 0;
+    parts.forEach(part => {
+        zip.set(part, position);
+        position += part.length;
+    });
+    return zip;
+}
+
+// Display each result set in its own grid
+function displayResults(resultSets) {
+    const resultTable = document.getElementById('resultTable');
+    currentResultSets = resultSets || [];
+    resultGrids = [];
+    
+    if (!resultSets || !resultSets.length) {
+        resultTable.innerHTML = '<p>No results to display.</p>';
+        return;
+    }
+
+    console.log('Building result grids...', resultSets); // Debug line
+
+    resultTable.innerHTML = '';
+    resultSets.forEach((resultSet, setIndex) => addResultGrid(resultSet, setIndex));
+
+    // Switch to results tab
+    const resultsTab = document.querySelector('a[href="#results"]');
+    const tab = new bootstrap.Tab(resultsTab);
+    tab.show();
+}
+
+// Add a grid for one result set below the ones already shown
+function addResultGrid(resultSet, setIndex) {
+    const holder = document.createElement('div');
+    holder.className = 'result-grid-holder';
+    document.getElementById('resultTable').appendChild(holder);
+    const grid = createResultGrid(holder, resultSet, setIndex);
+    resultGrids[setIndex] = grid;
+    return grid;
+}
+
+// Open an XML or JSON cell value in the document viewer
+function openCellViewer(kind, value, title) {
+    let formatted = String(value);
+    try {
+        formatted = kind === 'xml' ? formatXml(formatted) : JSON.stringify(JSON.parse(formatted), null, 2);
+    } catch (e) {
+        console.warn('Could not format cell value:', e);
+    }
+
+    document.getElementById('cellViewerTitle').textContent = title;
+    document.getElementById('cellViewerContent').textContent = formatted;
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('cellViewerModal')).show();
+}
+
+// Copy the content of the cell viewer to the clipboard
+async function copyCellViewerContent() {
+    try {
+        await navigator.clipboard.writeText(document.getElementById('cellViewerContent').textContent);
+        showMessage('Value copied to clipboard');
+    } catch (err) {
+        showMessage('Failed to copy value: ' + err.message, true);
+    }
+}
+
+// Copy execution plan XML to clipboard
+async function copyPlanToClipboard() {
+    const planArea = document.getElementById('planArea');
+    if (!planArea.textContent) {
+        showMessage('No execution plan available to copy', true);
+        return;
+    }
+
+    try {
+        await navigator.clipboard.writeText(planArea.textContent);
+        showMessage('Execution plan copied to clipboard');
+    } catch (err) {
+        showMessage('Failed to copy execution plan: ' + err.message, true);
+    }
+} 
+
+// Object Explorer: objects loaded per request; "Load more" fetches the next page
+const EXPLORER_PAGE_SIZE = 100;
+
+// Folders shown under a schema and under a table or view
+const EXPLORER_SCHEMA_FOLDERS = [
+    { objectType: 'tables', label: 'Tables' },
+    { objectType: 'views', label: 'Views' },
+    { objectType: 'procedures', label: 'Stored Procedures' },
+    { objectType: 'functions', label: 'Functions' }
+];
+const EXPLORER_TABLE_FOLDERS = [
+    { objectType: 'columns', label: 'Columns' },
+    { objectType: 'indexes', label: 'Indexes' },
+    { objectType: 'keys', label: 'Keys', tablesOnly: true },
+    { objectType: 'triggers', label: 'Triggers' }
+];
+
+// Lists that can be long enough to need a filter box
+const EXPLORER_SEARCHABLE_TYPES = ['databases', 'tables', 'views', 'procedures', 'functions'];
+
+// Quote one part of an object name: Order Details -> [Order Details]
+function quoteSqlName(part) {
+    return `[${String(part).replace(/\]/g, ']]')}]`;
+}
+
+// Show or hide the Object Explorer; the choice is remembered
+function toggleObjectExplorer(show) {
+    const explorer = document.getElementById('objectExplorer');
+    const visible = typeof show === 'boolean' ? show : explorer.classList.contains('d-none');
+    explorer.classList.toggle('d-none', !visible);
+    document.body.classList.toggle('object-explorer-open', visible);
+    localStorage.setItem('objectExplorerVisible', String(visible));
+
+    const tree = document.getElementById('objectTree');
+    if (visible && tree.dataset.serverName !== document.getElementById('serverName').value.trim()) {
+        refreshObjectExplorer();
+    }
+}
+
+// Rebuild the tree for the server in the server name box
+function refreshObjectExplorer() {
+    const tree = document.getElementById('objectTree');
+    const serverName = document.getElementById('serverName').value.trim();
+    tree.dataset.serverName = serverName;
+    if (!serverName) {
+        tree.innerHTML = '<div class="text-muted small p-2">Enter a server name to browse its objects.</div>';
+        return;
+    }
+
+    tree.innerHTML = '';
+    const list = document.createElement('ul');
+    list.className = 'explorer-list';
+    list.appendChild(createExplorerNode({ kind: 'server', label: serverName }));
+    tree.appendChild(list);
+}
+
+// Nodes without children
+function isExplorerLeaf(node) {
+    return ['procedure', 'function', 'column', 'index', 'key', 'trigger'].includes(node.kind);
+}
+
+// Text a double-click inserts into the editor, or null
+function getExplorerInsertText(node) {
+    switch (node.kind) {
+        case 'database':
+            return quoteSqlName(node.database);
+        case 'schema':
+            return quoteSqlName(node.schema);
+        case 'table':
+        case 'view':
+        case 'procedure':
+        case 'function':
+            return `${quoteSqlName(node.schema)}.${quoteSqlName(node.label)}`;
+        case 'column':
+        case 'index':
+        case 'key':
+        case 'trigger':
+            return quoteSqlName(node.label);
+        default:
+            return null;
+    }
+}
+
+// Create the list item of a tree node. The arrow expands it; folders also expand
+// on a click of their label, and objects are inserted on double-click.
+function createExplorerNode(node) {
+    const item = document.createElement('li');
+    item.className = 'explorer-node';
+
+    const label = document.createElement('div');
+    label.className = `explorer-label explorer-${node.kind}`;
+    label.innerHTML = `<span class="explorer-toggle">${isExplorerLeaf(node) ? '' : '&#x25B8;'}</span>` +
+        `<span class="explorer-name">${escapeHtml(node.label)}</span>` +
+        (node.detail ? ` <small class="text-muted">${escapeHtml(node.detail)}</small>` : '');
+    item.appendChild(label);
+
+    const insertText = getExplorerInsertText(node);
+    if (SCRIPTABLE_KINDS.includes(node.kind)) {
+        label.addEventListener('contextmenu', function(event) {
+            event.preventDefault();
+            showScriptMenu(event.clientX, event.clientY, {
+                database: node.database,
+                schema: node.schema,
+                name: node.label,
+                objectType: node.kind
+            });
+        });
+    }
+    if (insertText) {
+        label.title = `Double-click to insert ${insertText}` +
+            (SCRIPTABLE_KINDS.includes(node.kind) ? '; right-click to script it' : '');
+        label.addEventListener('dblclick', function(event) {
+            event.preventDefault();
+            editor.insert(insertText);
+            editor.focus();
+        });
+    }
+
+    if (!isExplorerLeaf(node)) {
+        const children = document.createElement('ul');
+        children.className = 'explorer-list d-none';
+        item.appendChild(children);
+        label.addEventListener('click', function(event) {
+            if (insertText && !event.target.closest('.explorer-toggle')) return;
+            toggleExplorerNode(node, item);
+        });
+    }
+    return item;
+}
+
+// Expand or collapse a node; its children are loaded the first time
+async function toggleExplorerNode(node, item) {
+    const children = item.querySelector(':scope > .explorer-list');
+    const toggle = item.querySelector(':scope > .explorer-label .explorer-toggle');
+    const expanded = !children.classList.contains('d-none');
+    children.classList.toggle('d-none', expanded);
+    toggle.innerHTML = expanded ? '&#x25B8;' : '&#x25BE;';
+
+    if (!expanded && !item.dataset.loaded) {
+        item.dataset.loaded = 'true';
+        await loadExplorerChildren(node, children);
+    }
+}
+
+// Child folders that need no request, or null
+function getExplorerFolders(node) {
+    if (node.kind === 'schema') {
+        return EXPLORER_SCHEMA_FOLDERS.map(folder => ({
+            kind: 'folder',
+            label: folder.label,
+            objectType: folder.objectType,
+            database: node.database,
+            schema: node.schema
+        }));
+    }
+    if (node.kind === 'table' || node.kind === 'view') {
+        return EXPLORER_TABLE_FOLDERS
+            .filter(folder => node.kind === 'table' || !folder.tablesOnly)
+            .map(folder => ({
+                kind: 'folder',
+                label: folder.label,
+                objectType: folder.objectType,
+                database: node.database,
+                schema: node.schema,
+                table: node.label
+            }));
+    }
+    return null;
+}
+
+// Object type and context to request the children of a node
+function getExplorerRequest(node) {
+    switch (node.kind) {
+        case 'server':
+            return { objectType: 'databases', context: { includeSystem: true } };
+        case 'database':
+            return { objectType: 'schemas', context: { database: node.database } };
+        default:
+            return {
+                objectType: node.objectType,
+                context: { database: node.database, schema: node.schema, table: node.table }
+            };
+    }
+}
+
+// Turn an object returned by /api/database-objects into a tree node
+function toExplorerNode(parent, objectType, obj) {
+    const node = { label: obj.name, database: parent.database, schema: parent.schema, table: parent.table };
+    switch (objectType) {
+        case 'databases':
+            return { kind: 'database', label: obj.name, database: obj.name };
+        case 'schemas':
+            return { ...node, kind: 'schema', schema: obj.name };
+        case 'tables':
+            return { ...node, kind: 'table', schema: obj.schema };
+        case 'views':
+            return { ...node, kind: 'view', schema: obj.schema };
+        case 'procedures':
+            return { ...node, kind: 'procedure', schema: obj.schema };
+        case 'functions':
+            return { ...node, kind: 'function', schema: obj.schema, detail: obj.functionType };
+        case 'columns':
+            return {
+                ...node,
+                kind: 'column',
+                detail: `${obj.inPrimaryKey ? 'PK, ' : ''}${obj.dataType}${obj.identity ? ', identity' : ''}, ${obj.nullable ? 'null' : 'not null'}`
+            };
+        case 'indexes':
+            return { ...node, kind: 'index', detail: `${obj.indexType}${obj.isUnique ? ', unique' : ''} (${obj.columns})` };
+        case 'keys':
+            return {
+                ...node,
+                kind: 'key',
+                detail: `${obj.keyType} (${obj.columns})${obj.referencedTable ? ` → ${obj.referencedTable}` : ''}`
+            };
+        case 'triggers':
+            return { ...node, kind: 'trigger', detail: obj.isEnabled === false ? 'disabled' : '' };
+        default:
+            return { ...node, kind: 'folder' };
+    }
+}
+
+// Fetch one page of objects for the Object Explorer
+async function fetchExplorerObjects(objectType, context) {
+    const serverName = document.getElementById('objectTree').dataset.serverName;
+    const response = await fetch('/api/database-objects', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+            serverName,
+            profileId: getConnectionProfileId(serverName),
+            objectType,
+            context
+        })
+    });
+    const data = await response.json();
+    if (data.error) {
+        throw new Error(data.error);
+    }
+    return data;
+}
+
+// Load the children of a node into its list. Long lists get a filter box and
+// are loaded a page at a time.
+async function loadExplorerChildren(node, list, search = '', offset = 0) {
+    const folders = getExplorerFolders(node);
+    if (folders) {
+        folders.forEach(folder => list.appendChild(createExplorerNode(folder)));
+        return;
+    }
+
+    const { objectType, context } = getExplorerRequest(node);
+    if (offset === 0) {
+        // Keep the filter box (and its focus) while the list is reloaded
+        Array.from(list.children)
+            .filter(child => !child.classList.contains('explorer-search'))
+            .forEach(child => child.remove());
+        if (EXPLORER_SEARCHABLE_TYPES.includes(objectType) && !list.querySelector(':scope > .explorer-search')) {
+            list.appendChild(createExplorerSearch(node, list));
+        }
+    }
+
+    const status = document.createElement('li');
+    status.className = 'explorer-status text-muted';
+    status.textContent = 'Loading...';
+    list.appendChild(status);
+
+    try {
+        const data = await fetchExplorerObjects(objectType, { ...context, search, offset, limit: EXPLORER_PAGE_SIZE });
+        const objects = data.objects || [];
+        status.remove();
+
+        if (offset === 0 && objects.length === 0) {
+            status.textContent = search ? 'No matches' : '(empty)';
+            list.appendChild(status);
+            return;
+        }
+        objects.forEach(obj => list.appendChild(createExplorerNode(toExplorerNode(node, objectType, obj))));
+
+        if (data.hasMore) {
+            const more = document.createElement('li');
+            more.className = 'explorer-status';
+            more.innerHTML = `<a href="#">Load more (${(offset + objects.length).toLocaleString()} of ${Number(data.total).toLocaleString()})</a>`;
+            more.querySelector('a').addEventListener('click', function(event) {
+                event.preventDefault();
+                more.remove();
+                loadExplorerChildren(node, list, search, offset + objects.length);
+            });
+            list.appendChild(more);
+        }
+    } catch (error) {
+        console.error('Error loading Object Explorer:', error);
+        status.className = 'explorer-status text-danger';
+        status.textContent = error.message;
+    }
+}
+
+// Create the filter box of a list; typing reloads the list filtered by name
+function createExplorerSearch(node, list) {
+    const item = document.createElement('li');
+    item.className = 'explorer-search';
+    item.innerHTML = '<input type="search" class="form-control form-control-sm" placeholder="Filter by name">';
+
+    let filterTimer = null;
+    item.querySelector('input').addEventListener('input', function() {
+        clearTimeout(filterTimer);
+        filterTimer = setTimeout(() => loadExplorerChildren(node, list, this.value.trim()), 300);
+    });
+    return item;
+}
+
+// "Script as" actions and the object kinds each one applies to
+const SCRIPTABLE_KINDS = ['table', 'view', 'procedure', 'function'];
+const SCRIPT_ACTIONS = [
+    { scriptType: 'create', label: 'CREATE', kinds: SCRIPTABLE_KINDS },
+    { scriptType: 'alter', label: 'ALTER', kinds: ['view', 'procedure', 'function'] },
+    { scriptType: 'dropcreate', label: 'DROP and CREATE', kinds: SCRIPTABLE_KINDS },
+    { scriptType: 'select', label: 'SELECT TOP 1000', kinds: ['table', 'view'] },
+    { scriptType: 'insert', label: 'INSERT template', kinds: ['table', 'view'] },
+    { scriptType: 'update', label: 'UPDATE template', kinds: ['table', 'view'] },
+    { scriptType: 'exec', label: 'EXECUTE', kinds: ['procedure', 'function'] }
+];
+
+// Add a buffer for an Ace session; the first one is the editor's own session
+function addEditorBuffer(session, title = null) {
+    const id = ++editorBufferCount;
+    const buffer = { id, title: title || `Query ${id}`, session, initialText: session.getValue() };
+    editorBuffers.push(buffer);
+    if (!activeEditorBuffer) {
+        activeEditorBuffer = buffer;
+    }
+    renderEditorTabs();
+    return buffer;
+}
+
+// Open text in a new buffer and show it
+function openEditorBuffer(title = null, text = '') {
+    const session = ace.createEditSession(text, 'ace/mode/sql');
+    session.setUseWrapMode(true);
+    const buffer = addEditorBuffer(session, title);
+    switchEditorBuffer(buffer.id);
+    return buffer;
+}
+
+// Show another buffer in the editor
+function switchEditorBuffer(id) {
+    const buffer = editorBuffers.find(candidate => candidate.id === id);
+    if (!buffer) return;
+    activeEditorBuffer = buffer;
+    editor.setSession(buffer.session);
+    renderEditorTabs();
+    editor.focus();
+}
+
+// Close a buffer, asking first when its text was changed. The last buffer stays open.
+function closeEditorBuffer(id) {
+    const index = editorBuffers.findIndex(candidate => candidate.id === id);
+    if (index === -1 || editorBuffers.length === 1) return;
+
+    const buffer = editorBuffers[index];
+    const text = buffer.session.getValue();
+    if (text.trim() && text !== buffer.initialText && !confirm(`Close "${buffer.title}"? Its changes will be lost.`)) {
+        return;
+    }
+
+    editorBuffers.splice(index, 1);
+    if (buffer === activeEditorBuffer) {
+        switchEditorBuffer(editorBuffers[Math.min(index, editorBuffers.length - 1)].id);
+    } else {
+        renderEditorTabs();
+    }
+}
+
+// Draw the buffer tabs above the editor
+function renderEditorTabs() {
+    const tabs = document.getElementById('editorTabs');
+    if (!tabs) return;
+    const closable = editorBuffers.length > 1;
+    tabs.innerHTML = editorBuffers.map(buffer => `
+        <li class="nav-item">
+            <a href="#" class="nav-link${buffer === activeEditorBuffer ? ' active' : ''}" data-buffer-id="${buffer.id}" title="${escapeHtml(buffer.title)}">
+                <span class="editor-tab-title">${escapeHtml(buffer.title)}</span>${closable ? '<span class="editor-tab-close" title="Close">&times;</span>' : ''}
+            </a>
+        </li>`).join('') +
+        '<li class="nav-item"><a href="#" class="nav-link" data-buffer-id="new" title="New query">+</a></li>';
+}
+
+// Fill a menu with the "Script as" actions for an object kind (all of them when the kind is unknown)
+function renderScriptActions(menu, kind) {
+    menu.innerHTML = SCRIPT_ACTIONS
+        .filter(action => !kind || action.kinds.includes(kind))
+        .map(action => `<button type="button" class="dropdown-item" data-script-type="${action.scriptType}">${action.label}</button>`)
+        .join('');
+}
+
+// Open the floating "Script as" menu at a point for an object of the Object Explorer
+function showScriptMenu(x, y, target) {
+    const menu = document.getElementById('scriptMenu');
+    scriptMenuTarget = target;
+    renderScriptActions(menu, target.objectType);
+    menu.insertAdjacentHTML('afterbegin',
+        `<h6 class="dropdown-header">Script ${escapeHtml(`${target.schema}.${target.name}`)} as</h6>`);
+    menu.style.left = `${x}px`;
+    menu.style.top = `${y}px`;
+    menu.classList.add('show');
+}
+
+function hideScriptMenu() {
+    document.getElementById('scriptMenu').classList.remove('show');
+    scriptMenuTarget = null;
+}
+
+// Get the object named under the editor cursor as { database, schema, name }, or null.
+// An alias (o in o.OrderID) stands for the table it was given to.
+function getObjectAtCursor() {
+    const { row, column } = editor.getCursorPosition();
+    const line = editor.session.getLine(row);
+    const namePattern = new RegExp(`${SQL_NAME_PATTERN}(?:\\s*\\.\\s*(?:${SQL_NAME_PATTERN})?)*`, 'g');
+    let match;
+    while ((match = namePattern.exec(line)) !== null) {
+        if (match.index > column) break;
+        if (column > match.index + match[0].length) continue;
+
+        let parts = parseSqlNameParts(match[0]);
+        const batch = getCursorBatch(editor.session, row, column);
+        const aliased = parseSqlTableReferences(batch.text).references.filter(reference => reference.alias && reference.parts);
+        const reference = findSqlReference(aliased, parts[0], batch.offset);
+        if (reference) {
+            parts = reference.parts;
+        }
+
+        const [database, schema, name] = [null, null, null, ...parts].slice(-3);
+        return name ? { database: database || currentDatabase, schema, name } : null;
+    }
+    return null;
+}
+
+// Script the object under the editor cursor
+function scriptObjectAtCursor(scriptType) {
+    const target = getObjectAtCursor();
+    if (!target) {
+        showMessage('Place the cursor on the name of a table, view, procedure or function to script it.', true);
+        return;
+    }
+    scriptObject(document.getElementById('serverName').value, target, scriptType);
+}
+
+// Ask the server to script an object and open the script in a new buffer
+async function scriptObject(serverName, target, scriptType) {
+    if (!serverName) {
+        showMessage('Please provide a server name.', true);
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/script-object', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ serverName, profileId: getConnectionProfileId(serverName), scriptType, context: target })
+        });
+        const data = await response.json();
+        if (data.error) {
+            throw new Error(data.error);
+        }
+        openEditorBuffer(data.title, data.script);
+    } catch (error) {
+        console.error('Error scripting object:', error);
+        showMessage(error.message, true);
+    }
+}
+
+// Lint rules run over the editor text and show their findings as editor annotations.
+// A rule can be switched off or given another severity in the Lint menu; findings at
+// 'error' severity are blocking and Execute asks before running them.
+const LINT_SEVERITIES = ['off', 'info', 'warning', 'error'];
+const LINT_BADGES = {
+    error: 'bg-danger',
+    warning: 'bg-warning text-dark',
+    info: 'bg-info text-dark'
+};
+
+// Words that start a statement when they appear outside parentheses
+const SQL_STATEMENT_KEYWORDS = new Set([
+    'SELECT', 'INSERT', 'UPDATE', 'DELETE', 'MERGE', 'WITH', 'EXEC', 'EXECUTE', 'DECLARE', 'SET',
+    'IF', 'ELSE', 'WHILE', 'BEGIN', 'END', 'RETURN', 'PRINT', 'RAISERROR', 'THROW', 'CREATE',
+    'ALTER', 'DROP', 'TRUNCATE', 'USE', 'GRANT', 'DENY', 'REVOKE', 'COMMIT', 'ROLLBACK', 'SAVE',
+    'OPEN', 'FETCH', 'CLOSE', 'DEALLOCATE', 'BREAK', 'CONTINUE', 'GOTO', 'WAITFOR'
+]);
+
+// After these words a statement keyword continues the statement:
+// ON DELETE CASCADE, FOR UPDATE, INSTEAD OF INSERT, UNION SELECT, ROWS FETCH NEXT
+const SQL_CONTINUING_WORDS = new Set(['ON', 'FOR', 'AFTER', 'OF', ',', 'UNION', 'ALL', 'EXCEPT', 'INTERSECT', 'ROWS', 'ROW']);
+
+// Single-part names that are not tables missing a schema
+const SQL_SCHEMALESS_NAMES = new Set([
+    'inserted', 'deleted', 'statistics', 'of', 'cascade', 'openjson', 'openquery', 'openrowset',
+    'openxml', 'opendatasource', 'string_split', 'generate_series', 'changetable', 'containstable',
+    'freetexttable'
+]);
+
+// Functions that hide a column from an index seek when a predicate wraps it in them
+const NON_SARGABLE_FUNCTIONS = [
+    'ISNULL', 'COALESCE', 'CONVERT', 'CAST', 'TRY_CONVERT', 'TRY_CAST', 'YEAR', 'MONTH', 'DAY',
+    'DATEPART', 'DATENAME', 'DATEADD', 'DATEDIFF', 'EOMONTH', 'UPPER', 'LOWER', 'LTRIM', 'RTRIM',
+    'TRIM', 'SUBSTRING', 'LEFT', 'RIGHT', 'LEN', 'REPLACE', 'ABS', 'FLOOR', 'CEILING', 'ROUND', 'FORMAT'
+];
+
+// Blank out the text inside parentheses (keeping the parentheses and the offsets)
+function blankParenthesized(text) {
+    let depth = 0;
+    let result = '';
+    for (const char of text) {
+        if (char === ')') depth = Math.max(0, depth - 1);
+        result += depth > 0 && char !== '\n' ? ' ' : char;
+        if (char === '(') depth++;
+    }
+    return result;
+}
+
+// Split a batch whose comments and strings are masked (see maskSqlText) into statements.
+// Returns [{ start, end, text, verb, verbOffset }] where verb is the first keyword, or
+// for a statement with CTEs the keyword after them.
+function splitSqlStatements(masked) {
+    const statements = [];
+    const tokenPattern = /\[[^\]]*\]|"[^"]*"|[A-Za-z_@#][\w@#$]*|[(),;]/g;
+    const ctePattern = new RegExp(`^WITH\\s+${SQL_NAME_PATTERN}\\s*(?:\\([^()]*\\)\\s*)?AS\\s*\\(`, 'i');
+    let current = null;
+    let depth = 0;
+    let caseDepth = 0;
+    let previous = ';';
+
+    const endStatement = end => {
+        if (current) {
+            current.end = end;
+            current.text = masked.slice(current.start, end);
+            statements.push(current);
+            current = null;
+        }
+    };
+
+    // Whether a keyword outside parentheses belongs to the current statement
+    const continuesStatement = (word, index) => {
+        if (!SQL_STATEMENT_KEYWORDS.has(word) || SQL_CONTINUING_WORDS.has(previous)) return true;
+        if (word === 'ELSE' && caseDepth > 0) return true;
+        if (word === 'WITH' && !ctePattern.test(masked.slice(index))) return true;
+        if (word === 'UPDATE' && /^UPDATE\s*\(/i.test(masked.slice(index))) return true;
+        if (!current) return false;
+
+        switch (current.verb) {
+            case 'GRANT':
+            case 'DENY':
+            case 'REVOKE':
+                return true;
+            case 'MERGE':
+                return ['INSERT', 'UPDATE', 'DELETE', 'SET'].includes(word);
+            case 'WITH':
+                if (!['SELECT', 'INSERT', 'UPDATE', 'DELETE', 'MERGE'].includes(word)) return false;
+                current.verb = word;
+                current.verbOffset = index;
+                return true;
+            case 'UPDATE':
+                if (word !== 'SET' || current.hasSet) return false;
+                current.hasSet = true;
+                return true;
+            case 'INSERT':
+                if (!['SELECT', 'EXEC', 'EXECUTE'].includes(word) || current.hasSource) return false;
+                current.hasSource = true;
+                return true;
+            default:
+                return false;
+        }
+    };
+
+    let match;
+    while ((match = tokenPattern.exec(masked)) !== null) {
+        const token = match[0];
+        const word = token.toUpperCase();
+        if (token === '(') {
+            depth++;
+        } else if (token === ')') {
+            depth = Math.max(0, depth - 1);
+        } else if (token === ';') {
+            if (depth === 0) endStatement(match.index);
+        } else if (depth === 0 && /^[A-Z]/.test(word)) {
+            if (word === 'CASE') {
+                caseDepth++;
+            } else if (word === 'END' && caseDepth > 0) {
+                caseDepth--;
+                previous = word;
+                continue;
+            }
+            if (!continuesStatement(word, match.index)) {
+                endStatement(match.index);
+                current = { start: match.index, verb: word, verbOffset: match.index };
+            }
+        }
+        if (!current && token !== ';') {
+            current = { start: match.index, verb: word, verbOffset: match.index };
+        }
+        previous = word;
+    }
+    endStatement(masked.length);
+    return statements;
+}
+
+// Find every match of a global regex
+function findAllMatches(text, pattern) {
+    const matches = [];
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        matches.push(match);
+        if (match[0] === '') pattern.lastIndex++;
+    }
+    return matches;
+}
+
+// Find predicates that wrap a column in a function, and LIKE patterns with a leading wildcard
+function findNonSargablePredicates(statement, text) {
+    const findings = [];
+    const masked = statement.text;
+    const functionPattern = new RegExp(`\\b(${NON_SARGABLE_FUNCTIONS.join('|')})\\s*\\(`, 'gi');
+    const columnPattern = /(?<![@\w#$])(?:\[[^\]]+\]|[A-Za-z_][\w$]*)(?![\w@#$]|\s*\()/g;
+    const notColumns = new Set(['NULL', 'AND', 'OR', 'NOT', 'CASE', 'WHEN', 'THEN', 'ELSE', 'END', 'IS', 'AS', 'IN']);
+    let flaggedUntil = -1;
+    let match;
+    while ((match = functionPattern.exec(masked)) !== null) {
+        const open = match.index + match[0].length - 1;
+        const close = findClosingParen(masked, open);
+        if (close === -1) break;
+        if (match.index < flaggedUntil) continue;
+
+        // Only predicates of WHERE and ON matter: find the clause, skipping closed subqueries
+        let prefix = masked.slice(0, match.index);
+        while (/\([^()]*\)/.test(prefix)) {
+            prefix = prefix.replace(/\([^()]*\)/g, group => ' '.repeat(group.length));
+        }
+        const clauses = findAllMatches(prefix, /\b(WHERE|ON|SELECT|FROM|JOIN|SET|GROUP|ORDER|HAVING|VALUES|WHEN|THEN)\b/gi);
+        const clause = clauses.length ? clauses[clauses.length - 1][1].toUpperCase() : null;
+        if (clause !== 'WHERE' && clause !== 'ON') continue;
+
+        const compared = /^\s*(?:[=<>!]|NOT\b|LIKE\b|IN\b|BETWEEN\b)/i.test(masked.slice(close + 1)) ||
+            /(?:[=<>]|\bLIKE)\s*$/i.test(masked.slice(0, match.index));
+        if (!compared) continue;
+
+        // The data type argument of CONVERT, CAST and the date part of DATEADD are not columns
+        const name = match[1].toUpperCase();
+        let args = masked.slice(open + 1, close);
+        if (['CONVERT', 'TRY_CONVERT', 'DATEPART', 'DATENAME', 'DATEADD', 'DATEDIFF'].includes(name)) {
+            args = splitTopLevel(args).slice(1).join(',');
+        } else if (name === 'CAST' || name === 'TRY_CAST') {
+            args = args.replace(/\bAS\s+\w+\s*(?:\([^)]*\))?\s*$/i, '');
+        }
+        const columns = findAllMatches(args, columnPattern).filter(column => !notColumns.has(column[0].toUpperCase()));
+        if (columns.length === 0) continue;
+
+        flaggedUntil = close;
+        findings.push({
+            offset: statement.start + match.index,
+            message: `${name}() around a column in the ${clause} clause prevents an index seek`
+        });
+    }
+
+    const original = text.slice(statement.start, statement.end);
+    findAllMatches(original, /\bLIKE\s+N?'%/gi)
+        .filter(like => /^LIKE/i.test(masked.slice(like.index)))
+        .forEach(like => findings.push({
+            offset: statement.start + like.index,
+            message: 'LIKE with a leading wildcard cannot use an index seek'
+        }));
+    return findings;
+}
+
+// The rules: check({ text, masked, statements }) returns [{ offset, message }] with
+// offsets into the batch text
+const LINT_RULES = [
+    {
+        id: 'missing-where',
+        label: 'UPDATE or DELETE without WHERE',
+        severity: 'error',
+        check: ({ masked, statements }) => statements
+            .filter(statement => (statement.verb === 'UPDATE' || statement.verb === 'DELETE') &&
+                !/^UPDATE\s+STATISTICS\b/i.test(masked.slice(statement.verbOffset)) &&
+                !/\bWHERE\b/i.test(blankParenthesized(statement.text)))
+            .map(statement => ({
+                offset: statement.verbOffset,
+                message: `${statement.verb} without a WHERE clause affects every row`
+            }))
+    },
+    {
+        id: 'select-star',
+        label: 'SELECT *',
+        severity: 'warning',
+        check: ({ masked }) => findAllMatches(masked,
+            /(?:\bSELECT\s+(?:ALL\s+|DISTINCT\s+)?(?:TOP\s*(?:\([^)]*\)|\d+)(?:\s+PERCENT)?(?:\s+WITH\s+TIES)?\s+)?|,\s*|\.\s*)\*/gi)
+            .filter(match => {
+                const before = masked.slice(0, match.index);
+                return !/\bEXISTS\s*\(\s*$/i.test(before) && !/\b(?:inserted|deleted)\s*$/i.test(before);
+            })
+            .map(match => ({
+                offset: match.index + match[0].length - 1,
+                message: 'SELECT * returns every column; list the columns you need'
+            }))
+    },
+    {
+        id: 'nolock',
+        label: 'NOLOCK / READ UNCOMMITTED',
+        severity: 'warning',
+        check: ({ masked }) => findAllMatches(masked, /\b(?:NOLOCK|READUNCOMMITTED|READ\s+UNCOMMITTED)\b/gi)
+            .map(match => ({
+                offset: match.index,
+                message: `${match[0].toUpperCase().replace(/\s+/, ' ')} reads uncommitted data: rows can be missed, read twice or rolled back`
+            }))
+    },
+    {
+        id: 'non-sargable',
+        label: 'Non-SARGable predicates',
+        severity: 'warning',
+        check: ({ text, statements }) => statements.flatMap(statement => findNonSargablePredicates(statement, text))
+    },
+    {
+        id: 'top-without-order-by',
+        label: 'TOP without ORDER BY',
+        severity: 'warning',
+        check: ({ statements }) => statements
+            .filter(statement => statement.verb === 'SELECT')
+            .flatMap(statement => {
+                const flat = blankParenthesized(statement.text);
+                const top = /\bSELECT\s+(?:ALL\s+|DISTINCT\s+)?(TOP)\b/i.exec(flat);
+                return top && !/\bORDER\s+BY\b/i.test(flat) ? [{
+                    offset: statement.start + top.index + top[0].length - 3,
+                    message: 'TOP without ORDER BY returns an arbitrary set of rows'
+                }] : [];
+            })
+    },
+    {
+        id: 'missing-schema',
+        label: 'Table without schema',
+        severity: 'info',
+        check: ({ text }) => {
+            const { ctes, references } = parseSqlTableReferences(text);
+            const aliases = new Set(references.filter(reference => reference.alias).map(reference => reference.alias.toLowerCase()));
+            return references
+                .filter(reference => {
+                    if (!reference.parts || reference.parts.length !== 1) return false;
+                    const name = reference.parts[0].toLowerCase();
+                    return name && !/^[#@]/.test(name) && !ctes[name] && !aliases.has(name) && !SQL_SCHEMALESS_NAMES.has(name);
+                })
+                .map(reference => ({
+                    offset: reference.position,
+                    message: `${reference.parts[0]} has no schema prefix; name it as schema.${reference.parts[0]}`
+                }));
+        }
+    }
+];
+
+// Severity of each rule: the default unless it was changed in the Lint menu
+function getLintSeverities() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem('lintSeverities')) || {};
+    } catch (error) {
+        saved = {};
+    }
+    return Object.fromEntries(LINT_RULES.map(rule =>
+        [rule.id, LINT_SEVERITIES.includes(saved[rule.id]) ? saved[rule.id] : rule.severity]));
+}
+
+// Run the enabled rules over a script.
+// Returns [{ row, column, severity, ruleId, message }] with 0-based editor positions.
+function lintSql(script) {
+    const severities = getLintSeverities();
+    const rules = LINT_RULES.filter(rule => severities[rule.id] !== 'off');
+    const findings = [];
+    if (rules.length === 0) return findings;
+
+    splitSqlBatches(script).forEach(batch => {
+        const masked = maskSqlText(batch.text);
+        const context = { text: batch.text, masked, statements: splitSqlStatements(masked) };
+        const lineStarts = [0];
+        for (let i = 0; i < batch.text.length; i++) {
+            if (batch.text[i] === '\n') lineStarts.push(i + 1);
+        }
+
+        rules.forEach(rule => {
+            let ruleFindings;
+            try {
+                ruleFindings = rule.check(context);
+            } catch (error) {
+                console.error(`Lint rule ${rule.id} failed:`, error);
+                return;
+            }
+            ruleFindings.forEach(finding => {
+                let line = lineStarts.length - 1;
+                while (lineStarts[line] > finding.offset) line--;
+                findings.push({
+                    row: batch.startLine + line,
+                    column: finding.offset - lineStarts[line],
+                    severity: severities[rule.id],
+                    ruleId: rule.id,
+                    message: finding.message
+                });
+            });
+        });
+    });
+    return findings.sort((a, b) => a.row - b.row || a.column - b.column);
+}
+
+// Lint the editor text and show the findings in the gutter and on the Lint button
+function updateLintAnnotations() {
+    clearTimeout(lintTimer);
+    const findings = lintSql(editor.getValue());
+    lintAnnotations = findings.map(finding => ({
+        row: finding.row,
+        column: finding.column,
+        text: `${finding.message} [${finding.ruleId}]`,
+        type: finding.severity
+    }));
+    refreshEditorAnnotations();
+
+    const count = document.getElementById('lintCount');
+    const worst = ['error', 'warning', 'info'].find(severity => findings.some(finding => finding.severity === severity));
+    count.className = `badge ${worst ? LINT_BADGES[worst] : ''}${findings.length ? '' : ' d-none'}`;
+    count.textContent = findings.length;
+}
+
+// Build the Lint menu: one severity choice per rule
+function renderLintMenu() {
+    const severities = getLintSeverities();
+    document.getElementById('lintMenu').innerHTML =
+        '<h6 class="dropdown-header">Lint rules</h6>' +
+        LINT_RULES.map(rule => `
+            <div class="lint-rule">
+                <label for="lint-${rule.id}">${escapeHtml(rule.label)}</label>
+                <select id="lint-${rule.id}" class="form-select form-select-sm" data-lint-rule="${rule.id}">
+                    ${LINT_SEVERITIES.map(severity => `<option value="${severity}"${severity === severities[rule.id] ? ' selected' : ''}>${severity[0].toUpperCase()}${severity.slice(1)}</option>`).join('')}
+                </select>
+            </div>`).join('');
+}
+
+// Server picker: badge colors per environment, listed from the most to the least sensitive
+const ENVIRONMENT_BADGES = {
+    'PROD': 'bg-danger',
+    'PRE-PROD': 'bg-warning text-dark',
+    'STG': 'bg-warning text-dark',
+    'UAT': 'bg-primary',
+    'QA': 'bg-info text-dark',
+    'DEV': 'bg-success'
+};
+const RECENT_SERVERS_LIMIT = 8;
+
+// Badge of an environment; servers outside the inventory are unclassified
+function getEnvironmentBadge(environment) {
+    if (!environment) {
+        return '<span class="badge bg-dark">Unclassified</span>';
+    }
+    const badgeClass = ENVIRONMENT_BADGES[environment.toUpperCase()] || 'bg-secondary';
+    return `<span class="badge ${badgeClass}">${escapeHtml(environment)}</span>`;
+}
+
+// Shorten @@VERSION to the product and build: SQL Server 2019 (RTM-CU22) - 15.0.4322.2
+function summarizeSqlVersion(version) {
+    if (!version) return '';
+    const firstLine = String(version).split('\n')[0].replace(/^Microsoft\s+/, '');
+    const build = /^(.*?\d+\.\d+\.\d+\.\d+)/.exec(firstLine);
+    return (build ? build[1] : firstLine).trim();
+}
+
+// Load the inventory instances, cached like the database objects
+async function loadInventoryInstances(force = false) {
+    if (!force && !needsRefresh(inventoryInstances)) {
+        return inventoryInstances.items;
+    }
+    try {
+        const response = await fetch('/api/instances', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({})
+        });
+        const data = await response.json();
+        if (data.error) {
+            throw new Error(data.error);
+        }
+        inventoryInstances = { items: data.instances || [], lastUpdate: Date.now() };
+    } catch (error) {
+        console.error('Error loading inventory instances:', error);
+        inventoryInstances = { items: [], lastUpdate: Date.now(), error: error.message };
+    }
+    return inventoryInstances.items;
+}
+
+// Recently used servers, most recent first
+function getRecentServers() {
+    try {
+        const recent = JSON.parse(localStorage.getItem('recentServers'));
+        return Array.isArray(recent) ? recent : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function rememberRecentServer(serverName) {
+    const recent = getRecentServers().filter(name => name.toLowerCase() !== serverName.toLowerCase());
+    recent.unshift(serverName);
+    localStorage.setItem('recentServers', JSON.stringify(recent.slice(0, RECENT_SERVERS_LIMIT)));
+}
+
+// List item of one server in the picker
+function renderServerOption(serverName, instance) {
+    const details = instance ? [
+        summarizeSqlVersion(instance.version),
+        instance.edition,
+        instance.lastScanDate ? `collected ${new Date(instance.lastScanDate).toLocaleString()}` : 'never collected'
+    ].filter(Boolean).join(' · ') : 'Not in the inventory';
+    return `
+        <button type="button" class="dropdown-item server-option" data-server-name="${escapeHtml(serverName)}">
+            <div class="d-flex align-items-center gap-2">
+                ${getEnvironmentBadge(instance ? instance.environment : null)}
+                <span class="server-option-name">${escapeHtml(serverName)}</span>
+            </div>
+            <small class="text-muted">${escapeHtml(details)}</small>
+        </button>`;
+}
+
+// Fill the picker: recent servers pinned on top, then the inventory grouped by
+// environment, filtered by the text in the box
+async function renderServerPicker() {
+    const picker = document.getElementById('serverPicker');
+    const input = document.getElementById('serverName');
+    const instances = await loadInventoryInstances();
+    const filter = input.value.trim().toLowerCase();
+    const findInstance = name => instances.find(instance => instance.serverName.toLowerCase() === name.toLowerCase());
+    const matches = (name, instance) => !filter || [name, instance && instance.environment, instance && instance.version, instance && instance.edition]
+        .some(value => value && String(value).toLowerCase().includes(filter));
+
+    let html = '';
+    if (filter && !findInstance(filter)) {
+        html += '<h6 class="dropdown-header">Not in the inventory</h6>' + renderServerOption(input.value.trim(), null);
+    }
+
+    const recent = getRecentServers().filter(name => matches(name, findInstance(name)));
+    if (recent.length > 0) {
+        html += '<h6 class="dropdown-header">Recent</h6>' + recent.map(name => renderServerOption(name, findInstance(name))).join('');
+    }
+
+    const order = Object.keys(ENVIRONMENT_BADGES);
+    const groups = {};
+    instances.filter(instance => matches(instance.serverName, instance)).forEach(instance => {
+        const environment = instance.environment || 'Other';
+        (groups[environment] = groups[environment] || []).push(instance);
+    });
+    Object.keys(groups)
+        .sort((a, b) => {
+            const rankA = order.indexOf(a.toUpperCase());
+            const rankB = order.indexOf(b.toUpperCase());
+            return (rankA === -1 ? order.length : rankA) - (rankB === -1 ? order.length : rankB) || a.localeCompare(b);
+        })
+        .forEach(environment => {
+            html += `<h6 class="dropdown-header">${escapeHtml(environment)}</h6>` +
+                groups[environment].map(instance => renderServerOption(instance.serverName, instance)).join('');
+        });
+
+    if (!html) {
+        html = `<div class="dropdown-item-text text-muted small">${inventoryInstances.error ? escapeHtml(inventoryInstances.error) : 'No servers in the inventory'}</div>`;
+    }
+    picker.innerHTML = html;
+}
+
+async function showServerPicker() {
+    const picker = document.getElementById('serverPicker');
+    picker.classList.add('show');
+    document.getElementById('serverName').setAttribute('aria-expanded', 'true');
+    await renderServerPicker();
+}
+
+function hideServerPicker() {
+    document.getElementById('serverPicker').classList.remove('show');
+    document.getElementById('serverName').setAttribute('aria-expanded', 'false');
+}
+
+// Move the highlighted server up or down
+function moveServerPickerSelection(delta) {
+    const options = Array.from(document.querySelectorAll('#serverPicker .server-option'));
+    if (options.length === 0) return;
+    const current = options.findIndex(option => option.classList.contains('active'));
+    const next = current === -1 ? (delta > 0 ? 0 : options.length - 1) : (current + delta + options.length) % options.length;
+    options.forEach((option, index) => option.classList.toggle('active', index === next));
+    options[next].scrollIntoView({ block: 'nearest' });
+}
+
+// Pick a server from the list
+function selectServer(serverName) {
+    document.getElementById('serverName').value = serverName;
+    hideServerPicker();
+    applyServerName();
+}
+
+// Connect the page to the server in the box: forget the cached objects of the
+// previous server, look up the environment and browse the new server
+function applyServerName() {
+    const serverName = document.getElementById('serverName').value.trim();
+    if (serverName === appliedServerName) return;
+    appliedServerName = serverName;
+    updateConnectionProfileForServer(serverName);
+    currentDatabase = null;
+
+    dbObjectsCache = {
+        databases: { items: [], lastUpdate: null },
+        schemas: { databaseMap: {} },
+        tables: { items: [], lastUpdate: null, schemaMap: {} },
+        views: { items: [], lastUpdate: null, schemaMap: {} },
+        columns: { items: [], lastUpdate: null, tableMap: {} }
+    };
+    updateDatabaseDropdown([]);
+    validateEnvironment();
+    if (serverName) {
+        rememberRecentServer(serverName);
+        loadDatabaseDropdown(serverName);
+    }
+    if (!document.getElementById('objectExplorer').classList.contains('d-none')) {
+        refreshObjectExplorer();
+    }
+}
+
+// Multi-server mode: status badge of each server of a run
+const MULTI_SERVER_STATUS_BADGES = {
+    queued: 'bg-light text-dark',
+    running: 'bg-primary',
+    completed: 'bg-success',
+    failed: 'bg-danger',
+    timedOut: 'bg-warning text-dark',
+    cancelled: 'bg-secondary',
+    blocked: 'bg-dark'
+};
+
+// Servers picked for multi-server runs
+function getMultiServerTargets() {
+    try {
+        const targets = JSON.parse(localStorage.getItem('multiServerTargets'));
+        return Array.isArray(targets) ? targets : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+// Add servers to or remove them from the multi-server targets
+function setMultiServerTargets(serverNames, selected) {
+    const names = serverNames.map(name => name.toLowerCase());
+    const targets = getMultiServerTargets().filter(name => !names.includes(name.toLowerCase()));
+    if (selected) {
+        targets.push(...serverNames);
+    }
+    localStorage.setItem('multiServerTargets', JSON.stringify(targets));
+    updateMultiServerButton();
+}
+
+// Show the number of picked servers on the button while the mode is on
+function updateMultiServerButton() {
+    const count = document.getElementById('multiServerCount');
+    const enabled = document.getElementById('multiServerMode').checked;
+    count.textContent = getMultiServerTargets().length;
+    count.classList.toggle('d-none', !enabled);
+    document.getElementById('executeBtn').textContent = enabled ? 'Execute on servers' : 'Execute';
+}
+
+// List the inventory by environment with a checkbox per environment and per server
+async function renderMultiServerList() {
+    const list = document.getElementById('multiServerList');
+    const instances = await loadInventoryInstances();
+    const targets = getMultiServerTargets().map(name => name.toLowerCase());
+    const isTarget = name => targets.includes(name.toLowerCase());
+
+    const order = Object.keys(ENVIRONMENT_BADGES);
+    const groups = {};
+    instances.forEach(instance => {
+        const environment = instance.environment || 'Other';
+        (groups[environment] = groups[environment] || []).push(instance);
+    });
+
+    // Picked servers that are not in the inventory stay listed so they can be removed
+    const unlisted = getMultiServerTargets()
+        .filter(name => !instances.some(instance => instance.serverName.toLowerCase() === name.toLowerCase()));
+
+    let html = unlisted.length === 0 ? '' : '<h6 class="dropdown-header">Not in the inventory</h6>' + unlisted.map(name => `
+        <label class="multi-server-option">
+            <input class="form-check-input" type="checkbox" data-server-name="${escapeHtml(name)}" checked>
+            ${getEnvironmentBadge(null)} ${escapeHtml(name)}
+        </label>`).join('');
+
+    Object.keys(groups)
+        .sort((a, b) => {
+            const rankA = order.indexOf(a.toUpperCase());
+            const rankB = order.indexOf(b.toUpperCase());
+            return (rankA === -1 ? order.length : rankA) - (rankB === -1 ? order.length : rankB) || a.localeCompare(b);
+        })
+        .forEach(environment => {
+            const servers = groups[environment];
+            const picked = servers.filter(instance => isTarget(instance.serverName)).length;
+            html += `
+                <label class="dropdown-header multi-server-group">
+                    <input class="form-check-input" type="checkbox" data-environment="${escapeHtml(environment)}"${picked === servers.length ? ' checked' : ''}>
+                    ${getEnvironmentBadge(environment === 'Other' ? null : environment)}
+                    <span>${picked} of ${servers.length}</span>
+                </label>` + servers.map(instance => `
+                <label class="multi-server-option" title="${escapeHtml(summarizeSqlVersion(instance.version))}">
+                    <input class="form-check-input" type="checkbox" data-server-name="${escapeHtml(instance.serverName)}"${isTarget(instance.serverName) ? ' checked' : ''}>
+                    ${escapeHtml(instance.serverName)}
+                </label>`).join('');
+        });
+
+    if (!html) {
+        html = `<div class="dropdown-item-text text-muted small">${inventoryInstances.error ? escapeHtml(inventoryInstances.error) : 'No servers in the inventory'}</div>`;
+    }
+    list.innerHTML = html;
+
+    // An environment with only some servers picked shows a partial checkbox
+    list.querySelectorAll('[data-environment]').forEach(checkbox => {
+        const servers = groups[checkbox.dataset.environment] || [];
+        const picked = servers.filter(instance => isTarget(instance.serverName)).length;
+        checkbox.indeterminate = picked > 0 && picked < servers.length;
+    });
+}
+
+// Check the execution policy of every picked server before a multi-server run.
+// Servers whose policy asks for a confirmation are confirmed together; blocked
+// servers stay in the run, which lists them as blocked. Returns { allowed, confirmed }.
+async function checkMultiServerPolicies(servers, batches) {
+    const response = await fetch('/api/multi-policy', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+            servers,
+            batches
+        })
+    });
+    const data = await response.json();
+    if (data.error) {
+        throw new Error(data.error);
+    }
+
+    const checks = data.checks || [];
+    const blocked = checks.filter(check => check.allowed === false);
+    if (blocked.length === checks.length) {
+        blocked.forEach(check => showMessage(`${check.serverName}: ${check.reason}`, true));
+        showMessage('Execution blocked: the execution policy of every picked server blocks this query.', true);
+        return { allowed: false, confirmed: false };
+    }
+
+    const needConfirmation = checks.filter(check => check.allowed !== false && check.confirmationRequired);
+    if (needConfirmation.length === 0) {
+        return { allowed: true, confirmed: false };
+    }
+    const list = needConfirmation.slice(0, 10).map(check => `${check.serverName} (${check.environment || 'unclassified'}, ${check.policy.name})`).join('\n');
+    const more = needConfirmation.length > 10 ? `\n...and ${needConfirmation.length - 10} more` : '';
+    if (confirm(`The query changes data. The execution policy of these servers asks for a confirmation:\n\n${list}${more}\n\nRun on them too?`)) {
+        return { allowed: true, confirmed: true };
+    }
+    if (needConfirmation.length + blocked.length === checks.length) {
+        showMessage('Execution cancelled: the execution policy of the remaining servers needs a confirmation.', true);
+        return { allowed: false, confirmed: false };
+    }
+    // The servers that were not confirmed are reported as blocked by the run
+    return { allowed: true, confirmed: false };
+}
+
+// Run the editor text on every picked server, a few at a time, and show the
+// merged result sets with a leading ServerName column
+async function executeMultiServerQuery() {
+    const query = editor.getValue();
+    const servers = getMultiServerTargets();
+
+    if (servers.length === 0 || !query) {
+        showMessage('Pick servers in the Multi-server menu and provide a query.', true);
+        return;
+    }
+    if (activeExecution) {
+        showMessage('A query is already running. Cancel it or wait for it to finish.', true);
+        return;
+    }
+
+    const batches = splitSqlBatches(query);
+    if (batches.length === 0) {
+        showMessage('The query contains no statements to run.', true);
+        return;
+    }
+    if (!confirmBlockingLintFindings(query)) {
+        return;
+    }
+
+    clearResults();
+    clearEditorErrors();
+    let check;
+    try {
+        check = await checkMultiServerPolicies(servers, batches);
+    } catch (error) {
+        showMessage(`Error: ${error.message}`, true);
+        return;
+    }
+    if (!check.allowed) {
+        return;
+    }
+
+    showMessage(`Executing query on ${servers.length} servers...`);
+    const resultTable = document.getElementById('resultTable');
+    resultTable.innerHTML = '<div class="text-center"><div class="spinner-border" role="status"><span class="visually-hidden">Loading...</span></div></div>';
+    bootstrap.Tab.getOrCreateInstance(document.querySelector('a[href="#results"]')).show();
+
+    const execution = beginExecution();
+    try {
+        const response = await fetch('/api/multi-execute', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                servers,
+                query,
+                batches,
+                onError: getBatchErrorMode(),
+                executionId: execution.id,
+                timeout: getSelectedTimeout(),
+                concurrency: parseInt(document.getElementById('multiServerConcurrency').value, 10),
+                policyConfirmed: check.confirmed,
+                profiles: getMultiServerProfileIds(servers)
+            }),
+            signal: execution.controller.signal
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const data = await response.json();
+        if (data.error) {
+            throw new Error(data.error);
+        }
+
+        let status;
+        do {
+            await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL));
+            const statusResponse = await fetch('/api/multi-status', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    runId: data.runId
+                }),
+                signal: execution.controller.signal
+            });
+            if (!statusResponse.ok) {
+                throw new Error(`HTTP error! status: ${statusResponse.status}`);
+            }
+            status = await statusResponse.json();
+            if (status.error) {
+                throw new Error(status.error);
+            }
+            renderMultiServerStatus(status.servers);
+        } while (status.status === 'running');
+
+        showMultiServerOutcome(status);
+    } catch (error) {
+        console.error('Error executing multi-server query:', error);
+        if (error.name === 'AbortError') {
+            showMessage('Stopped waiting for the server after the query was cancelled', true);
+        } else {
+            showMessage(`Error: ${error.message}`, true);
+        }
+        resultTable.innerHTML = '<div class="alert alert-danger">Query execution failed. Check the Messages tab for details.</div>';
+    } finally {
+        endExecution(execution);
+    }
+}
+
+// Show one row per server of a run: environment, status, rows, time and error
+function renderMultiServerStatus(servers) {
+    const findInstance = name => inventoryInstances.items.find(instance => instance.serverName.toLowerCase() === name.toLowerCase());
+    const counts = {};
+    servers.forEach(server => { counts[server.status] = (counts[server.status] || 0) + 1; });
+    const summary = Object.keys(counts).map(status => `${counts[status]} ${status}`).join(' · ');
+
+    document.getElementById('multiServerStatus').innerHTML = `
+        <div class="small text-muted mb-1">${servers.length} servers: ${escapeHtml(summary)}</div>
+        <table class="table table-sm multi-server-status">
+            <thead><tr><th>Server</th><th>Environment</th><th>Status</th><th class="text-end">Rows</th><th class="text-end">Time</th><th>Error</th></tr></thead>
+            <tbody>${servers.map(server => {
+                const instance = findInstance(server.serverName);
+                const environment = server.environment || (instance ? instance.environment : null);
+                return `
+                <tr>
+                    <td>${escapeHtml(server.serverName)}</td>
+                    <td>${getEnvironmentBadge(environment)}</td>
+                    <td><span class="badge ${MULTI_SERVER_STATUS_BADGES[server.status] || 'bg-secondary'}">${escapeHtml(server.status)}</span></td>
+                    <td class="text-end">${server.status === 'queued' ? '' : Number(server.rowCount || 0).toLocaleString()}</td>
+                    <td class="text-end">${server.elapsedMs === null || server.elapsedMs === undefined ? '' : formatElapsed(server.elapsedMs)}</td>
+                    <td class="text-danger">${escapeHtml(server.error || '')}</td>
+                </tr>`;
+            }).join('')}</tbody>
+        </table>`;
+}
+
+// Show the merged result sets of a finished run and report every server that did not complete
+function showMultiServerOutcome(status) {
+    const servers = status.servers || [];
+    servers.filter(server => server.status !== 'completed').forEach(server => {
+        const errors = (server.errors || []).filter(text => text !== server.error);
+        showMessage(`${server.serverName} (${server.status}): ${server.error || 'no result'}`, true);
+        errors.forEach(text => showMessage(`${server.serverName}: ${text}`, true));
+    });
+
+    const completed = servers.filter(server => server.status === 'completed').length;
+    showMessage(`Query completed on ${completed} of ${servers.length} servers.`);
+
+    // The status list above the grids shows which servers failed
+    const resultSets = Array.isArray(status.resultSets) ? status.resultSets : [];
+    if (resultSets.length === 0) {
+        document.getElementById('resultTable').innerHTML = '<div class="alert alert-info">No server returned results.</div>';
+        bootstrap.Tab.getOrCreateInstance(document.querySelector('a[href="#results"]')).show();
+    } else {
+        displayResults(resultSets);
+    }
+}
+
+// Dashboard: badge of each backup age level
+const BACKUP_AGE_BADGES = {
+    ok: 'bg-success',
+    warning: 'bg-warning text-dark',
+    critical: 'bg-danger'
+};
+
+// Show or hide the inventory dashboard in place of the query editor
+function toggleDashboard(show) {
+    const dashboard = document.getElementById('dashboardView');
+    const visible = typeof show === 'boolean' ? show : dashboard.classList.contains('d-none');
+    dashboard.classList.toggle('d-none', !visible);
+    document.querySelectorAll('.query-view').forEach(element => element.classList.toggle('d-none', visible));
+    document.getElementById('dashboardBtn').classList.toggle('active', visible);
+    if (visible) {
+        loadDashboard();
+    }
+}
+
+// Load the dashboard, cached like the database objects
+async function loadDashboard(force = false) {
+    const error = document.getElementById('dashboardError');
+    if (!force && !needsRefresh(dashboardData)) {
+        renderDashboard();
+        return;
+    }
+    document.getElementById('dashboardUpdated').textContent = 'Loading...';
+    try {
+        const response = await fetch('/api/dashboard', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({})
+        });
+        const data = await response.json();
+        if (data.error) {
+            throw new Error(data.error);
+        }
+        dashboardData = { ...data, lastUpdate: Date.now() };
+        error.classList.add('d-none');
+        renderDashboard();
+    } catch (loadError) {
+        console.error('Error loading the dashboard:', loadError);
+        error.textContent = loadError.message;
+        error.classList.remove('d-none');
+        document.getElementById('dashboardUpdated').textContent = '';
+    }
+}
+
+// Size in MB as MB, GB or TB
+function formatSizeMB(sizeMB) {
+    if (sizeMB === null || sizeMB === undefined) return '';
+    const size = Number(sizeMB);
+    if (size >= 1024 * 1024) return `${(size / 1024 / 1024).toFixed(1)} TB`;
+    if (size >= 1024) return `${(size / 1024).toFixed(1)} GB`;
+    return `${size.toFixed(0)} MB`;
+}
+
+// Age in hours as minutes, hours or days
+function formatBackupAge(hours) {
+    if (hours < 1) return `${Math.max(0, Math.round(hours * 60))} min`;
+    if (hours < 48) return `${Math.round(hours)} h`;
+    return `${Math.round(hours / 24)} d`;
+}
+
+// Level of a backup age against the thresholds of its kind (full, diff or log):
+// ok, warning, critical, or null when the backup is not expected. Differential
+// backups are optional and log backups only matter outside the SIMPLE recovery model.
+function getBackupAgeLevel(database, kind) {
+    const thresholds = (dashboardData.backupAgeThresholds || {})[kind];
+    const hours = database[`${kind}BackupAgeHours`];
+    if (kind === 'log' && (database.recoveryModel || '').toUpperCase() === 'SIMPLE') return null;
+    if (hours === null || hours === undefined) {
+        return kind === 'diff' ? null : 'critical';
+    }
+    // A differential older than the last full backup is not used for a restore
+    if (kind === 'diff' && database.fullBackupAgeHours !== null && hours > database.fullBackupAgeHours) return null;
+    if (!thresholds) return 'ok';
+    if (hours >= thresholds.critical) return 'critical';
+    if (hours >= thresholds.warning) return 'warning';
+    return 'ok';
+}
+
+// Worst backup level of a database: critical, warning or ok
+function getDatabaseBackupLevel(database) {
+    const levels = ['full', 'diff', 'log'].map(kind => getBackupAgeLevel(database, kind));
+    return levels.includes('critical') ? 'critical' : (levels.includes('warning') ? 'warning' : 'ok');
+}
+
+// Cell with the age of one kind of backup, colored by its level
+function renderBackupAgeCell(database, kind) {
+    const level = getBackupAgeLevel(database, kind);
+    const hours = database[`${kind}BackupAgeHours`];
+    const date = database[`last${kind.charAt(0).toUpperCase()}${kind.slice(1)}BackupDate`];
+    if (hours === null || hours === undefined) {
+        return level ? `<td><span class="badge ${BACKUP_AGE_BADGES[level]}">never</span></td>` : '<td class="text-muted">-</td>';
+    }
+    const title = date ? ` title="${escapeHtml(new Date(date).toLocaleString())}"` : '';
+    return level ?
+        `<td><span class="badge ${BACKUP_AGE_BADGES[level]}"${title}>${formatBackupAge(hours)}</span></td>` :
+        `<td class="text-muted"${title}>${formatBackupAge(hours)}</td>`;
+}
+
+// Fill every part of the dashboard
+function renderDashboard() {
+    const environments = dashboardData.environments || [];
+    const databases = dashboardData.databases || [];
+    const order = Object.keys(ENVIRONMENT_BADGES);
+    const rank = name => {
+        const index = order.indexOf((name || '').toUpperCase());
+        return index === -1 ? order.length : index;
+    };
+
+    document.getElementById('dashboardUpdated').textContent = `Loaded ${new Date(dashboardData.lastUpdate).toLocaleTimeString()}`;
+    document.getElementById('dashboardEnvironments').innerHTML = environments
+        .slice()
+        .sort((a, b) => rank(a.environment) - rank(b.environment) || a.environment.localeCompare(b.environment))
+        .map(environment => {
+            const levels = databases.filter(database => database.environment === environment.environment).map(getDatabaseBackupLevel);
+            const critical = levels.filter(level => level === 'critical').length;
+            const warning = levels.filter(level => level === 'warning').length;
+            return `
+                <div class="card dashboard-environment">
+                    <div class="card-body">
+                        <div class="d-flex justify-content-between align-items-center mb-2">
+                            ${getEnvironmentBadge(environment.environment)}
+                            <small class="text-muted">${escapeHtml(environment.executionPolicy || '')}</small>
+                        </div>
+                        <div class="dashboard-count">${Number(environment.instanceCount).toLocaleString()} <small>instances</small></div>
+                        <div class="small">${Number(environment.databaseCount).toLocaleString()} databases · ${formatSizeMB(environment.totalSizeMB) || '0 MB'}</div>
+                        <div class="small mt-1">
+                            ${critical ? `<span class="badge ${BACKUP_AGE_BADGES.critical}">${critical} overdue</span>` : ''}
+                            ${warning ? `<span class="badge ${BACKUP_AGE_BADGES.warning}">${warning} late</span>` : ''}
+                            ${!critical && !warning && levels.length ? `<span class="badge ${BACKUP_AGE_BADGES.ok}">Backups current</span>` : ''}
+                        </div>
+                    </div>
+                </div>`;
+        }).join('') || '<div class="text-muted">No environments in the inventory</div>';
+
+    document.getElementById('dashboardInstances').innerHTML = (dashboardData.instances || []).map(instance => `
+        <tr class="dashboard-drill" data-drill-server="${escapeHtml(instance.serverName)}" title="Query the databases of ${escapeHtml(instance.serverName)}">
+            <td>${escapeHtml(instance.serverName)}</td>
+            <td>${getEnvironmentBadge(instance.environment)}</td>
+            <td>${escapeHtml(summarizeSqlVersion(instance.version))}</td>
+            <td class="text-end">${Number(instance.databaseCount).toLocaleString()}</td>
+            <td class="text-end">${formatSizeMB(instance.totalSizeMB)}</td>
+            <td>${instance.lastBackupDate ? new Date(instance.lastBackupDate).toLocaleString() : 'never'}</td>
+            <td>${instance.lastScanDate ? new Date(instance.lastScanDate).toLocaleString() : 'never'}</td>
+        </tr>`).join('') || '<tr><td colspan="7" class="text-muted">No instances in the inventory</td></tr>';
+
+    renderDashboardBackups();
+
+    document.getElementById('dashboardPlans').innerHTML = (dashboardData.maintenancePlans || []).map(plan => `
+        <tr class="${plan.isEnabled ? '' : 'text-muted'}" title="${escapeHtml(plan.description || '')}">
+            <td>${escapeHtml(plan.serverName)}</td>
+            <td>${escapeHtml(plan.databaseName)}</td>
+            <td>${escapeHtml(plan.planName || '')}</td>
+            <td>${escapeHtml(plan.planType || '')}</td>
+            <td>${escapeHtml(plan.frequency || '')}</td>
+            <td>${plan.lastRunTime ? new Date(plan.lastRunTime).toLocaleString() : 'never'}</td>
+            <td>${plan.nextRunTime ? new Date(plan.nextRunTime).toLocaleString() : ''}</td>
+            <td>${plan.isEnabled ? 'Yes' : 'No'}</td>
+        </tr>`).join('') || '<tr><td colspan="8" class="text-muted">No maintenance plans in the inventory</td></tr>';
+}
+
+// Fill the backup list: filtered by the search box, worst backups first
+function renderDashboardBackups() {
+    const filter = document.getElementById('dashboardBackupFilter').value.trim().toLowerCase();
+    const problemsOnly = document.getElementById('dashboardBackupProblems').checked;
+    const severity = { critical: 0, warning: 1, ok: 2 };
+
+    const databases = (dashboardData.databases || [])
+        .map(database => ({ database, level: getDatabaseBackupLevel(database) }))
+        .filter(({ database, level }) => (!problemsOnly || level !== 'ok') &&
+            (!filter || [database.serverName, database.databaseName, database.environment]
+                .some(value => value && value.toLowerCase().includes(filter))))
+        .sort((a, b) => severity[a.level] - severity[b.level]);
+
+    document.getElementById('dashboardBackups').innerHTML = databases.map(({ database }) => `
+        <tr class="dashboard-drill" data-drill-server="${escapeHtml(database.serverName)}" data-drill-database="${escapeHtml(database.databaseName)}" title="Query the backup history of ${escapeHtml(database.databaseName)}">
+            <td>${escapeHtml(database.serverName)}</td>
+            <td>${escapeHtml(database.databaseName)}</td>
+            <td>${escapeHtml(database.recoveryModel || '')}</td>
+            <td class="text-end">${formatSizeMB(database.sizeMB)}</td>
+            ${renderBackupAgeCell(database, 'full')}
+            ${renderBackupAgeCell(database, 'diff')}
+            ${renderBackupAgeCell(database, 'log')}
+            <td>${escapeHtml(database.status || '')}</td>
+        </tr>`).join('') || `<tr><td colspan="8" class="text-muted">${problemsOnly ? 'No late backups' : 'No databases'}</td></tr>`;
+}
+
+// Open a query in a new editor tab on a server and leave the dashboard
+function openDashboardQuery(serverName, title, query) {
+    document.getElementById('serverName').value = serverName;
+    applyServerName();
+    toggleDashboard(false);
+    openEditorBuffer(title, query);
+}
+
+// Drill into an instance: its databases with their size and last backups
+function openInstanceQuery(serverName) {
+    openDashboardQuery(serverName, serverName, `-- Databases on ${serverName} with their size and last backups
+SELECT
+    d.name AS DatabaseName,
+    d.state_desc AS State,
+    d.recovery_model_desc AS RecoveryModel,
+    (SELECT CAST(SUM(f.size) * 8 / 1024.0 AS DECIMAL(18,2)) FROM sys.master_files f WHERE f.database_id = d.database_id) AS SizeMB,
+    (SELECT MAX(b.backup_finish_date) FROM msdb.dbo.backupset b WHERE b.database_name = d.name AND b.type = 'D') AS LastFullBackup,
+    (SELECT MAX(b.backup_finish_date) FROM msdb.dbo.backupset b WHERE b.database_name = d.name AND b.type = 'I') AS LastDiffBackup,
+    (SELECT MAX(b.backup_finish_date) FROM msdb.dbo.backupset b WHERE b.database_name = d.name AND b.type = 'L') AS LastLogBackup
+FROM sys.databases d
+ORDER BY d.name;
+`);
+}
+
+// Drill into a database: its recent backups
+function openDatabaseBackupQuery(serverName, databaseName) {
+    const literal = databaseName.replace(/'/g, "''");
+    openDashboardQuery(serverName, `${databaseName} backups`, `-- Recent backups of ${databaseName} on ${serverName}
+SELECT TOP (50)
+    CASE b.type WHEN 'D' THEN 'Full' WHEN 'I' THEN 'Differential' WHEN 'L' THEN 'Log' ELSE b.type END AS BackupType,
+    b.backup_start_date AS StartDate,
+    b.backup_finish_date AS FinishDate,
+    CAST(b.backup_size / 1048576.0 AS DECIMAL(18,2)) AS SizeMB,
+    CAST(b.compressed_backup_size / 1048576.0 AS DECIMAL(18,2)) AS CompressedSizeMB,
+    m.physical_device_name AS Location
+FROM msdb.dbo.backupset b
+INNER JOIN msdb.dbo.backupmediafamily m ON b.media_set_id = m.media_set_id
+WHERE b.database_name = N'${literal}'
+ORDER BY b.backup_finish_date DESC;
+`);
+}
+
+// Refresh wizard: open it with the server in the server name box as the source
+async function showRefreshWizard() {
+    if (!activeRefresh) {
+        resetRefreshWizard();
+        const serverName = document.getElementById('serverName').value.trim();
+        const source = document.getElementById('refreshSourceInstance');
+        if (serverName && !source.value) {
+            source.value = serverName;
+            loadRefreshSourceDatabases();
+        }
+    }
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('refreshModal')).show();
+
+    const instances = await loadInventoryInstances();
+    document.getElementById('refreshInstances').innerHTML = instances
+        .map(instance => `<option value="${escapeHtml(instance.serverName)}">${escapeHtml(instance.environment || '')}</option>`)
+        .join('');
+}
+
+// Show the form again for a new refresh
+function resetRefreshWizard() {
+    activeRefresh = null;
+    document.getElementById('refreshForm').classList.remove('d-none');
+    document.getElementById('refreshFormError').classList.add('d-none');
+    document.getElementById('refreshProgress').classList.add('d-none');
+    document.getElementById('refreshNewBtn').classList.add('d-none');
+    document.getElementById('refreshStartBtn').classList.remove('d-none');
+    checkRefreshTarget();
+}
+
+function getRefreshAuthMode() {
+    return document.querySelector('input[name="refreshAuthMode"]:checked').value;
+}
+
+// Suggest the databases of the source instance
+async function loadRefreshSourceDatabases() {
+    const sourceInstance = document.getElementById('refreshSourceInstance').value.trim();
+    const list = document.getElementById('refreshSourceDatabases');
+    list.innerHTML = '';
+    if (!sourceInstance) return;
+    const databases = await fetchDatabaseObjects(sourceInstance, 'databases');
+    list.innerHTML = databases.map(database => `<option value="${escapeHtml(database.name)}"></option>`).join('');
+}
+
+// Show the environment of the target and whether it may be overwritten
+async function checkRefreshTarget() {
+    const targetInstance = document.getElementById('refreshTargetInstance').value.trim();
+    const check = document.getElementById('refreshTargetCheck');
+    const startButton = document.getElementById('refreshStartBtn');
+    if (!targetInstance) {
+        check.textContent = '';
+        startButton.disabled = false;
+        return;
+    }
+    try {
+        const response = await fetch('/api/refresh-check', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ targetInstance })
+        });
+        const data = await response.json();
+        check.innerHTML = `${getEnvironmentBadge(data.environment)} ${escapeHtml(data.allowed ? 'Can be refreshed' : data.reason)}`;
+        check.className = `form-text ${data.allowed ? 'text-success' : 'text-danger'}`;
+        startButton.disabled = !data.allowed;
+    } catch (error) {
+        check.textContent = `Error: ${error.message}`;
+        check.className = 'form-text text-danger';
+    }
+}
+
+// Start the refresh described by the form and follow it
+async function startDatabaseRefresh() {
+    const value = id => document.getElementById(id).value.trim();
+    const options = {
+        sourceInstance: value('refreshSourceInstance'),
+        sourceDatabase: value('refreshSourceDatabase'),
+        targetInstance: value('refreshTargetInstance'),
+        targetDatabase: value('refreshTargetDatabase') || value('refreshSourceDatabase'),
+        backupType: value('refreshBackupType'),
+        authMode: getRefreshAuthMode(),
+        backupPath: value('refreshBackupPath'),
+        dataFilePath: value('refreshDataFilePath'),
+        logFilePath: value('refreshLogFilePath'),
+        keepBackup: document.getElementById('refreshKeepBackup').checked
+    };
+    if (options.authMode === 'sql') {
+        options.sourceLogin = { username: value('refreshSourceUsername'), password: document.getElementById('refreshSourcePassword').value };
+        options.targetLogin = { username: value('refreshTargetUsername'), password: document.getElementById('refreshTargetPassword').value };
+    }
+
+    const formError = document.getElementById('refreshFormError');
+    formError.classList.add('d-none');
+    if (!options.sourceInstance || !options.sourceDatabase || !options.targetInstance) {
+        formError.textContent = 'Enter the source instance and database and the target instance.';
+        formError.classList.remove('d-none');
+        return;
+    }
+    if (!confirm(`Back up ${options.sourceDatabase} on ${options.sourceInstance} and restore it as ${options.targetDatabase} on ${options.targetInstance}?\n\nAn existing ${options.targetDatabase} database on ${options.targetInstance} is dropped.`)) {
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/refresh-start', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(options)
+        });
+        const data = await response.json();
+        if (data.error) {
+            throw new Error(data.error);
+        }
+        document.getElementById('refreshSourcePassword').value = '';
+        document.getElementById('refreshTargetPassword').value = '';
+        followDatabaseRefresh(data.refreshId);
+    } catch (error) {
+        formError.textContent = error.message;
+        formError.classList.remove('d-none');
+    }
+}
+
+// Poll a refresh until it finishes, showing its steps, file moves and log
+async function followDatabaseRefresh(refreshId) {
+    const refresh = { id: refreshId, logCount: 0 };
+    activeRefresh = refresh;
+    document.getElementById('refreshForm').classList.add('d-none');
+    document.getElementById('refreshProgress').classList.remove('d-none');
+    document.getElementById('refreshStartBtn').classList.add('d-none');
+    document.getElementById('refreshNewBtn').classList.remove('d-none');
+    document.getElementById('refreshLog').textContent = '';
+
+    while (activeRefresh === refresh) {
+        let status;
+        try {
+            const response = await fetch('/api/refresh-status', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ refreshId, logOffset: refresh.logCount })
+            });
+            status = await response.json();
+        } catch (error) {
+            status = { error: error.message };
+        }
+        if (activeRefresh !== refresh) return;
+        if (status.error && !status.refreshId) {
+            // Refreshes of an earlier run of the server are only in the history
+            const entry = await findRefreshInHistory(refreshId);
+            renderRefreshProgress(entry || { status: 'failed', error: status.error, steps: [], fileMoves: [] });
+            return;
+        }
+
+        renderRefreshProgress(status);
+        const log = document.getElementById('refreshLog');
+        (status.log || []).forEach(line => {
+            log.textContent += `${new Date(line.time).toLocaleTimeString()} ${line.level === 'Info' ? '' : line.level.toUpperCase() + ' '}${line.message}\n`;
+        });
+        log.scrollTop = log.scrollHeight;
+        refresh.logCount = status.logCount;
+
+        if (status.status !== 'running') return;
+        await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+}
+
+// Look a refresh up in the history list
+async function findRefreshInHistory(refreshId) {
+    try {
+        const response = await fetch('/api/refreshes', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({})
+        });
+        const data = await response.json();
+        return (data.refreshes || []).find(entry => entry.refreshId === refreshId) || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Show the summary, steps and file moves of a refresh
+function renderRefreshProgress(status) {
+    const elapsed = status.startedAt ? formatElapsed((status.finishedAt ? new Date(status.finishedAt) : new Date()) - new Date(status.startedAt)) : '';
+    document.getElementById('refreshSummary').innerHTML = `
+        <div class="d-flex align-items-center gap-2">
+            <span class="badge ${JOB_STATUS_BADGES[status.status] || 'bg-secondary'}">${escapeHtml(status.status)}</span>
+            <span>${escapeHtml(status.sourceInstance || '')} / ${escapeHtml(status.sourceDatabase || '')} &rarr; ${escapeHtml(status.targetInstance || '')} / ${escapeHtml(status.targetDatabase || '')}</span>
+            <small class="text-muted ms-auto">${elapsed}</small>
+        </div>
+        ${status.error ? `<div class="alert alert-danger mt-2 mb-0">${escapeHtml(status.error)}</div>` : ''}`;
+
+    document.getElementById('refreshSteps').innerHTML = (status.steps || []).map(step => {
+        // Only the backup and restore report a percentage
+        const percent = step.percent === null || step.percent === undefined ? null : step.percent;
+        const barClass = step.status === 'failed' ? 'bg-danger' : (step.status === 'completed' ? 'bg-success' : 'progress-bar-striped progress-bar-animated');
+        return `
+            <div class="refresh-step">
+                <div class="d-flex justify-content-between small">
+                    <span>${escapeHtml(step.name)}</span>
+                    <span class="text-muted">${escapeHtml(step.status)}${percent === null ? '' : ` · ${percent}%`}</span>
+                </div>
+                <div class="progress" role="progressbar" aria-label="${escapeHtml(step.name)}">
+                    <div class="progress-bar ${barClass}" style="width: ${percent === null ? 100 : percent}%"></div>
+                </div>
+            </div>`;
+    }).join('');
+
+    const moves = status.fileMoves || [];
+    document.getElementById('refreshFileMoves').innerHTML = moves.length === 0 ? '' : `
+        <table class="table table-sm mb-0 refresh-file-moves">
+            <thead><tr><th>File</th><th>Type</th><th>From</th><th>To</th></tr></thead>
+            <tbody>${moves.map(move => `
+                <tr>
+                    <td>${escapeHtml(move.logicalName)}</td>
+                    <td>${move.type === 'L' ? 'Log' : 'Data'}</td>
+                    <td>${escapeHtml(move.from || '')}</td>
+                    <td>${escapeHtml(move.to)}</td>
+                </tr>`).join('')}</tbody>
+        </table>`;
+}
+
+// Fill the History tab with the refreshes the server knows about
+async function loadRefreshHistory() {
+    const list = document.getElementById('refreshHistoryList');
+    list.innerHTML = '<span class="text-muted">Loading...</span>';
+    try {
+        const response = await fetch('/api/refreshes', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({})
+        });
+        const data = await response.json();
+        if (data.error) {
+            throw new Error(data.error);
+        }
+        const refreshes = data.refreshes || [];
+        if (refreshes.length === 0) {
+            list.innerHTML = '<span class="text-muted">No refreshes yet</span>';
+            return;
+        }
+        list.innerHTML = `
+            <table class="table table-sm table-hover refresh-history">
+                <thead><tr><th>Started</th><th>Source</th><th>Target</th><th>Type</th><th>Status</th><th>Time</th></tr></thead>
+                <tbody>${refreshes.map(refresh => `
+                    <tr data-refresh-id="${escapeHtml(refresh.refreshId)}" title="${escapeHtml(refresh.error || 'Show the steps of this refresh')}">
+                        <td>${new Date(refresh.startedAt).toLocaleString()}</td>
+                        <td>${escapeHtml(refresh.sourceInstance)} / ${escapeHtml(refresh.sourceDatabase)}</td>
+                        <td>${getEnvironmentBadge(refresh.targetEnvironment)} ${escapeHtml(refresh.targetInstance)} / ${escapeHtml(refresh.targetDatabase)}</td>
+                        <td>${escapeHtml(refresh.backupType)}</td>
+                        <td><span class="badge ${JOB_STATUS_BADGES[refresh.status] || 'bg-secondary'}">${escapeHtml(refresh.status)}</span></td>
+                        <td>${refresh.finishedAt ? formatElapsed(new Date(refresh.finishedAt) - new Date(refresh.startedAt)) : ''}</td>
+                    </tr>`).join('')}</tbody>
+            </table>`;
+    } catch (error) {
+        list.innerHTML = `<span class="text-danger">${escapeHtml(error.message)}</span>`;
+    }
+}
+
+// Connection profiles: named settings for connecting to a server. The browser keeps
+// everything but the password; the server holds passwords until it stops.
+function getConnectionProfiles() {
+    try {
+        const profiles = JSON.parse(localStorage.getItem('connectionProfiles'));
+        return Array.isArray(profiles) ? profiles : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function setConnectionProfiles(profiles) {
+    localStorage.setItem('connectionProfiles', JSON.stringify(profiles));
+}
+
+function getSelectedConnectionProfile() {
+    const profileId = localStorage.getItem('connectionProfileId');
+    return getConnectionProfiles().find(profile => profile.id === profileId) || null;
+}
+
+function isSameServer(left, right) {
+    return (left || '').trim().toLowerCase() === (right || '').trim().toLowerCase();
+}
+
+// Id of the profile requests to a server use: the selected profile when it is for
+// that server; other servers are reached with Windows Authentication
+function getConnectionProfileId(serverName) {
+    const profile = getSelectedConnectionProfile();
+    return profile && isSameServer(profile.serverName, serverName) ? profile.id : '';
+}
+
+// Profile ids of the servers of a multi-server run: the selected profile for its server,
+// else the first unlocked profile of each server
+function getMultiServerProfileIds(servers) {
+    const profiles = getConnectionProfiles();
+    const profileIds = {};
+    servers.forEach(serverName => {
+        const profile = profiles.find(candidate => candidate.id === getConnectionProfileId(serverName))
+            || profiles.find(candidate => isSameServer(candidate.serverName, serverName) && isProfileUnlocked(candidate));
+        if (profile) {
+            profileIds[serverName] = profile.id;
+        }
+    });
+    return profileIds;
+}
+
+function isProfileUnlocked(profile) {
+    return profile.authType !== 'sql' || unlockedProfiles.has(profile.id);
+}
+
+// Register the profiles of this browser with the server and learn which are unlocked
+async function syncConnectionProfiles() {
+    try {
+        const response = await fetch('/api/profiles', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ profiles: getConnectionProfiles() })
+        });
+        const data = await response.json();
+        if (data.error) {
+            throw new Error(data.error);
+        }
+        unlockedProfiles = new Set((data.profiles || []).filter(profile => profile.hasPassword).map(profile => profile.id));
+    } catch (error) {
+        console.error('Error loading connection profiles:', error);
     }
+    renderConnectionProfileSelect();
+}
 
-    console.log('Building results table...', results); // Debug line
+function renderConnectionProfileSelect() {
+    const select = document.getElementById('connectionProfile');
+    const selected = getSelectedConnectionProfile();
+    const profiles = getConnectionProfiles().sort((left, right) => left.name.localeCompare(right.name));
+    select.innerHTML = '<option value="">Windows Authentication</option>' + profiles.map(profile => `
+        <option value="${escapeHtml(profile.id)}">${escapeHtml(profile.name)}${isProfileUnlocked(profile) ? '' : ' (locked)'}</option>`).join('');
+    select.value = selected ? selected.id : '';
+}
 
-    let table = '<table class="table table-striped table-bordered">';
-    
-    // Headers
-    table += '<thead><tr>';
-    Object.keys(results[0]).forEach(key => {
-        table += `<th>${key}</th>`;
+// Use a profile for the server box. A locked profile asks for its password first.
+function selectConnectionProfile(profileId) {
+    const profile = getConnectionProfiles().find(candidate => candidate.id === profileId);
+    if (profile && !isProfileUnlocked(profile)) {
+        renderConnectionProfileSelect();
+        showProfileManager(profile.id);
+        return;
+    }
+    if (profile) {
+        localStorage.setItem('connectionProfileId', profile.id);
+        document.getElementById('serverName').value = profile.serverName;
+    } else {
+        localStorage.removeItem('connectionProfileId');
+    }
+    renderConnectionProfileSelect();
+    // A different login can see different databases, so apply the server again
+    appliedServerName = null;
+    applyServerName();
+}
+
+// Forget the selected profile once the server box names another server
+function updateConnectionProfileForServer(serverName) {
+    const profile = getSelectedConnectionProfile();
+    if (profile && !isSameServer(profile.serverName, serverName)) {
+        localStorage.removeItem('connectionProfileId');
+        renderConnectionProfileSelect();
+    }
+}
+
+function showProfileManager(profileId = null) {
+    renderProfileList();
+    editConnectionProfile(profileId);
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('profileModal')).show();
+}
+
+function renderProfileList() {
+    const list = document.getElementById('profileList');
+    const profiles = getConnectionProfiles().sort((left, right) => left.name.localeCompare(right.name));
+    if (profiles.length === 0) {
+        list.innerHTML = '<span class="text-muted">No profiles yet</span>';
+        return;
+    }
+    list.innerHTML = `
+        <table class="table table-sm table-hover profile-list">
+            <thead><tr><th>Name</th><th>Server</th><th>Login</th><th></th></tr></thead>
+            <tbody>${profiles.map(profile => `
+                <tr>
+                    <td>${escapeHtml(profile.name)}</td>
+                    <td>${escapeHtml(profile.serverName)}</td>
+                    <td>${profile.authType === 'sql' ? escapeHtml(profile.login) : 'Windows'}
+                        ${isProfileUnlocked(profile) ? '' : '<span class="badge bg-warning text-dark">locked</span>'}</td>
+                    <td class="text-end">
+                        <button type="button" class="btn btn-sm btn-outline-secondary" data-profile-edit="${escapeHtml(profile.id)}">Edit</button>
+                        <button type="button" class="btn btn-sm btn-outline-danger" data-profile-remove="${escapeHtml(profile.id)}">Remove</button>
+                    </td>
+                </tr>`).join('')}</tbody>
+        </table>`;
+}
+
+// Fill the form with a profile, or empty it for a new one
+function editConnectionProfile(profileId) {
+    const profile = getConnectionProfiles().find(candidate => candidate.id === profileId);
+    document.getElementById('profileFormError').classList.add('d-none');
+    document.getElementById('profileId').value = profile ? profile.id : '';
+    document.getElementById('profileName').value = profile ? profile.name : '';
+    document.getElementById('profileServerName').value = profile ? profile.serverName : document.getElementById('serverName').value.trim();
+    document.getElementById(profile && profile.authType === 'sql' ? 'profileAuthSql' : 'profileAuthWindows').checked = true;
+    document.getElementById('profileLogin').value = profile && profile.login ? profile.login : '';
+    document.getElementById('profilePassword').value = '';
+    document.getElementById('profilePassword').placeholder = profile && isProfileUnlocked(profile) && profile.authType === 'sql'
+        ? 'Unchanged' : 'Password';
+    document.getElementById('profileDefaultDatabase').value = profile && profile.defaultDatabase ? profile.defaultDatabase : '';
+    document.getElementById('profileEncrypt').checked = profile ? profile.encrypt : false;
+    document.getElementById('profileTrustCertificate').checked = profile ? profile.trustServerCertificate : true;
+    document.getElementById('profileApplicationName').value = profile && profile.applicationName ? profile.applicationName : '';
+    updateProfileAuthFields();
+    if (profile && !isProfileUnlocked(profile)) {
+        document.getElementById('profilePassword').focus();
+    }
+}
+
+function updateProfileAuthFields() {
+    const sql = document.getElementById('profileAuthSql').checked;
+    document.getElementById('profileSqlLogin').classList.toggle('d-none', !sql);
+}
+
+// Save the profile in the form; the password goes to the server only
+async function saveConnectionProfile() {
+    const errorBox = document.getElementById('profileFormError');
+    errorBox.classList.add('d-none');
+    const settings = {
+        id: document.getElementById('profileId').value || generateExecutionId(),
+        name: document.getElementById('profileName').value.trim(),
+        serverName: document.getElementById('profileServerName').value.trim(),
+        authType: document.getElementById('profileAuthSql').checked ? 'sql' : 'windows',
+        login: document.getElementById('profileLogin').value.trim(),
+        defaultDatabase: document.getElementById('profileDefaultDatabase').value.trim(),
+        encrypt: document.getElementById('profileEncrypt').checked,
+        trustServerCertificate: document.getElementById('profileTrustCertificate').checked,
+        applicationName: document.getElementById('profileApplicationName').value.trim()
+    };
+    if (settings.authType !== 'sql') {
+        settings.login = '';
+    }
+
+    try {
+        const response = await fetch('/api/profile-save', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ ...settings, password: document.getElementById('profilePassword').value })
+        });
+        const data = await response.json();
+        if (data.error) {
+            throw new Error(data.error);
+        }
+        document.getElementById('profilePassword').value = '';
+        if (data.profile.hasPassword) {
+            unlockedProfiles.add(settings.id);
+        } else {
+            unlockedProfiles.delete(settings.id);
+        }
+        setConnectionProfiles([...getConnectionProfiles().filter(profile => profile.id !== settings.id), settings]);
+        renderProfileList();
+        if (settings.authType === 'sql' && !data.profile.hasPassword) {
+            editConnectionProfile(settings.id);
+            throw new Error('Saved. Enter the password to use this profile.');
+        }
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('profileModal')).hide();
+        selectConnectionProfile(settings.id);
+        showMessage(`Connection profile '${settings.name}' saved.`);
+    } catch (error) {
+        errorBox.textContent = error.message;
+        errorBox.classList.remove('d-none');
+    }
+}
+
+async function removeConnectionProfile(profileId) {
+    const profile = getConnectionProfiles().find(candidate => candidate.id === profileId);
+    if (!profile || !confirm(`Remove connection profile '${profile.name}'?`)) return;
+    try {
+        await fetch('/api/profile-remove', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ id: profileId })
+        });
+    } catch (error) {
+        console.error('Error removing connection profile:', error);
+    }
+    unlockedProfiles.delete(profileId);
+    setConnectionProfiles(getConnectionProfiles().filter(candidate => candidate.id !== profileId));
+    if (localStorage.getItem('connectionProfileId') === profileId) {
+        localStorage.removeItem('connectionProfileId');
+    }
+    renderProfileList();
+    renderConnectionProfileSelect();
+    if (document.getElementById('profileId').value === profileId) {
+        editConnectionProfile(null);
+    }
+}
+
+// Session mode: how often the session badge is refreshed, in milliseconds
+const SESSION_STATUS_INTERVAL = 30000;
+
+// Id of the query session of this tab, or '' when session mode is off. The id lives in
+// sessionStorage, so each tab has its own session and a reload keeps it.
+function getQuerySessionId() {
+    if (!document.getElementById('sessionMode').checked && !isSafeDmlMode()) return '';
+    let sessionId = sessionStorage.getItem('querySessionId');
+    if (!sessionId) {
+        sessionId = generateExecutionId();
+        sessionStorage.setItem('querySessionId', sessionId);
+    }
+    return sessionId;
+}
+
+// Show whether the session is open, on which connection and until when
+async function updateSessionStatus() {
+    const controls = document.getElementById('sessionControls');
+    const sessionId = getQuerySessionId();
+    controls.classList.toggle('d-none', !sessionId);
+    if (!sessionId) return;
+
+    const badge = document.getElementById('sessionStatus');
+    try {
+        const response = await fetch('/api/session-status', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ sessionId })
+        });
+        const status = await response.json();
+        if (status.error) {
+            throw new Error(status.error);
+        }
+        if (status.transactionNotice) {
+            showMessage(status.transactionNotice, true);
+        }
+        renderTransactionBanner(status);
+        if (!status.active) {
+            badge.className = 'badge bg-light text-dark';
+            badge.textContent = 'Session opens on the next run';
+            badge.title = '';
+            return;
+        }
+        const openTransactions = status.openTransactions || 0;
+        badge.className = `badge ${openTransactions > 0 ? 'bg-warning text-dark' : 'bg-success'}`;
+        badge.textContent = `Session active: SPID ${status.spid}, ${status.database}` +
+            (openTransactions > 0 ? `, ${openTransactions} open transaction${openTransactions > 1 ? 's' : ''}` : '');
+        badge.title = `${status.serverName}. Closes after ${Math.ceil(status.expiresInSeconds / 60)} more idle minutes.`;
+    } catch (error) {
+        badge.className = 'badge bg-danger';
+        badge.textContent = 'Session status unknown';
+        badge.title = error.message;
+    }
+}
+
+// Close the session of this tab; the next run opens a new one
+async function resetQuerySession(notify = true) {
+    const sessionId = sessionStorage.getItem('querySessionId');
+    if (!sessionId) return;
+    if (pendingTransaction && !confirm('A transaction is pending. Resetting the session rolls it back. Continue?')) return;
+    try {
+        const response = await fetch('/api/session-reset', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ sessionId })
+        });
+        const data = await response.json();
+        if (data.error) {
+            throw new Error(data.error);
+        }
+        if (notify) {
+            showMessage(data.closed ? 'Session reset. Temporary tables and SET options were dropped.' : 'No session was open.');
+        }
+    } catch (error) {
+        showMessage(`Reset session failed: ${error.message}`, true);
+    }
+    updateSessionStatus();
+}
+
+// Safe DML: executions run in a transaction the server keeps open on the tab's session
+function isSafeDmlMode() {
+    return document.getElementById('safeDmlMode').checked;
+}
+
+// Count the statements and rows of a Safe-DML execution for the transaction banner
+function rememberSafeDmlRows(messages) {
+    const counts = (messages || []).filter(msg => msg && msg.type === 'rowcount');
+    pendingTransaction = {
+        ...(pendingTransaction || {}),
+        statements: counts.length,
+        rows: counts.reduce((total, msg) => total + (msg.count || 0), 0)
+    };
+}
+
+// Show the pending transaction of the session with its locks, or hide the banner
+function renderTransactionBanner(status) {
+    const banner = document.getElementById('transactionBanner');
+    const pending = status && status.active ? status.pendingTransaction : null;
+    if (!pending) {
+        if (pendingTransaction) {
+            clearInterval(pendingTransaction.timerId);
+        }
+        pendingTransaction = null;
+        banner.classList.add('d-none');
+        return;
+    }
+
+    if (!pendingTransaction || !pendingTransaction.timerId) {
+        pendingTransaction = { ...(pendingTransaction || {}), timerId: setInterval(updateTransactionCountdown, 1000) };
+    }
+    pendingTransaction.expiresAt = Date.now() + pending.expiresInSeconds * 1000;
+
+    const parts = [`@@TRANCOUNT ${status.openTransactions === null ? '?' : status.openTransactions}`];
+    if (pendingTransaction.statements !== undefined) {
+        parts.push(`${pendingTransaction.statements} statement${pendingTransaction.statements === 1 ? '' : 's'}, ${pendingTransaction.rows} row${pendingTransaction.rows === 1 ? '' : 's'} affected`);
+    }
+    document.getElementById('transactionSummary').textContent = parts.join(' · ');
+
+    const locks = status.locks || [];
+    document.getElementById('transactionLocks').innerHTML = locks.length === 0
+        ? '<span class="text-muted">No locks listed (the login may lack VIEW SERVER STATE)</span>'
+        : 'Locks: ' + locks.map(lock => {
+            const resource = lock.objectName || lock.databaseName || '';
+            return `<span class="badge bg-light text-dark">${escapeHtml(lock.resourceType)} ${escapeHtml(lock.mode)}${resource ? ` on ${escapeHtml(resource)}` : ''} &times; ${lock.count}</span>`;
+        }).join(' ');
+    banner.classList.remove('d-none');
+    updateTransactionCountdown();
+}
+
+// Tick the countdown of the pending transaction; at zero it is rolled back
+function updateTransactionCountdown() {
+    if (!pendingTransaction) return;
+    const remaining = Math.max(0, pendingTransaction.expiresAt - Date.now());
+    const seconds = Math.ceil(remaining / 1000);
+    document.getElementById('transactionCountdown').textContent = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    if (remaining === 0 && !pendingTransaction.ending) {
+        endSafeDmlTransaction('rollback', 'The transaction was rolled back because the countdown expired.');
+    }
+}
+
+// Commit or roll back the pending transaction
+async function endSafeDmlTransaction(action, notice = null) {
+    const sessionId = sessionStorage.getItem('querySessionId');
+    if (!pendingTransaction || !sessionId || pendingTransaction.ending) return;
+    pendingTransaction.ending = true;
+    try {
+        const response = await fetch('/api/transaction-end', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ sessionId, action })
+        });
+        const data = await response.json();
+        if (data.error) {
+            throw new Error(data.error);
+        }
+        showMessage(notice || `${data.message}.`, Boolean(notice));
+    } catch (error) {
+        showMessage(`${action === 'commit' ? 'Commit' : 'Rollback'} failed: ${error.message}`, true);
+    }
+    if (pendingTransaction) {
+        pendingTransaction.ending = false;
+    }
+    await updateSessionStatus();
+}
+
+// Actual plans: executions can return the plan they ran with and the STATISTICS IO/TIME figures
+function isActualPlanMode() {
+    return document.getElementById('actualPlanMode').checked;
+}
+
+// Show the actual plan and statistics of an execution. Results that did not ask for
+// them leave the tabs as they were, unless a job attached later brought some along.
+function displayActualPlanAndStatistics(result, requested) {
+    const statistics = Array.isArray(result.statistics) ? result.statistics : [];
+    if (!requested && !result.actualPlan && statistics.length === 0) return;
+
+    renderStatistics(statistics);
+    const hasPlan = typeof result.actualPlan === 'string' && result.actualPlan !== '';
+    if (hasPlan) {
+        displayExecutionPlan(result.actualPlan);
+    } else {
+        showPlanStatus('<div class="alert alert-info">The execution returned no actual plan.</div>');
+    }
+    document.getElementById('copyXmlBtn').disabled = !hasPlan;
+    document.getElementById('pasteThePlanBtn').disabled = !hasPlan;
+}
+
+// Fill the Statistics tab: reads summed per table and CPU/elapsed time per statement
+function renderStatistics(statistics) {
+    const area = document.getElementById('statisticsArea');
+    if (statistics.length === 0) {
+        area.innerHTML = '<div class="alert alert-info">The execution reported no STATISTICS IO or TIME output.</div>';
+        return;
+    }
+    const formatCount = value => (value || 0).toLocaleString();
+
+    const tables = new Map();
+    statistics.filter(entry => entry.kind === 'io').forEach(entry => {
+        const table = tables.get(entry.table) ||
+            { table: entry.table, scanCount: 0, logicalReads: 0, physicalReads: 0, readAheadReads: 0, lobLogicalReads: 0 };
+        ['scanCount', 'logicalReads', 'physicalReads', 'readAheadReads', 'lobLogicalReads'].forEach(key => {
+            table[key] += entry[key] || 0;
+        });
+        tables.set(entry.table, table);
     });
-    table += '</tr></thead>';
-    
-    // Data
-    table += '<tbody>';
-    results.forEach(row => {
-        table += '<tr>';
-        Object.values(row).forEach(value => {
-            table += `<td>${value === null ? 'NULL' : value}</td>`;
+    const tableRows = Array.from(tables.values()).sort((a, b) => b.logicalReads - a.logicalReads);
+    const readTotals = tableRows.reduce((totals, row) => {
+        Object.keys(totals).forEach(key => { totals[key] += row[key]; });
+        return totals;
+    }, { scanCount: 0, logicalReads: 0, physicalReads: 0, readAheadReads: 0, lobLogicalReads: 0 });
+
+    const statements = new Map();
+    statistics.filter(entry => entry.kind === 'compile' || entry.kind === 'execution').forEach(entry => {
+        const key = `${entry.batch}:${entry.statement}`;
+        const statement = statements.get(key) ||
+            { batch: entry.batch, statement: entry.statement, compileCpuMs: 0, compileElapsedMs: 0, cpuMs: 0, elapsedMs: 0 };
+        if (entry.kind === 'compile') {
+            statement.compileCpuMs += entry.cpuMs || 0;
+            statement.compileElapsedMs += entry.elapsedMs || 0;
+        } else {
+            statement.cpuMs += entry.cpuMs || 0;
+            statement.elapsedMs += entry.elapsedMs || 0;
+        }
+        statements.set(key, statement);
+    });
+    const timeRows = Array.from(statements.values());
+    const timeTotals = timeRows.reduce((totals, row) => {
+        Object.keys(totals).forEach(key => { totals[key] += row[key]; });
+        return totals;
+    }, { compileCpuMs: 0, compileElapsedMs: 0, cpuMs: 0, elapsedMs: 0 });
+
+    let html = '<h6>Reads by table</h6>';
+    if (tableRows.length === 0) {
+        html += '<div class="text-muted mb-3">No table was read.</div>';
+    } else {
+        html += `<table class="table table-sm table-bordered statistics-table">
+            <thead><tr><th>Table</th><th>Scans</th><th>Logical reads</th><th>Physical reads</th><th>Read-ahead reads</th><th>LOB logical reads</th></tr></thead>
+            <tbody>${tableRows.map(row => `<tr><td>${escapeHtml(row.table)}</td><td>${formatCount(row.scanCount)}</td><td>${formatCount(row.logicalReads)}</td>` +
+                `<td>${formatCount(row.physicalReads)}</td><td>${formatCount(row.readAheadReads)}</td><td>${formatCount(row.lobLogicalReads)}</td></tr>`).join('')}</tbody>
+            <tfoot><tr><th>Total</th><th>${formatCount(readTotals.scanCount)}</th><th>${formatCount(readTotals.logicalReads)}</th><th>${formatCount(readTotals.physicalReads)}</th>` +
+                `<th>${formatCount(readTotals.readAheadReads)}</th><th>${formatCount(readTotals.lobLogicalReads)}</th></tr></tfoot>
+        </table>`;
+    }
+
+    html += '<h6>Time by statement</h6>';
+    if (timeRows.length === 0) {
+        html += '<div class="text-muted">No times were reported.</div>';
+    } else {
+        html += `<table class="table table-sm table-bordered statistics-table">
+            <thead><tr><th>Batch</th><th>Statement</th><th>Compile CPU (ms)</th><th>Compile elapsed (ms)</th><th>CPU (ms)</th><th>Elapsed (ms)</th></tr></thead>
+            <tbody>${timeRows.map(row => `<tr><td>${row.batch}</td><td>${row.statement}</td><td>${formatCount(row.compileCpuMs)}</td>` +
+                `<td>${formatCount(row.compileElapsedMs)}</td><td>${formatCount(row.cpuMs)}</td><td>${formatCount(row.elapsedMs)}</td></tr>`).join('')}</tbody>
+            <tfoot><tr><th colspan="2">Total</th><th>${formatCount(timeTotals.compileCpuMs)}</th><th>${formatCount(timeTotals.compileElapsedMs)}</th>` +
+                `<th>${formatCount(timeTotals.cpuMs)}</th><th>${formatCount(timeTotals.elapsedMs)}</th></tr></tfoot>
+        </table>`;
+    }
+    area.innerHTML = html;
+}
+
+// Plan analysis: findings worth a look in the plan shown in the Plan tab, each
+// pointing at the operator it concerns
+const PLAN_SCAN_OPERATORS = ['Table Scan', 'Index Scan', 'Clustered Index Scan'];
+const PLAN_LOOKUP_OPERATORS = ['Key Lookup', 'RID Lookup'];
+const PLAN_SPILL_WARNINGS = {
+    SpillToTempDb: 'Spill to tempdb',
+    SortSpillDetails: 'Sort spill',
+    HashSpillDetails: 'Hash spill',
+    ExchangeSpillDetails: 'Exchange spill'
+};
+const PLAN_FINDING_BADGES = {
+    'Missing index': 'bg-primary',
+    'Implicit conversion': 'bg-warning text-dark',
+    'Spill': 'bg-danger',
+    'No join predicate': 'bg-danger',
+    'Unmatched index': 'bg-warning text-dark',
+    'Key lookup': 'bg-info text-dark',
+    'Scan': 'bg-info text-dark'
+};
+
+// Percentage of the statement cost from which scans and key lookups are listed
+function getPlanCostThreshold() {
+    const threshold = parseFloat(localStorage.getItem('planCostThreshold'));
+    return isNaN(threshold) ? 10 : threshold;
+}
+
+// Every operator of a statement, root first
+function getPlanNodes(root) {
+    return [root, ...root.children.flatMap(getPlanNodes)];
+}
+
+// Strip the brackets SQL Server puts around names in plans
+function unquotePlanName(name) {
+    return (name || '').replace(/^\[|\]$/g, '').replace(/\]\]/g, ']');
+}
+
+// Build a CREATE INDEX script from a MissingIndexGroup of a plan
+function getMissingIndexScript(missingIndexGroup) {
+    const missingIndex = planChildElements(missingIndexGroup, 'MissingIndex')[0];
+    if (!missingIndex) return null;
+
+    const columnsOf = usage => planChildElements(missingIndex, 'ColumnGroup')
+        .filter(group => group.getAttribute('Usage') === usage)
+        .flatMap(group => planChildElements(group, 'Column').map(column => column.getAttribute('Name')));
+    // Equality columns lead the key, as the optimizer suggests
+    const keyColumns = [...columnsOf('EQUALITY'), ...columnsOf('INEQUALITY')];
+    const includeColumns = columnsOf('INCLUDE');
+    if (keyColumns.length === 0) return null;
+
+    const table = missingIndex.getAttribute('Table');
+    const target = ['Database', 'Schema', 'Table'].map(attr => missingIndex.getAttribute(attr)).filter(Boolean).join('.');
+    const indexName = `IX_${[table, ...keyColumns].map(unquotePlanName).join('_')}`.replace(/[^\w]/g, '_').slice(0, 128);
+    const impact = parseFloat(missingIndexGroup.getAttribute('Impact'));
+    return {
+        table: unquotePlanName(table),
+        impact: isNaN(impact) ? null : impact,
+        keyColumns,
+        includeColumns,
+        script: `CREATE NONCLUSTERED INDEX [${indexName}]\nON ${target} (${keyColumns.join(', ')})` +
+            (includeColumns.length > 0 ? `\nINCLUDE (${includeColumns.join(', ')})` : '') + ';'
+    };
+}
+
+// Walk a parsed plan and list its findings: missing indexes, implicit conversions,
+// spills, missing join predicates, unmatched indexes, and expensive scans and key lookups
+function analyzePlan(plan, costThreshold) {
+    const findings = [];
+
+    plan.statements.forEach((stmt, statementIndex) => {
+        const nodes = getPlanNodes(stmt.root);
+        const queryPlan = planChildElements(stmt.element, 'QueryPlan')[0];
+        const add = (type, node, title, detail = '', script = null) => {
+            findings.push({ type, statement: statementIndex + 1, nodeId: node.id, operator: node.physicalOp, title, detail, script });
+        };
+        // The operator working on a table, for findings the plan reports per statement
+        const nodeForTable = table => nodes.find(node => node.objectName.split('.').some(part => unquotePlanName(part) === table)) || stmt.root;
+        // The operator whose expressions contain the text, e.g. an implicit conversion
+        const nodeForExpression = expression => nodes.find(node => Array.from(node.element.getElementsByTagName('*'))
+            .some(el => el.localName === 'ScalarOperator' && (el.getAttribute('ScalarString') || '').includes(expression))) || stmt.root;
+
+        const missingIndexes = queryPlan ? planChildElements(queryPlan, 'MissingIndexes')[0] : null;
+        if (missingIndexes) {
+            planChildElements(missingIndexes, 'MissingIndexGroup').forEach(group => {
+                const missingIndex = getMissingIndexScript(group);
+                if (!missingIndex) return;
+                add('Missing index', nodeForTable(missingIndex.table),
+                    `Index on ${missingIndex.table} (${missingIndex.keyColumns.join(', ')})` +
+                        (missingIndex.impact === null ? '' : `, estimated impact ${missingIndex.impact.toFixed(1)}%`),
+                    missingIndex.includeColumns.length > 0 ? `Includes ${missingIndex.includeColumns.join(', ')}` : '',
+                    missingIndex.script);
+            });
+        }
+
+        // Warnings about the whole statement, and those of each operator
+        const warningSources = [
+            ...(queryPlan ? planChildElements(queryPlan, 'Warnings').map(warnings => ({ warnings, node: null })) : []),
+            ...nodes.flatMap(node => planChildElements(node.element, 'Warnings').map(warnings => ({ warnings, node })))
+        ];
+        warningSources.forEach(({ warnings, node }) => {
+            planChildElements(warnings, 'PlanAffectingConvert').forEach(convert => {
+                const expression = convert.getAttribute('Expression') || '';
+                add('Implicit conversion', node || nodeForExpression(expression),
+                    `Type conversion may affect the ${(convert.getAttribute('ConvertIssue') || 'plan').toLowerCase()}`, expression);
+            });
+            Object.entries(PLAN_SPILL_WARNINGS).forEach(([localName, label]) => {
+                planChildElements(warnings, localName).forEach(spill => {
+                    const details = ['SpillLevel', 'SpilledThreadCount', 'WritesToTempDb', 'ReadsFromTempDb']
+                        .filter(attr => spill.hasAttribute(attr))
+                        .map(attr => `${attr.replace(/([a-z])([A-Z])/g, '$1 $2')}: ${spill.getAttribute(attr)}`);
+                    add('Spill', node || stmt.root, `${label} in ${(node || stmt.root).physicalOp}`, details.join(', '));
+                });
+            });
+            if (node && ['1', 'true'].includes(warnings.getAttribute('NoJoinPredicate'))) {
+                add('No join predicate', node, `${node.physicalOp} joins its inputs without a predicate`,
+                    'Every row of one input is matched with every row of the other.');
+            }
+        });
+
+        const unmatchedIndexes = queryPlan ? planChildElements(queryPlan, 'UnmatchedIndexes')[0] : null;
+        if (unmatchedIndexes) {
+            Array.from(unmatchedIndexes.getElementsByTagName('*'))
+                .filter(el => el.localName === 'Object')
+                .forEach(object => {
+                    const index = ['Schema', 'Table', 'Index'].map(attr => object.getAttribute(attr)).filter(Boolean).join('.');
+                    add('Unmatched index', nodeForTable(unquotePlanName(object.getAttribute('Table'))),
+                        `Filtered index ${index} was not used`, 'The query is parameterized, so the filter of the index cannot be matched.');
+                });
+        }
+
+        nodes.forEach(node => {
+            if (node.costPercent < costThreshold) return;
+            // Older plans show key lookups as clustered index seeks marked Lookup
+            const indexScan = planChildElements(node.element, 'IndexScan')[0];
+            const isLookup = PLAN_LOOKUP_OPERATORS.includes(node.physicalOp) ||
+                Boolean(indexScan && ['1', 'true'].includes(indexScan.getAttribute('Lookup')));
+            if (isLookup) {
+                add('Key lookup', node, `${node.physicalOp} on ${node.objectName} costs ${node.costPercent.toFixed(0)}%`,
+                    'A covering index would avoid the lookup.');
+            } else if (PLAN_SCAN_OPERATORS.includes(node.physicalOp)) {
+                add('Scan', node, `${node.physicalOp} on ${node.objectName} costs ${node.costPercent.toFixed(0)}%`);
+            }
         });
-        table += '</tr>';
     });
-    table += '</tbody></table>';
-    
-    resultTable.innerHTML = table;
 
-    // Switch to results tab
-    const resultsTab = document.querySelector('a[href="#results"]');
-    const tab = new bootstrap.Tab(resultsTab);
-    tab.show();
+    return findings;
 }
 
-// Copy execution plan XML to clipboard
-async function copyPlanToClipboard() {
-    const planArea = document.getElementById('planArea');
-    if (!planArea.textContent) {
-        showMessage('No execution plan available to copy', true);
+// Show the findings of the current plan below it
+function renderPlanAnalysis() {
+    const panel = document.getElementById('planAnalysisPanel');
+    panel.classList.toggle('d-none', !currentPlan);
+    if (!currentPlan) return;
+
+    const findings = analyzePlan(currentPlan, getPlanCostThreshold());
+    document.getElementById('planAnalysisCount').textContent = findings.length;
+    const list = document.getElementById('planAnalysis');
+    if (findings.length === 0) {
+        list.innerHTML = '<div class="list-group-item text-muted">Nothing to report.</div>';
+        return;
+    }
+
+    const multipleStatements = currentPlan.statements.length > 1;
+    list.innerHTML = findings.map((finding, index) => `
+        <div class="list-group-item plan-finding">
+            <div class="d-flex align-items-center gap-2">
+                <span class="badge ${PLAN_FINDING_BADGES[finding.type]}">${escapeHtml(finding.type)}</span>
+                <span>${escapeHtml(finding.title)}</span>
+                <a href="#" class="ms-auto small plan-finding-link" data-node-id="${finding.nodeId}">` +
+                    `${multipleStatements ? `Query ${finding.statement}: ` : ''}${escapeHtml(finding.operator)}</a>
+            </div>
+            ${finding.detail ? `<div class="small text-muted plan-finding-detail">${escapeHtml(finding.detail)}</div>` : ''}
+            ${finding.script ? `<div class="d-flex align-items-start gap-2 mt-1">
+                <pre class="plan-finding-script mb-0">${escapeHtml(finding.script)}</pre>
+                <button class="btn btn-sm btn-outline-secondary" data-finding="${index}">Copy</button>
+            </div>` : ''}
+        </div>`).join('');
+
+    list.querySelectorAll('.plan-finding-link').forEach(link => {
+        link.addEventListener('click', event => {
+            event.preventDefault();
+            focusPlanOperator(Number(link.dataset.nodeId));
+        });
+    });
+    list.querySelectorAll('button[data-finding]').forEach(button => {
+        button.addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(findings[Number(button.dataset.finding)].script);
+                showMessage('Index script copied to clipboard');
+            } catch (error) {
+                showMessage(`Copy failed: ${error.message}`, true);
+            }
+        });
+    });
+}
+
+// Scroll the graphical plan to an operator and highlight it
+function focusPlanOperator(nodeId) {
+    setPlanView('graph');
+    const group = document.querySelector(`#planGraph .plan-node[data-node-id="${nodeId}"]`);
+    if (!group) return;
+    document.querySelectorAll('#planGraph .plan-node-selected').forEach(el => el.classList.remove('plan-node-selected'));
+    group.classList.add('plan-node-selected');
+    group.scrollIntoView({ block: 'center', inline: 'center', behavior: 'smooth' });
+}
+
+// Plan files: plans are saved and opened as .sqlplan files, the format SSMS uses,
+// so they never leave the machine
+function isPasteThePlanEnabled() {
+    return localStorage.getItem('pasteThePlanEnabled') === 'true';
+}
+
+function updatePasteThePlanButton() {
+    document.getElementById('pasteThePlanBtn').classList.toggle('d-none', !isPasteThePlanEnabled());
+}
+
+// Download the plan shown in the Plan tab
+function downloadPlan() {
+    if (!currentPlanXml) {
+        showMessage('No execution plan available to save', true);
         return;
     }
+    // The file is written as UTF-8, whatever encoding the plan declared
+    const xml = currentPlanXml.trim().replace(/^<\?xml[^>]*\?>\s*/, '');
+    downloadFile(`ExecutionPlan_${getFileTimestamp()}.sqlplan`, `<?xml version="1.0" encoding="utf-8"?>\n${xml}`, 'application/xml');
+}
+
+// Read a .sqlplan file. SSMS saves plans as UTF-16, other tools as UTF-8.
+async function readPlanFile(file) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    let encoding = 'utf-8';
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+        encoding = 'utf-16le';
+    } else if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+        encoding = 'utf-16be';
+    }
+    const xml = new TextDecoder(encoding).decode(bytes).trim();
+    if (!isValidExecutionPlan(xml)) {
+        throw new Error(`${file.name} is not an execution plan`);
+    }
+    return xml;
+}
 
+// Show a plan file from disk in the Plan tab
+async function openPlanFile(file) {
     try {
-        await navigator.clipboard.writeText(planArea.textContent);
-        showMessage('Execution plan copied to clipboard');
-    } catch (err) {
-        showMessage('Failed to copy execution plan: ' + err.message, true);
+        const xml = await readPlanFile(file);
+        displayExecutionPlan(xml);
+        document.getElementById('copyXmlBtn').disabled = false;
+        document.getElementById('pasteThePlanBtn').disabled = false;
+        showMessage(`Opened execution plan ${file.name}`);
+        bootstrap.Tab.getOrCreateInstance(document.querySelector('a[href="#plan"]')).show();
+    } catch (error) {
+        showMessage(`Could not open the plan: ${error.message}`, true);
+    }
+}
+
+// Plan comparison: two plans side by side, operators matched by their place in the tree.
+// Estimated rows count as changed from a 10% difference, cost from 1 point of the statement.
+const PLAN_COMPARE_ROWS_RATIO = 0.1;
+const PLAN_COMPARE_COST_POINTS = 1;
+
+function showPlanCompare() {
+    // Start from the current plan on the side that is still empty
+    if (currentPlanXml && !comparedPlans.a && !comparedPlans.b) {
+        setComparedPlan('b', false);
+    }
+    renderPlanComparison();
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('planCompareModal')).show();
+}
+
+// Put the plan of the Plan tab on one side
+function setComparedPlan(side, render = true) {
+    if (!currentPlan || !currentPlanXml) {
+        showMessage('No execution plan available to compare', true);
+        return;
+    }
+    comparedPlans[side] = { plan: parseShowPlan(currentPlanXml), label: `Current plan, ${new Date().toLocaleTimeString()}` };
+    if (render) renderPlanComparison();
+}
+
+async function openComparedPlanFile(side, file) {
+    try {
+        const xml = await readPlanFile(file);
+        comparedPlans[side] = { plan: parseShowPlan(xml), label: file.name };
+        renderPlanComparison();
+    } catch (error) {
+        showMessage(`Could not open the plan: ${error.message}`, true);
+    }
+}
+
+// Pair the operators of two plans statement by statement, walking both trees in step
+function comparePlans(planA, planB) {
+    const rows = [];
+    const walk = (statement, nodeA, nodeB, depth) => {
+        const row = { statement, depth, a: nodeA, b: nodeB };
+        if (nodeA && nodeB) {
+            row.typeChanged = nodeA.physicalOp !== nodeB.physicalOp || nodeA.logicalOp !== nodeB.logicalOp;
+            row.rowsChanged = Math.abs(nodeA.estimateRows - nodeB.estimateRows) >
+                PLAN_COMPARE_ROWS_RATIO * Math.max(nodeA.estimateRows, nodeB.estimateRows, 1);
+            row.costChanged = Math.abs(nodeA.costPercent - nodeB.costPercent) >= PLAN_COMPARE_COST_POINTS;
+            row.changed = row.typeChanged || row.rowsChanged || row.costChanged;
+        } else {
+            row.changed = true;
+        }
+        rows.push(row);
+
+        const childrenA = nodeA ? nodeA.children : [];
+        const childrenB = nodeB ? nodeB.children : [];
+        for (let i = 0; i < Math.max(childrenA.length, childrenB.length); i++) {
+            walk(statement, childrenA[i] || null, childrenB[i] || null, depth + 1);
+        }
+    };
+
+    const statementCount = Math.max(planA.statements.length, planB.statements.length);
+    for (let i = 0; i < statementCount; i++) {
+        const stmtA = planA.statements[i];
+        const stmtB = planB.statements[i];
+        walk(i + 1, stmtA ? stmtA.root : null, stmtB ? stmtB.root : null, 0);
+    }
+    return rows;
+}
+
+// Draw both plans and the table of operator differences
+function renderPlanComparison() {
+    ['a', 'b'].forEach(side => {
+        const suffix = side.toUpperCase();
+        const compared = comparedPlans[side];
+        const container = document.getElementById(`planCompareGraph${suffix}`);
+        document.getElementById(`planCompareLabel${suffix}`).textContent = compared ? compared.label : '';
+        if (!compared) {
+            container.innerHTML = '<div class="text-muted">Use the current plan or open a .sqlplan file.</div>';
+        } else if (compared.plan.statements.length === 0) {
+            container.innerHTML = '<div class="alert alert-info">The plan contains no query operators to draw.</div>';
+        } else {
+            renderPlanGraph(compared.plan, container);
+            // Both graphs shrink to their half of the dialog
+            container.querySelectorAll('.plan-svg').forEach(svg => svg.setAttribute('width', svg.dataset.baseWidth));
+        }
+    });
+
+    const summary = document.getElementById('planCompareSummary');
+    const diff = document.getElementById('planCompareDiff');
+    if (!comparedPlans.a || !comparedPlans.b) {
+        summary.textContent = '';
+        diff.innerHTML = '<div class="text-muted">Choose a plan for both sides to compare them.</div>';
+        return;
+    }
+
+    const rows = comparePlans(comparedPlans.a.plan, comparedPlans.b.plan);
+    const changedCount = rows.filter(row => row.changed).length;
+    summary.textContent = `${changedCount} of ${rows.length} operators differ`;
+    const shown = document.getElementById('planCompareShowAll').checked ? rows : rows.filter(row => row.changed);
+    if (shown.length === 0) {
+        diff.innerHTML = '<div class="text-muted">The operators, estimated rows and costs of both plans match.</div>';
+        return;
     }
-} 
\ No newline at end of file
+
+    const formatRows = node => node ? Math.round(node.estimateRows).toLocaleString() : '';
+    const formatCost = node => node ? `${node.ownCost.toLocaleString(undefined, { maximumFractionDigits: 4 })} (${node.costPercent.toFixed(0)}%)` : '';
+    const formatOperator = node => node ? escapeHtml(node.physicalOp + (node.objectName ? ` ${node.objectName}` : '')) : '<span class="text-muted">none</span>';
+    const changedClass = flag => flag ? ' class="plan-compare-changed"' : '';
+    diff.innerHTML = `<table class="table table-sm table-bordered plan-compare-table">
+        <thead><tr><th>Query</th><th>Plan A operator</th><th>Plan B operator</th><th>Estimated rows A</th><th>Estimated rows B</th><th>Cost A</th><th>Cost B</th></tr></thead>
+        <tbody>${shown.map(row => {
+            const index = rows.indexOf(row);
+            const missing = !row.a || !row.b;
+            return `<tr data-row="${index}">
+                <td>${row.statement}</td>
+                <td${changedClass(missing || row.typeChanged)} style="padding-left: ${0.5 + row.depth}rem">${formatOperator(row.a)}</td>
+                <td${changedClass(missing || row.typeChanged)} style="padding-left: ${0.5 + row.depth}rem">${formatOperator(row.b)}</td>
+                <td${changedClass(row.rowsChanged)}>${formatRows(row.a)}</td>
+                <td${changedClass(row.rowsChanged)}>${formatRows(row.b)}</td>
+                <td${changedClass(row.costChanged)}>${formatCost(row.a)}</td>
+                <td${changedClass(row.costChanged)}>${formatCost(row.b)}</td>
+            </tr>`;
+        }).join('')}</tbody>
+    </table>`;
+
+    // Clicking a row points out its operators in both graphs
+    diff.querySelectorAll('tr[data-row]').forEach(tr => {
+        tr.addEventListener('click', () => {
+            const row = rows[Number(tr.dataset.row)];
+            [['A', row.a], ['B', row.b]].forEach(([suffix, node]) => {
+                const container = document.getElementById(`planCompareGraph${suffix}`);
+                container.querySelectorAll('.plan-node-selected').forEach(el => el.classList.remove('plan-node-selected'));
+                const group = node ? container.querySelector(`.plan-node[data-node-id="${node.id}"]`) : null;
+                if (group) {
+                    group.classList.add('plan-node-selected');
+                    group.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+                }
+            });
+        });
+    });
+}
@@ -11,6 +11,25 @@ Add-Type -AssemblyName "Microsoft.SqlServer.Management.Sdk.Sfc, Version=16.0.0.0
 $script:config = @{
     InventoryServer = "" # Will be set during initialization
     InventoryDatabase = "SQLServerInventory"
+    # Execution policy for unclassified servers (servers that are not in the inventory)
+    DefaultExecutionPolicy = "ConfirmChanges"
+    # Backup age in hours at which the dashboard shows a backup as late (amber) or missing (red)
+    BackupAgeThresholds = @{
+        full = @{ warning = 192; critical = 336 }
+        diff = @{ warning = 26; critical = 50 }
+        log = @{ warning = 2; critical = 8 }
+    }
+    # Database refreshes from the web interface: the script they run, the environments
+    # they may not overwrite and where the last refreshes are kept. The history names
+    # servers, databases and backup paths, so it stays out of the folder the web server serves.
+    DatabaseRefreshScript = Join-Path $PSScriptRoot "DatabaseRefresh.ps1"
+    RefreshBlockedEnvironments = @("PROD")
+    RefreshHistoryFile = Join-Path $(if ($env:LOCALAPPDATA) { $env:LOCALAPPDATA } else { [System.IO.Path]::GetTempPath() }) "SQLQueryTool\refresh-history.json"
+    RefreshHistoryLimit = 100
+    # Query sessions (connections kept open between executions) close after this many idle minutes
+    SessionIdleMinutes = 20
+    # Safe-DML transactions that are neither committed nor rolled back within this many seconds are rolled back
+    SafeDmlTimeoutSeconds = 120
 }
 
 # Function to initialize configuration
@@ -206,6 +225,18 @@ try {
         exit 1
     }
 
+    # State shared between the request loop and query workers
+    $script:shared = [hashtable]::Synchronized(@{
+        executions = [hashtable]::Synchronized(@{})  # executionId -> running command and cancel flag
+        sessions = [hashtable]::Synchronized(@{})  # sessionId -> connection kept open between executions
+    })
+    # Requests that are answered when their query worker finishes
+    $script:pendingRequests = New-Object System.Collections.ArrayList
+    # Background query jobs by job id; clients poll /api/job-status for their progress
+    $script:queryJobs = @{}
+    $script:workerPool = [runspacefactory]::CreateRunspacePool(1, 8, $Host)
+    $script:workerPool.Open()
+
     function Send-Response($response, $statusCode, $data) {
         try {
             Write-Host "Preparing response with status code: $statusCode"
@@ -251,66 +282,69 @@ try {
         }
     }
 
+    # Function to query the inventory database. Inventory objects are written as
+    # {inventory}.vw_InstanceOverview; the placeholder becomes Database.dbo, or just dbo
+    # on servers that reject database-qualified names (Azure SQL Database).
+    function Invoke-InventoryQuery($query) {
+        $connectionParams = @{
+            ServerInstance = $script:config.InventoryServer
+            Query = $query.Replace('{inventory}', "$($script:config.InventoryDatabase).dbo")
+            ErrorAction = "Stop"
+            TrustServerCertificate = $true
+        }
+
+        # Add SQL Authentication parameters if configured
+        if ($script:config.UseSqlAuth) {
+            $connectionParams.Username = $script:config.SqlUsername
+            $connectionParams.Password = $script:config.SqlPassword
+        }
+
+        try {
+            return Invoke-Sqlcmd @connectionParams
+        }
+        catch {
+            # Check if it's the specific version compatibility error
+            if ($_.Exception.Message -match "Reference to database and/or server name .* is not supported in this version" -or
+                $_.Exception.Message -match "Msg 40515") {
+                Write-Host "Detected SQL Server version compatibility issue, retrying with modified query..." -ForegroundColor Yellow
+
+                # Switch to the inventory database and query without database qualification
+                $connectionParams.Database = $script:config.InventoryDatabase
+                $connectionParams.Query = $query.Replace('{inventory}', 'dbo')
+                return Invoke-Sqlcmd @connectionParams
+            }
+            # If it's a different error, rethrow it
+            throw
+        }
+    }
+
+    # Function to look up the environment of a server. HOST\INSTANCE matches that named
+    # instance; a plain host name matches the host, preferring its default instance.
+    # Servers that are not in the inventory are reported as unclassified.
     function Get-InstanceEnvironment($serverName) {
         try {
             # Extract instance name if provided
             $instanceParts = $serverName -split '\\'
-            $serverName = $instanceParts[0]
-            $instanceName = if ($instanceParts.Count -gt 1) { $instanceParts[1] } else { $serverName }
-
-            # First try with fully qualified name
-            $query = @"
-            SELECT TOP 1 EnvironmentName
-            FROM $($script:config.InventoryDatabase).dbo.vw_InstanceOverview
-            WHERE ServerName = '$instanceName'
-"@
-            # Add connection parameters to trust server certificate
-            $connectionParams = @{
-                ServerInstance = $script:config.InventoryServer
-                Query = $query
-                ErrorAction = "Stop"
-                TrustServerCertificate = $true
-            }
+            $hostName = $instanceParts[0] -replace "'", "''"
+            $instanceFilter = if ($instanceParts.Count -gt 1) { "AND InstanceName = '$($instanceParts[1] -replace "'", "''")'" } else { "" }
 
-            # Add SQL Authentication parameters if configured
-            if ($script:config.UseSqlAuth) {
-                $connectionParams.Username = $script:config.SqlUsername
-                $connectionParams.Password = $script:config.SqlPassword
-            }
-            
-            try {
-                $result = Invoke-Sqlcmd @connectionParams
-            }
-            catch {
-                # Check if it's the specific version compatibility error
-                if ($_.Exception.Message -match "Reference to database and/or server name .* is not supported in this version" -or
-                    $_.Exception.Message -match "Msg 40515") {
-                    Write-Host "Detected SQL Server version compatibility issue, retrying with modified query..." -ForegroundColor Yellow
-                    
-                    # Switch to current database and try without database qualification
-                    $connectionParams.Database = $script:config.InventoryDatabase
-                    $query = @"
-                    SELECT TOP 1 EnvironmentName
-                    FROM dbo.vw_InstanceOverview
-                    WHERE ServerName = '$instanceName'
+            $result = Invoke-InventoryQuery @"
+            SELECT TOP 1 EnvironmentName, ExecutionPolicy
+            FROM {inventory}.vw_InstanceOverview
+            WHERE ServerName = '$hostName' $instanceFilter
+            ORDER BY CASE WHEN InstanceName IN ('MSSQLSERVER', ServerName) THEN 0 ELSE 1 END
 "@
-                    $connectionParams.Query = $query
-                    $result = Invoke-Sqlcmd @connectionParams
-                }
-                else {
-                    # If it's a different error, rethrow it
-                    throw
-                }
-            }
-            
+
             if ($result) {
                 return @{
                     environment = $result.EnvironmentName
+                    executionPolicy = $result.ExecutionPolicy
                 }
             }
             
             return @{
-                error = "Server not found in inventory"
+                environment = $null
+                unclassified = $true
             }
         }
         catch {
@@ -321,321 +355,1548 @@ try {
         }
     }
 
-    # Function to invoke SQL queries
-    function Invoke-SqlQuery($serverName, $query, $action) {
+    # Function to build the name to connect with: HOST for a default instance, HOST\INSTANCE otherwise
+    function Format-InstanceServerName($serverName, $instanceName) {
+        if ($instanceName -eq 'MSSQLSERVER' -or $instanceName -eq $serverName) {
+            return $serverName
+        }
+        return "$serverName\$instanceName"
+    }
+
+    # Function to list the instances of the inventory for the server picker
+    function Get-InventoryInstances {
         try {
-            # First check if this is a production instance
-            $envInfo = Get-InstanceEnvironment $serverName
-            if ($envInfo.environment -eq 'PROD') {
-                return @{
-                    error = "Operation not allowed on Production instance"
+            $rows = @(Invoke-InventoryQuery @"
+            SELECT ServerName, InstanceName, EnvironmentName, ExecutionPolicy, Version,
+                CAST(Edition AS NVARCHAR(128)) AS Edition, DatabaseCount, LastScanDate
+            FROM {inventory}.vw_InstanceOverview
+            ORDER BY EnvironmentName, ServerName, InstanceName
+"@)
+            $instances = foreach ($row in $rows) {
+                @{
+                    serverName = Format-InstanceServerName $row.ServerName $row.InstanceName
+                    environment = $row.EnvironmentName
+                    executionPolicy = $row.ExecutionPolicy
+                    version = if ($row.Version -is [DBNull]) { $null } else { $row.Version }
+                    edition = if ($row.Edition -is [DBNull]) { $null } else { $row.Edition }
+                    databaseCount = $row.DatabaseCount
+                    lastScanDate = if ($row.LastScanDate -is [DateTime]) { $row.LastScanDate.ToString('o') } else { $null }
                 }
             }
+            return @{
+                instances = @($instances)
+            }
+        }
+        catch {
+            Write-Warning "Error in Get-InventoryInstances: $_"
+            return @{
+                error = "Failed to list inventory instances: $($_.Exception.Message)"
+            }
+        }
+    }
 
-            Write-Host "Executing query on $serverName"
+    # Function to turn an inventory column value into a JSON value: NULL becomes null
+    # and dates ISO 8601 strings
+    function ConvertFrom-InventoryValue($value) {
+        if ($value -is [DBNull]) {
+            return $null
+        }
+        if ($value -is [DateTime]) {
+            return $value.ToString('o')
+        }
+        return $value
+    }
 
-            # Extract database name from the query if it exists
-            $databaseMatch = [regex]::Match($query, "FROM\s+([^.\s]+)\.dbo\.")
-            $databaseName = if ($databaseMatch.Success) { $databaseMatch.Groups[1].Value } else { "master" }
-            Write-Host "Using database: $databaseName"
+    # Function to collect the dashboard: environments, instances, the backup age of
+    # every database and the maintenance plans
+    function Get-InventoryDashboard {
+        try {
+            $environments = foreach ($row in @(Invoke-InventoryQuery @"
+            SELECT s.EnvironmentName, e.ExecutionPolicy, s.InstanceCount, s.DatabaseCount, s.TotalSizeMB
+            FROM {inventory}.vw_EnvironmentSummary s
+            INNER JOIN {inventory}.Environments e ON e.EnvironmentName = s.EnvironmentName
+            ORDER BY s.EnvironmentName
+"@)) {
+                @{
+                    environment = $row.EnvironmentName
+                    executionPolicy = ConvertFrom-InventoryValue $row.ExecutionPolicy
+                    instanceCount = $row.InstanceCount
+                    databaseCount = $row.DatabaseCount
+                    totalSizeMB = ConvertFrom-InventoryValue $row.TotalSizeMB
+                }
+            }
 
-            # Create connection with the correct database
-            $connection = New-Object System.Data.SqlClient.SqlConnection
-            $connection.ConnectionString = "Server=$serverName;Database=$databaseName;Trusted_Connection=True;TrustServerCertificate=True"
-            
-            try {
-                $connection.Open()
+            $instances = foreach ($row in @(Invoke-InventoryQuery @"
+            SELECT ServerName, InstanceName, EnvironmentName, Version, DatabaseCount, TotalSizeMB, LastBackupDate, LastScanDate
+            FROM {inventory}.vw_InstanceOverview
+            ORDER BY EnvironmentName, ServerName, InstanceName
+"@)) {
+                @{
+                    serverName = Format-InstanceServerName $row.ServerName $row.InstanceName
+                    environment = $row.EnvironmentName
+                    version = ConvertFrom-InventoryValue $row.Version
+                    databaseCount = $row.DatabaseCount
+                    totalSizeMB = ConvertFrom-InventoryValue $row.TotalSizeMB
+                    lastBackupDate = ConvertFrom-InventoryValue $row.LastBackupDate
+                    lastScanDate = ConvertFrom-InventoryValue $row.LastScanDate
+                }
             }
-            catch {
-                return @{
-                    error = "Failed to connect to database '$databaseName': $($_.Exception.Message)"
+
+            # Ages are computed by the inventory server so the client clock does not matter
+            $databases = foreach ($row in @(Invoke-InventoryQuery @"
+            SELECT ServerName, InstanceName, EnvironmentName, DatabaseName, RecoveryModel, SizeMB, Status,
+                LastFullBackupDate, LastDiffBackupDate, LastLogBackupDate,
+                DATEDIFF(MINUTE, LastFullBackupDate, GETDATE()) / 60.0 AS FullBackupAgeHours,
+                DATEDIFF(MINUTE, LastDiffBackupDate, GETDATE()) / 60.0 AS DiffBackupAgeHours,
+                DATEDIFF(MINUTE, LastLogBackupDate, GETDATE()) / 60.0 AS LogBackupAgeHours
+            FROM {inventory}.vw_BackupStatus
+            ORDER BY ServerName, InstanceName, DatabaseName
+"@)) {
+                @{
+                    serverName = Format-InstanceServerName $row.ServerName $row.InstanceName
+                    environment = $row.EnvironmentName
+                    databaseName = $row.DatabaseName
+                    recoveryModel = ConvertFrom-InventoryValue $row.RecoveryModel
+                    sizeMB = ConvertFrom-InventoryValue $row.SizeMB
+                    status = ConvertFrom-InventoryValue $row.Status
+                    lastFullBackupDate = ConvertFrom-InventoryValue $row.LastFullBackupDate
+                    lastDiffBackupDate = ConvertFrom-InventoryValue $row.LastDiffBackupDate
+                    lastLogBackupDate = ConvertFrom-InventoryValue $row.LastLogBackupDate
+                    fullBackupAgeHours = ConvertFrom-InventoryValue $row.FullBackupAgeHours
+                    diffBackupAgeHours = ConvertFrom-InventoryValue $row.DiffBackupAgeHours
+                    logBackupAgeHours = ConvertFrom-InventoryValue $row.LogBackupAgeHours
                 }
             }
 
-            Write-Host "Connected successfully to $serverName, database: $databaseName"
+            $maintenancePlans = foreach ($row in @(Invoke-InventoryQuery @"
+            SELECT i.ServerName, i.InstanceName, e.EnvironmentName, d.DatabaseName, p.PlanName, p.PlanType,
+                p.Frequency, p.LastRunTime, p.NextRunTime, p.IsEnabled, p.Description
+            FROM {inventory}.MaintenancePlans p
+            INNER JOIN {inventory}.Databases d ON p.DatabaseID = d.DatabaseID
+            INNER JOIN {inventory}.SQLInstances i ON d.InstanceID = i.InstanceID
+            LEFT JOIN {inventory}.Environments e ON i.EnvironmentID = e.EnvironmentID
+            WHERE i.IsActive = 1
+            ORDER BY i.ServerName, i.InstanceName, d.DatabaseName, p.PlanName
+"@)) {
+                @{
+                    serverName = Format-InstanceServerName $row.ServerName $row.InstanceName
+                    environment = ConvertFrom-InventoryValue $row.EnvironmentName
+                    databaseName = $row.DatabaseName
+                    planName = ConvertFrom-InventoryValue $row.PlanName
+                    planType = ConvertFrom-InventoryValue $row.PlanType
+                    frequency = ConvertFrom-InventoryValue $row.Frequency
+                    lastRunTime = ConvertFrom-InventoryValue $row.LastRunTime
+                    nextRunTime = ConvertFrom-InventoryValue $row.NextRunTime
+                    isEnabled = [bool](ConvertFrom-InventoryValue $row.IsEnabled)
+                    description = ConvertFrom-InventoryValue $row.Description
+                }
+            }
 
-            switch ($action) {
-                "parse" {
-                    try {
-                        # Enable PARSEONLY
-                        $command = New-Object System.Data.SqlClient.SqlCommand("SET PARSEONLY ON", $connection)
-                        $null = $command.ExecuteNonQuery()
-                        $command.Dispose()
+            return @{
+                environments = @($environments)
+                instances = @($instances)
+                databases = @($databases)
+                maintenancePlans = @($maintenancePlans)
+                backupAgeThresholds = $script:config.BackupAgeThresholds
+            }
+        }
+        catch {
+            Write-Warning "Error in Get-InventoryDashboard: $_"
+            return @{
+                error = "Failed to load the dashboard: $($_.Exception.Message)"
+            }
+        }
+    }
 
-                        # Parse the query
-                        $command = New-Object System.Data.SqlClient.SqlCommand($query, $connection)
-                        $null = $command.ExecuteNonQuery()
-                        $command.Dispose()
+    # Function to describe an execution policy: the actions it allows and what happens to
+    # statements that change data, schema or server state (allow, confirm or block).
+    # Unknown names get the strictest policy.
+    function Get-QueryExecutionPolicy($name) {
+        $policies = [ordered]@{
+            Unrestricted = @{
+                actions = @('execute', 'parse', 'plan')
+                changes = 'allow'
+                description = 'Any statement can run.'
+            }
+            ConfirmChanges = @{
+                actions = @('execute', 'parse', 'plan')
+                changes = 'confirm'
+                description = 'Statements that change data, schema or server state run after a confirmation.'
+            }
+            ReadOnly = @{
+                actions = @('execute', 'parse', 'plan')
+                changes = 'block'
+                description = 'Only read-only queries, Parse and Execution Plan are allowed.'
+            }
+            PlanOnly = @{
+                actions = @('parse', 'plan')
+                changes = 'block'
+                description = 'Only Parse and Execution Plan are allowed; queries are not executed.'
+            }
+        }
+        $policyName = @($policies.Keys | Where-Object { $_ -eq $name }) | Select-Object -First 1
+        if (-not $policyName) {
+            Write-Warning "Unknown execution policy '$name', using PlanOnly"
+            $policyName = 'PlanOnly'
+        }
+        $policy = $policies[$policyName].Clone()
+        $policy.name = $policyName
+        return $policy
+    }
 
-                        # Disable PARSEONLY
-                        $command = New-Object System.Data.SqlClient.SqlCommand("SET PARSEONLY OFF", $connection)
-                        $null = $command.ExecuteNonQuery()
+    # Function to get the execution policy that applies to a server from its inventory
+    # lookup. Servers outside the inventory get the configured default; when the lookup
+    # itself fails the environment is unknown, so the strictest policy applies.
+    function Get-EnvironmentPolicy($envInfo) {
+        if ($envInfo.error) {
+            return Get-QueryExecutionPolicy 'PlanOnly'
+        }
+        return Get-QueryExecutionPolicy $(if ($envInfo.executionPolicy) { $envInfo.executionPolicy } else { $script:config.DefaultExecutionPolicy })
+    }
 
-                        return @{
-                            message = "Query syntax is valid"
-                        }
-                    }
-                    catch {
-                        Write-Host "Error parsing query: $_"
-                        return @{
-                            error = $_.Exception.Message
-                        }
-                    }
-                    finally {
-                        if ($command) { $command.Dispose() }
-                    }
+    # Function to find the statements of a script that change data, schema or server state.
+    # Comments, string literals and [quoted] names are skipped, as are changes to #temp
+    # tables and table variables. A procedure name that starts a batch runs without EXEC,
+    # so it counts as EXEC; the SQL passed to EXEC('...') and sp_executesql is searched too.
+    # Returns the keyword, batch number and line within the batch.
+    function Find-ChangeStatements($batches) {
+        $changeKeywords = @('INSERT', 'UPDATE', 'DELETE', 'MERGE', 'INTO', 'CREATE', 'ALTER', 'DROP', 'TRUNCATE', 'GRANT', 'DENY', 'REVOKE',
+            'EXEC', 'EXECUTE', 'BACKUP', 'RESTORE', 'DBCC', 'KILL', 'SHUTDOWN', 'RECONFIGURE', 'BULK')
+        $tokenPattern = [regex]::new(
+            "--[^\n]*|/\*[\s\S]*?\*/|'(?:[^']|'')*'|\[(?:[^\]]|\]\])*\]|\b($($changeKeywords -join '|'))\b",
+            'IgnoreCase')
+        $temporaryTarget = '^\s*(?:(?:INTO|FROM|TABLE(?:\s+IF\s+EXISTS)?)\s+)?[#@]'
+        # Statements that may start a batch without changing anything; any other name there is a procedure call
+        $readStatements = @('SELECT', 'WITH', 'SET', 'DECLARE', 'PRINT', 'IF', 'ELSE', 'BEGIN', 'END', 'WHILE', 'RETURN', 'USE', 'GOTO',
+            'RAISERROR', 'THROW', 'COMMIT', 'ROLLBACK', 'SAVE', 'WAITFOR', 'OPEN', 'FETCH', 'CLOSE', 'DEALLOCATE', 'BREAK', 'CONTINUE')
+        $changes = @()
+        for ($batchIndex = 0; $batchIndex -lt @($batches).Count; $batchIndex++) {
+            $text = [string]@($batches)[$batchIndex].text
+            # Where the last INSERT, UPDATE, DELETE or MERGE of the batch starts, for OUTPUT ... INTO
+            $dataChangeIndex = -1
+
+            $firstWord = [regex]::Match($text, '^(?:\s+|;|--[^\n]*|/\*[\s\S]*?\*/)*(\[(?:[^\]]|\]\])*\]|[A-Za-z_#][\w@#$]*)')
+            if ($firstWord.Success -and $firstWord.Groups[1].Value.ToUpperInvariant() -notin ($readStatements + $changeKeywords)) {
+                $changes += @{
+                    keyword = 'EXEC'
+                    batch = $batchIndex + 1
+                    line = ($text.Substring(0, $firstWord.Groups[1].Index) -split "`n").Count
                 }
-                "execute" {
-                    try {
-                        # Check if this is a RESTORE command
-                        if ($query -match '^\s*RESTORE\s+') {
-                            Write-Host "Executing RESTORE command..."
-                            
-                            # Execute the restore command directly
-                            $command = New-Object System.Data.SqlClient.SqlCommand($query, $connection)
-                            $command.CommandTimeout = 300  # Longer timeout for restore operations
-                            
-                            try {
-                                $null = $command.ExecuteNonQuery()
-                                return @{
-                                    message = "Restore command executed successfully"
-                                    results = @()
-                                }
-                            }
-                            catch {
-                                Write-Host "Error executing restore command: $_"
-                                return @{
-                                    error = $_.Exception.Message
-                                    message = "Error: $($_.Exception.Message)"
-                                }
-                            }
-                        }
-                        
-                        # For non-restore queries, proceed with normal execution
-                        # Extract table name from query for validation
-                        $tableMatch = [regex]::Match($query, "FROM\s+([^\s;]+)")
-                        if ($tableMatch.Success) {
-                            $tableName = $tableMatch.Groups[1].Value
-                            Write-Host "Validating existence of table: $tableName"
-                            
-                            # Check if table exists before executing the query
-                            $checkCmd = New-Object System.Data.SqlClient.SqlCommand(@"
-                                IF EXISTS (
-                                    SELECT 1 
-                                    FROM sys.objects 
-                                    WHERE object_id = OBJECT_ID(@tableName) 
-                                    AND type in (N'U', N'V')
-                                )
-                                SELECT 1
-                                ELSE
-                                SELECT 0
-"@, $connection)
-                            $checkCmd.Parameters.AddWithValue("@tableName", $tableName)
-                            
-                            $tableExists = [int]$checkCmd.ExecuteScalar() -eq 1
-                            
-                            if (-not $tableExists) {
-                                return @{
-                                    error = "Table or view '$tableName' does not exist in database '$databaseName'. Please verify the object name and database context."
-                                    message = "Error: Table or view '$tableName' does not exist in database '$databaseName'"
-                                }
-                            }
-                        }
+            }
 
-                        # Create SQL connection to capture print messages
-                        $printMessages = New-Object System.Collections.ArrayList
-                        
-                        # Add message handler
-                        $handler = [System.Data.SqlClient.SqlInfoMessageEventHandler] {
-                            param($sqlSender, $sqlEventArgs)
-                            foreach ($error in $sqlEventArgs.Errors) {
-                                $null = $printMessages.Add($error.Message)
-                                # If this is an error message (not just info), capture it
-                                if ($error.Class -gt 10) {  # Class > 10 indicates an error
-                                    Write-Host "SQL Error detected: $($error.Message)"
-                                    throw [System.Data.SqlClient.SqlException]::new($error.Message)
-                                }
-                            }
-                        }
-                        $connection.add_InfoMessage($handler)
-                        $connection.FireInfoMessageEventOnUserErrors = $true
-                        
-                        Write-Host "Executing query: $query"
-                        
-                        # Execute the query
-                        $command = New-Object System.Data.SqlClient.SqlCommand($query, $connection)
-                        $command.CommandTimeout = 30
-                        
-                        try {
-                            $reader = $command.ExecuteReader()
-                            
-                            # Convert results to array of hashtables
-                            $formattedResults = @()
-                            
-                            # Get column names
-                            $columns = @()
-                            for ($i = 0; $i -lt $reader.FieldCount; $i++) {
-                                $columns += $reader.GetName($i)
-                            }
-                            
-                            Write-Host "Query columns: $($columns -join ', ')"
-                            
-                            if ($reader.HasRows) {
-                                while ($reader.Read()) {
-                                    $row = @{}
-                                    for ($i = 0; $i -lt $reader.FieldCount; $i++) {
-                                        $value = if ($reader.IsDBNull($i)) { $null } else { $reader.GetValue($i) }
-                                        $row[$columns[$i]] = $value
-                                    }
-                                    $formattedResults += $row
-                                }
-                                Write-Host "Query returned $($formattedResults.Count) rows"
-                            } else {
-                                Write-Host "Query returned no rows"
-                            }
-                            
-                            $reader.Close()
-                            
-                            # Only return success message if there were no error messages
-                            if ($printMessages.Count -eq 0) {
-                                return @{
-                                    results = $formattedResults
-                                    messages = $printMessages
-                                    message = if ($formattedResults.Count -eq 0) { 
-                                        "Query executed successfully but returned no results" 
-                                    } else { 
-                                        "Query executed successfully. Returned $($formattedResults.Count) rows." 
-                                    }
-                                }
-                            } else {
-                                # If we have error messages, treat them as errors
-                                return @{
-                                    error = $printMessages[0]  # Use first error message as main error
-                                    message = "Error: $($printMessages[0])"  # Format for display
-                                    messages = $printMessages  # Keep all messages for reference
-                                    results = @()  # Empty results since there was an error
-                                }
-                            }
-                        }
-                        catch {
-                            Write-Host "Error executing query: $_"
-                            # Check for specific error numbers
-                            if ($_.Exception.Message -match "Invalid object name") {
-                                return @{
-                                    error = "Table or view does not exist. Please check the object name and database context."
-                                    message = "Error: Table or view does not exist"
-                                    messages = @($_.Exception.Message)
-                                    results = @()
-                                }
-                            }
-                            # Handle other SQL errors
-                            if ($_.Exception.GetType().Name -eq 'SqlException') {
-                                $sqlEx = $_.Exception
-                                return @{
-                                    error = "SQL Error $($sqlEx.Number): $($sqlEx.Message)"
-                                    message = "Error: SQL Error $($sqlEx.Number): $($sqlEx.Message)"
-                                    messages = @($sqlEx.Message)
-                                    results = @()
-                                }
-                            }
-                            throw
-                        }
-                    }
-                    catch {
-                        Write-Host "Error in SQL execution: $_"
-                        return @{
-                            error = $_.Exception.Message
-                            message = "Error: $($_.Exception.Message)"
+            foreach ($match in $tokenPattern.Matches($text)) {
+                $keyword = $match.Groups[1].Value.ToUpperInvariant()
+                $before = $text.Substring(0, $match.Index)
+                $after = $text.Substring($match.Index + $match.Length)
+
+                # Dynamic SQL: report what the string would run, on the line of the string
+                if (-not $keyword -and $match.Value.StartsWith("'") -and $before -match '(?:\bEXEC(?:UTE)?\s*\(\s*|\bsp_executesql\s+)N?$') {
+                    $dynamicSql = $match.Value.Substring(1, $match.Value.Length - 2) -replace "''", "'"
+                    $lineOffset = ($before -split "`n").Count - 1
+                    foreach ($dynamicChange in @(Find-ChangeStatements @(@{ text = $dynamicSql }))) {
+                        $changes += @{
+                            keyword = "$($dynamicChange.keyword) (dynamic SQL)"
+                            batch = $batchIndex + 1
+                            line = $dynamicChange.line + $lineOffset
                         }
                     }
-                    finally {
-                        if ($reader) { $reader.Dispose() }
-                        if ($command) { $command.Dispose() }
-                        if ($checkCmd) { $checkCmd.Dispose() }
-                    }
+                    continue
+                }
+                if (-not $keyword) {
+                    continue
                 }
-                "plan" {
-                    try {
-                        Write-Host "Getting estimated execution plan..."
-                        
-                        # First, check if the query is valid by parsing it
-                        $parseCmd = New-Object System.Data.SqlClient.SqlCommand("SET PARSEONLY ON", $connection)
-                        $parseCmd.ExecuteNonQuery()
-                        
-                        $testCmd = New-Object System.Data.SqlClient.SqlCommand($query, $connection)
-                        $testCmd.ExecuteNonQuery()
-                        
-                        $parseCmd = New-Object System.Data.SqlClient.SqlCommand("SET PARSEONLY OFF", $connection)
-                        $parseCmd.ExecuteNonQuery()
 
-                        # Now get the execution plan using SET SHOWPLAN_XML
-                        Write-Host "Query is valid, getting execution plan..."
-                        
-                        # Enable SHOWPLAN_XML
-                        $cmd = New-Object System.Data.SqlClient.SqlCommand("SET SHOWPLAN_XML ON", $connection)
-                        $cmd.ExecuteNonQuery()
-                        
-                        # Execute the query to get the plan
-                        $cmd = New-Object System.Data.SqlClient.SqlCommand($query, $connection)
-                        $reader = $cmd.ExecuteReader()
-                        
-                        # Get the execution plan XML
-                        $planXml = ""
-                        if ($reader.Read()) {
-                            $planXml = $reader.GetString(0)
-                        }
-                        $reader.Close()
-                        
-                        # Disable SHOWPLAN_XML
-                        $cmd = New-Object System.Data.SqlClient.SqlCommand("SET SHOWPLAN_XML OFF", $connection)
-                        $cmd.ExecuteNonQuery()
-                        
-                        if ($planXml) {
-                            Write-Host "Raw plan XML length: $($planXml.Length)"
-                            
-                            # Validate the XML
-                            try {
-                                [xml]$xmlDoc = $planXml
-                                
-                                # Get the XML namespace
-                                $ns = New-Object System.Xml.XmlNamespaceManager($xmlDoc.NameTable)
-                                $ns.AddNamespace("sqp", "http://schemas.microsoft.com/sqlserver/2004/07/showplan")
-                                
-                                # Check root element with namespace
-                                $hasShowPlanXML = $xmlDoc.DocumentElement.LocalName -eq 'ShowPlanXML'
-                                
-                                # Check for statement elements using namespace
-                                $stmtNodes = $xmlDoc.SelectNodes("//sqp:StmtSimple | //sqp:StmtCompound", $ns)
-                                $hasStmtElement = $null -ne $stmtNodes -and $stmtNodes.Count -gt 0
-                                
-                                if ($hasShowPlanXML -and $hasStmtElement) {
-                                    Write-Host "Valid execution plan found"
-                                    return @{
-                                        plan = $planXml
-                                        message = "Execution plan generated successfully"
-                                    }
-                                } else {
-                                    return @{
-                                        error = "Generated XML is not a valid execution plan - missing required elements"
-                                    }
-                                }
-                            }
-                            catch {
-                                Write-Host "XML parsing error: $_"
-                                return @{
-                                    error = "Invalid XML format in execution plan: $($_.Exception.Message)"
-                                }
-                            }
-                        } else {
-                            return @{
-                                error = "No execution plan was generated"
-                            }
-                        }
+                # FOR UPDATE cursors, the UPDATE() trigger function and ON DELETE/UPDATE actions
+                if ($keyword -in @('UPDATE', 'DELETE') -and ($before -match '\b(FOR|ON)\s*$' -or $after -match '^\s*\(')) {
+                    continue
+                }
+                if ($keyword -in @('INSERT', 'UPDATE', 'DELETE', 'MERGE')) {
+                    $dataChangeIndex = $match.Index
+                }
+                # INTO belongs to INSERT and MERGE, or to OUTPUT; on its own it is SELECT ... INTO
+                if ($keyword -eq 'INTO') {
+                    if ($before -match '\b(INSERT|MERGE)\s*$') {
+                        continue
                     }
-                    catch {
-                        Write-Host "Error getting execution plan: $_"
-                        return @{
-                            error = "Failed to generate execution plan: $($_.Exception.Message)"
+                    # OUTPUT ... INTO only within the statement that changes data: nothing but
+                    # the output columns may stand between its last OUTPUT and this INTO
+                    if ($dataChangeIndex -ge 0) {
+                        $statementText = $text.Substring($dataChangeIndex, $match.Index - $dataChangeIndex)
+                        $outputColumns = [regex]::Match($statementText, '\bOUTPUT\b(?![\s\S]*\bOUTPUT\b)([\s\S]*)$', 'IgnoreCase')
+                        if ($outputColumns.Success -and $outputColumns.Groups[1].Value -notmatch ';|\b(INTO|SELECT|INSERT|UPDATE|DELETE|MERGE|SET|DECLARE|EXEC|EXECUTE|WITH|IF|BEGIN)\b') {
+                            continue
+                        }
+                    }
+                    $keyword = 'SELECT INTO'
+                }
+                if ($keyword -in @('INSERT', 'UPDATE', 'DELETE', 'SELECT INTO', 'CREATE', 'DROP', 'TRUNCATE') -and $after -match $temporaryTarget) {
+                    continue
+                }
+
+                $changes += @{
+                    keyword = $keyword
+                    batch = $batchIndex + 1
+                    line = ($before -split "`n").Count
+                }
+            }
+        }
+        return $changes
+    }
+
+    # Function to find the statements of a script that switch the session options Parse
+    # and Execution Plan rely on to keep statements from running. Comments count as
+    # whitespace, so SET/**/NOEXEC OFF is found as well. Returns the keyword, batch
+    # number and line within the batch.
+    function Find-PlanOptionStatements($batches) {
+        $separator = '(?:\s|,|/\*[\s\S]*?\*/|--[^\n]*)'
+        $optionPattern = [regex]::new(
+            "\bSET$separator+(?:[A-Z_]+$separator*,$separator*)*(PARSEONLY|SHOWPLAN_\w+|NOEXEC|STATISTICS$separator+(?:\w+$separator*,$separator*)*XML)\b",
+            'IgnoreCase')
+        $statements = @()
+        for ($batchIndex = 0; $batchIndex -lt @($batches).Count; $batchIndex++) {
+            $text = [string]@($batches)[$batchIndex].text
+            foreach ($match in $optionPattern.Matches($text)) {
+                $option = ($match.Groups[1].Value -replace "$separator+", ' ').ToUpperInvariant()
+                $statements += @{
+                    keyword = "SET $option"
+                    batch = $batchIndex + 1
+                    line = ($text.Substring(0, $match.Index) -split "`n").Count
+                }
+            }
+        }
+        return $statements
+    }
+
+    # Function to check an action (execute, parse or plan) against the execution policy
+    # of the server's environment. When the action is not allowed, reason explains which
+    # rule blocked it and statements lists the statements that broke the rule.
+    function Test-ExecutionPolicy($serverName, $action, $batches, $confirmed) {
+        $envInfo = Get-InstanceEnvironment $serverName
+        $policy = Get-EnvironmentPolicy $envInfo
+        $environmentName = if ($envInfo.error) {
+            "$serverName, whose environment could not be looked up ($($envInfo.error))"
+        } elseif ($envInfo.environment) {
+            "the $($envInfo.environment) environment"
+        } else {
+            'unclassified servers (not in the inventory)'
+        }
+        $actionLabels = @{
+            execute = 'Execute'
+            parse = 'Parse'
+            plan = 'Execution Plan'
+        }
+        $result = @{
+            environment = $envInfo.environment
+            unclassified = [bool]$envInfo.unclassified
+            policy = $policy
+            allowed = $true
+            confirmationRequired = $false
+            statements = @()
+        }
+
+        if ($action -notin $policy.actions) {
+            $result.allowed = $false
+            $result.reason = "$($actionLabels[$action]) is not allowed by the $($policy.name) policy of $environmentName. $($policy.description)"
+            return $result
+        }
+        # Parse and Execution Plan send the script with SET PARSEONLY or SHOWPLAN_XML ON;
+        # a script that switches those off would run its statements, whatever the policy
+        if ($action -ne 'execute') {
+            $optionChanges = @(Find-PlanOptionStatements $batches)
+            if ($optionChanges.Count -gt 0) {
+                $result.allowed = $false
+                $result.statements = $optionChanges
+                $keywords = ($optionChanges | ForEach-Object { $_.keyword } | Select-Object -Unique) -join ', '
+                $result.reason = "$($actionLabels[$action]) does not run scripts that change the options it relies on ($keywords)."
+                return $result
+            }
+        }
+        if ($policy.changes -eq 'allow') {
+            return $result
+        }
+
+        $changes = @(Find-ChangeStatements $batches)
+        if ($changes.Count -eq 0) {
+            return $result
+        }
+        $result.statements = $changes
+        $keywords = ($changes | ForEach-Object { $_.keyword } | Select-Object -Unique) -join ', '
+        if ($policy.changes -eq 'confirm') {
+            if (-not $confirmed) {
+                $result.confirmationRequired = $true
+                $result.reason = "The $($policy.name) policy of $environmentName asks for a confirmation before running $keywords statements."
+            }
+        }
+        else {
+            $result.allowed = $false
+            $result.reason = "$keywords statements are not allowed by the $($policy.name) policy of $environmentName. $($policy.description)"
+        }
+        return $result
+    }
+
+    # Function to convert a column value into a JSON-friendly representation
+    function ConvertTo-ResultValue($value) {
+        $culture = [System.Globalization.CultureInfo]::InvariantCulture
+        if ($value -is [DateTime]) {
+            return $value.ToString("yyyy-MM-dd'T'HH:mm:ss.fffffff", $culture)
+        }
+        if ($value -is [DateTimeOffset]) {
+            return $value.ToString("yyyy-MM-dd'T'HH:mm:ss.fffffffzzz", $culture)
+        }
+        if ($value -is [TimeSpan]) {
+            return $value.ToString("hh\:mm\:ss\.fffffff", $culture)
+        }
+        if ($value -is [byte[]]) {
+            return "0x" + ([System.BitConverter]::ToString($value) -replace '-', '')
+        }
+        if ($value -is [Guid]) {
+            return $value.ToString().ToUpperInvariant()
+        }
+        # Keep full precision; JSON numbers would round decimals and large bigints
+        if ($value -is [decimal] -or $value -is [long]) {
+            return $value.ToString($culture)
+        }
+        if ($value -is [string] -or $value -is [bool] -or $value -is [int] -or $value -is [int16] -or
+            $value -is [byte] -or $value -is [double] -or $value -is [single]) {
+            return $value
+        }
+        # sql_variant, hierarchyid, geography and other CLR types
+        return $value.ToString()
+    }
+
+    # Function to record the running command of an execution so /api/cancel can stop it
+    function Register-ActiveCommand($executionId, $command) {
+        if (-not $executionId) {
+            return
+        }
+        $execution = $script:shared.executions[$executionId]
+        if (-not $execution) {
+            $execution = [hashtable]::Synchronized(@{ cancelled = $false })
+            $script:shared.executions[$executionId] = $execution
+        }
+        if ($execution.cancelled) {
+            throw "Query was cancelled by the user"
+        }
+        $execution.command = $command
+    }
+
+    # Function to check whether the user cancelled an execution
+    function Test-ExecutionCancelled($executionId) {
+        return [bool]($executionId -and $script:shared.executions[$executionId] -and $script:shared.executions[$executionId].cancelled)
+    }
+
+    # Function to describe a SqlError for the client. The line number is relative
+    # to the batch (or to the procedure, when procedure is set).
+    function ConvertTo-SqlErrorMessage($sqlError, $batchNumber) {
+        return @{
+            # Class > 10 indicates an error rather than an informational message
+            type = if ($sqlError.Class -gt 10) { 'error' } else { 'info' }
+            text = $sqlError.Message
+            number = $sqlError.Number
+            severity = [int]$sqlError.Class
+            state = [int]$sqlError.State
+            line = $sqlError.LineNumber
+            procedure = $sqlError.Procedure
+            batch = $batchNumber
+        }
+    }
+
+    # Connection profiles by id. They live only as long as the server: the browser keeps
+    # everything but the password and registers its profiles again after a restart, so
+    # SQL Authentication profiles stay locked until their password is entered again.
+    $script:connectionProfiles = @{}
+
+    # Function to describe a connection profile for the web interface, without its password
+    function ConvertTo-ProfileSummary($connectionProfile) {
+        return @{
+            id = $connectionProfile.id
+            name = $connectionProfile.name
+            serverName = $connectionProfile.serverName
+            authType = $connectionProfile.authType
+            login = $connectionProfile.login
+            defaultDatabase = $connectionProfile.defaultDatabase
+            encrypt = $connectionProfile.encrypt
+            trustServerCertificate = $connectionProfile.trustServerCertificate
+            applicationName = $connectionProfile.applicationName
+            hasPassword = [bool]$connectionProfile.password
+        }
+    }
+
+    # Function to create or update a connection profile. Without a password an SQL
+    # Authentication profile keeps the one it has, as long as its server and login stay the same.
+    function Set-ConnectionProfile($settings) {
+        $id = [string]$settings.id
+        if ($id -notmatch '^[\w-]{1,64}$') {
+            return @{
+                error = "Invalid profile id"
+            }
+        }
+        foreach ($field in 'name', 'serverName') {
+            if ([string]::IsNullOrWhiteSpace($settings.$field)) {
+                return @{
+                    error = "$field is required"
+                }
+            }
+        }
+        $authType = if ($settings.authType -eq 'sql') { 'sql' } else { 'windows' }
+        if ($authType -eq 'sql' -and [string]::IsNullOrWhiteSpace($settings.login)) {
+            return @{
+                error = "SQL Authentication needs a login"
+            }
+        }
+
+        $connectionProfile = @{
+            id = $id
+            name = ([string]$settings.name).Trim()
+            serverName = ([string]$settings.serverName).Trim()
+            authType = $authType
+            login = if ($authType -eq 'sql') { ([string]$settings.login).Trim() } else { $null }
+            password = $null
+            defaultDatabase = if ($settings.defaultDatabase) { ([string]$settings.defaultDatabase).Trim() } else { $null }
+            encrypt = [bool]$settings.encrypt
+            trustServerCertificate = [bool]$settings.trustServerCertificate
+            applicationName = if ($settings.applicationName) { ([string]$settings.applicationName).Trim() } else { $null }
+        }
+        if ($authType -eq 'sql') {
+            $existing = $script:connectionProfiles[$id]
+            if ($settings.password) {
+                $password = ConvertTo-SecureString ([string]$settings.password) -AsPlainText -Force
+                # SqlCredential only takes read-only passwords
+                $password.MakeReadOnly()
+                $connectionProfile.password = $password
+            }
+            elseif ($existing -and $existing.serverName -eq $connectionProfile.serverName -and $existing.login -eq $connectionProfile.login) {
+                $connectionProfile.password = $existing.password
+            }
+        }
+        $script:connectionProfiles[$id] = $connectionProfile
+        return @{
+            profile = ConvertTo-ProfileSummary $connectionProfile
+        }
+    }
+
+    # Function to list the connection profiles, after registering the ones the browser
+    # knows and this server does not hold (after a restart)
+    function Sync-ConnectionProfiles($profiles) {
+        foreach ($settings in @($profiles | Where-Object { $_ })) {
+            if (-not $script:connectionProfiles.ContainsKey([string]$settings.id)) {
+                $null = Set-ConnectionProfile $settings
+            }
+        }
+        return @{
+            profiles = @($script:connectionProfiles.Values | Sort-Object { $_.name } | ForEach-Object { ConvertTo-ProfileSummary $_ })
+        }
+    }
+
+    # Function to remove a connection profile and the password it holds
+    function Remove-ConnectionProfile($profileId) {
+        if (-not $profileId -or -not $script:connectionProfiles.ContainsKey([string]$profileId)) {
+            return @{
+                error = "Profile '$profileId' was not found"
+            }
+        }
+        $script:connectionProfiles.Remove([string]$profileId)
+        return @{
+            removed = $true
+        }
+    }
+
+    # Function to find the profile a request connects with. A profile belongs to one
+    # server, and an SQL Authentication profile needs its password.
+    function Resolve-ConnectionProfile($profileId, $serverName) {
+        $connectionProfile = $script:connectionProfiles[[string]$profileId]
+        if (-not $connectionProfile) {
+            return @{
+                error = "Connection profile '$profileId' was not found; reload the page to register it again"
+                profileLocked = $true
+            }
+        }
+        if ($serverName -and $connectionProfile.serverName -ne ([string]$serverName).Trim()) {
+            return @{
+                error = "Connection profile '$($connectionProfile.name)' connects to $($connectionProfile.serverName), not $serverName"
+            }
+        }
+        if ($connectionProfile.authType -eq 'sql' -and -not $connectionProfile.password) {
+            return @{
+                error = "Enter the password of connection profile '$($connectionProfile.name)' first"
+                profileLocked = $true
+                profileId = $connectionProfile.id
+            }
+        }
+        return @{
+            profile = $connectionProfile
+        }
+    }
+
+    # Function to create an (unopened) connection to a server, with the settings and
+    # login of a connection profile or else with Windows Authentication
+    function New-SqlConnection($serverName, $databaseName, $connectionProfile) {
+        $builder = New-Object System.Data.SqlClient.SqlConnectionStringBuilder
+        $builder['Data Source'] = $serverName
+        $builder['Initial Catalog'] = $databaseName
+        $builder['Integrated Security'] = $connectionProfile.authType -ne 'sql'
+        if ($connectionProfile) {
+            $builder['Encrypt'] = [bool]$connectionProfile.encrypt
+            $builder['TrustServerCertificate'] = [bool]$connectionProfile.trustServerCertificate
+            if ($connectionProfile.applicationName) {
+                $builder['Application Name'] = $connectionProfile.applicationName
+            }
+        }
+        else {
+            $builder['TrustServerCertificate'] = $true
+        }
+
+        $connection = New-Object System.Data.SqlClient.SqlConnection($builder.ConnectionString)
+        # The password stays a SecureString rather than going into the connection string
+        if ($connectionProfile.authType -eq 'sql') {
+            $connection.Credential = New-Object System.Data.SqlClient.SqlCredential($connectionProfile.login, $connectionProfile.password)
+        }
+        return $connection
+    }
+
+    # Function to take the connection of a query session for one execution, opening it
+    # on first use. A session follows the request: another server or connection profile
+    # replaces its connection, another database is switched to on the same connection.
+    function Enter-QuerySession($sessionId, $serverName, $databaseName, $connectionProfile) {
+        if ([string]$sessionId -notmatch '^[\w-]{1,64}$') {
+            return @{
+                error = "Invalid session id"
+            }
+        }
+        $sessions = $script:shared.sessions
+        [System.Threading.Monitor]::Enter($sessions.SyncRoot)
+        try {
+            $session = $sessions[$sessionId]
+            if ($session -and $session.busy) {
+                return @{
+                    error = "The session is still running a query. Wait for it to finish or cancel it."
+                }
+            }
+            if (-not $session) {
+                $session = [hashtable]::Synchronized(@{
+                    id = $sessionId
+                    connection = $null
+                    serverName = $null
+                    profileId = $null
+                    spid = $null
+                    createdAt = $null
+                    lastUsed = Get-Date
+                    busy = $false
+                    pendingTransaction = $null  # Safe-DML transaction waiting for Commit or Rollback
+                    transactionNotice = $null
+                })
+                $sessions[$sessionId] = $session
+            }
+            $session.busy = $true
+        }
+        finally {
+            [System.Threading.Monitor]::Exit($sessions.SyncRoot)
+        }
+
+        try {
+            $profileId = if ($connectionProfile) { $connectionProfile.id } else { $null }
+            $connection = $session.connection
+            $movesServer = $session.serverName -ne $serverName -or $session.profileId -ne $profileId
+            if ($connection -and $movesServer -and $session.pendingTransaction) {
+                $session.busy = $false
+                return @{
+                    error = "A transaction is pending on $($session.serverName). Commit or roll it back first."
+                }
+            }
+            if ($connection -and ($connection.State -ne 'Open' -or $movesServer)) {
+                Write-Host "Session $sessionId moves to $serverName, closing its connection"
+                $connection.Dispose()
+                $connection = $null
+                $session.connection = $null
+            }
+            if (-not $connection) {
+                $connection = New-SqlConnection $serverName $databaseName $connectionProfile
+                $connection.Open()
+                $command = New-Object System.Data.SqlClient.SqlCommand("SELECT @@SPID", $connection)
+                $session.spid = [int]$command.ExecuteScalar()
+                $command.Dispose()
+                $session.connection = $connection
+                $session.serverName = $serverName
+                $session.profileId = $profileId
+                $session.createdAt = Get-Date
+                Write-Host "Opened session $sessionId on $serverName (SPID $($session.spid))"
+            }
+            elseif ($connection.Database -ne $databaseName) {
+                $connection.ChangeDatabase($databaseName)
+            }
+            return @{
+                session = $session
+            }
+        }
+        catch {
+            $session.busy = $false
+            return @{
+                error = "Failed to connect to database '$databaseName': $($_.Exception.Message)"
+            }
+        }
+    }
+
+    # Function to give the connection of a session back after an execution. Parse and
+    # plan switch their SET options off again in case they stopped halfway; a connection
+    # that broke is dropped, so the next execution opens a new one. After a Safe-DML
+    # execution the transaction stays pending while it is open.
+    function Exit-QuerySession($session, $action, $safeDml) {
+        $connection = $session.connection
+        if ($connection -and $connection.State -eq 'Open' -and ($action -eq 'parse' -or $action -eq 'plan')) {
+            foreach ($statement in 'SET SHOWPLAN_XML OFF', 'SET PARSEONLY OFF') {
+                try {
+                    $command = New-Object System.Data.SqlClient.SqlCommand($statement, $connection)
+                    $null = $command.ExecuteNonQuery()
+                    $command.Dispose()
+                }
+                catch {
+                    Write-Host "Warning: Error resetting session options: $_"
+                }
+            }
+        }
+        if ($safeDml -and $connection -and $connection.State -eq 'Open') {
+            try {
+                $command = New-Object System.Data.SqlClient.SqlCommand("SELECT @@TRANCOUNT", $connection)
+                $session.pendingTransaction = if ([int]$command.ExecuteScalar() -gt 0) {
+                    @{
+                        startedAt = Get-Date
+                        expiresAt = (Get-Date).AddSeconds($script:config.SafeDmlTimeoutSeconds)
+                    }
+                }
+                $command.Dispose()
+            }
+            catch {
+                Write-Host "Warning: Error reading the transaction count: $_"
+            }
+        }
+        if ($connection -and $connection.State -ne 'Open') {
+            # SQL Server rolled back whatever the broken connection had open
+            $connection.Dispose()
+            $session.connection = $null
+            $session.pendingTransaction = $null
+        }
+        $session.lastUsed = Get-Date
+        $session.busy = $false
+    }
+
+    # Function to commit or roll back the pending Safe-DML transaction of a session
+    function Complete-SessionTransaction($sessionId, $action, $reason) {
+        $sessions = $script:shared.sessions
+        [System.Threading.Monitor]::Enter($sessions.SyncRoot)
+        try {
+            $session = $sessions[[string]$sessionId]
+            if (-not $session -or -not $session.connection) {
+                return @{
+                    error = "The session is closed; its transaction was rolled back"
+                }
+            }
+            if ($session.busy) {
+                return @{
+                    error = "The session is running a query. Wait for it to finish."
+                }
+            }
+            $session.busy = $true
+        }
+        finally {
+            [System.Threading.Monitor]::Exit($sessions.SyncRoot)
+        }
+
+        try {
+            # Commit also ends transactions the script nested inside the Safe-DML one
+            $statement = if ($action -eq 'commit') { "WHILE @@TRANCOUNT > 0 COMMIT TRANSACTION" } else { "IF @@TRANCOUNT > 0 ROLLBACK TRANSACTION" }
+            $command = New-Object System.Data.SqlClient.SqlCommand($statement, $session.connection)
+            $null = $command.ExecuteNonQuery()
+            $command.Dispose()
+            $session.pendingTransaction = $null
+            $session.transactionNotice = if ($reason) { $reason } else { $null }
+            Write-Host "Session $sessionId transaction: $action"
+            return @{
+                action = $action
+                message = if ($action -eq 'commit') { "Transaction committed" } else { "Transaction rolled back" }
+            }
+        }
+        catch {
+            Write-Warning "Error in Complete-SessionTransaction: $_"
+            # A transaction that cannot commit (XACT_STATE() = -1) can still be rolled back
+            return @{
+                error = $_.Exception.Message
+            }
+        }
+        finally {
+            $session.lastUsed = Get-Date
+            $session.busy = $false
+        }
+    }
+
+    # Function to describe a query session for the web interface
+    function Get-QuerySessionStatus($sessionId) {
+        $session = $script:shared.sessions[[string]$sessionId]
+        if (-not $session -or -not $session.connection) {
+            return @{
+                active = $false
+            }
+        }
+        $idleSeconds = [int]((Get-Date) - $session.lastUsed).TotalSeconds
+        $status = @{
+            active = $true
+            busy = $session.busy
+            serverName = $session.serverName
+            database = $session.connection.Database
+            spid = $session.spid
+            idleSeconds = $idleSeconds
+            expiresInSeconds = [Math]::Max(0, $script:config.SessionIdleMinutes * 60 - $idleSeconds)
+            openTransactions = $null
+            pendingTransaction = $null
+            locks = $null
+            transactionNotice = $session.transactionNotice
+        }
+        if ($session.pendingTransaction) {
+            $status.pendingTransaction = @{
+                startedAt = $session.pendingTransaction.startedAt.ToString('o')
+                expiresInSeconds = [Math]::Max(0, [int]($session.pendingTransaction.expiresAt - (Get-Date)).TotalSeconds)
+            }
+        }
+        # The notice of an automatic rollback is shown once
+        $session.transactionNotice = $null
+        # A running query holds the connection; the transaction count waits until it is done
+        $sessions = $script:shared.sessions
+        [System.Threading.Monitor]::Enter($sessions.SyncRoot)
+        try {
+            $available = -not $session.busy
+            if ($available) {
+                $session.busy = $true
+            }
+        }
+        finally {
+            [System.Threading.Monitor]::Exit($sessions.SyncRoot)
+        }
+        if ($available) {
+            try {
+                $command = New-Object System.Data.SqlClient.SqlCommand("SELECT @@TRANCOUNT", $session.connection)
+                $status.openTransactions = [int]$command.ExecuteScalar()
+                $command.Dispose()
+                if ($status.openTransactions -gt 0) {
+                    $status.locks = @(Get-SessionLocks $session.connection)
+                }
+            }
+            catch {
+                Write-Warning "Error in Get-QuerySessionStatus: $_"
+            }
+            finally {
+                $session.busy = $false
+            }
+        }
+        return $status
+    }
+
+    # Function to list the locks a session holds, grouped by resource and mode. Reading
+    # sys.dm_tran_locks needs VIEW SERVER STATE; without it no locks are listed.
+    function Get-SessionLocks($connection) {
+        $command = New-Object System.Data.SqlClient.SqlCommand(@"
+            SELECT resourceType, databaseName, objectName, mode, COUNT(*) AS lockCount
+            FROM (
+                SELECT resource_type AS resourceType,
+                       DB_NAME(resource_database_id) AS databaseName,
+                       CASE WHEN resource_type = 'OBJECT'
+                            THEN OBJECT_SCHEMA_NAME(resource_associated_entity_id, resource_database_id) + '.' + OBJECT_NAME(resource_associated_entity_id, resource_database_id)
+                       END AS objectName,
+                       request_mode AS mode
+                FROM sys.dm_tran_locks
+                WHERE request_session_id = @@SPID AND resource_type <> 'DATABASE'
+            ) AS locks
+            GROUP BY resourceType, databaseName, objectName, mode
+            ORDER BY resourceType, databaseName, objectName
+"@, $connection)
+        try {
+            $reader = $command.ExecuteReader()
+            while ($reader.Read()) {
+                @{
+                    resourceType = $reader['resourceType']
+                    databaseName = if ($reader.IsDBNull(1)) { $null } else { $reader['databaseName'] }
+                    objectName = if ($reader.IsDBNull(2)) { $null } else { $reader['objectName'] }
+                    mode = $reader['mode']
+                    count = [int]$reader['lockCount']
+                }
+            }
+            $reader.Close()
+        }
+        catch {
+            Write-Host "Warning: Error reading the locks of the session: $_"
+        }
+        finally {
+            $command.Dispose()
+        }
+    }
+
+    # Function to close a query session. Its temporary tables and SET options go with
+    # it, and open transactions are rolled back.
+    function Remove-QuerySession($sessionId) {
+        $sessions = $script:shared.sessions
+        [System.Threading.Monitor]::Enter($sessions.SyncRoot)
+        try {
+            $session = $sessions[[string]$sessionId]
+            if (-not $session) {
+                return @{
+                    closed = $false
+                }
+            }
+            if ($session.busy) {
+                return @{
+                    error = "The session is running a query. Cancel it before resetting the session."
+                }
+            }
+            $sessions.Remove([string]$sessionId)
+        }
+        finally {
+            [System.Threading.Monitor]::Exit($sessions.SyncRoot)
+        }
+        if ($session.connection) {
+            $session.connection.Dispose()
+            Write-Host "Closed session $sessionId"
+        }
+        return @{
+            closed = $true
+        }
+    }
+
+    # Function to close query sessions that have been idle for SessionIdleMinutes and
+    # roll back Safe-DML transactions that were left pending past SafeDmlTimeoutSeconds
+    function Update-QuerySessions {
+        $now = Get-Date
+        foreach ($session in @($script:shared.sessions.Values)) {
+            if (-not $session.busy -and $session.pendingTransaction -and $now -gt $session.pendingTransaction.expiresAt) {
+                Write-Host "Session $($session.id) left its transaction pending, rolling it back"
+                $null = Complete-SessionTransaction $session.id 'rollback' "The transaction was rolled back after $($script:config.SafeDmlTimeoutSeconds) seconds without Commit or Rollback"
+            }
+            if (-not $session.busy -and ($now - $session.lastUsed).TotalMinutes -gt $script:config.SessionIdleMinutes) {
+                Write-Host "Session $($session.id) is idle, closing it"
+                $null = Remove-QuerySession $session.id
+            }
+        }
+    }
+
+    # Function to combine the ShowPlanXML documents SQL Server returns per batch (estimated
+    # plans) or per statement (actual plans): the batches of later documents are appended
+    # to the BatchSequence of the first
+    function Merge-ShowPlanDocuments($planDocuments) {
+        $planDocuments = @($planDocuments)
+        if ($planDocuments.Count -eq 0) {
+            return $null
+        }
+        if ($planDocuments.Count -eq 1) {
+            return $planDocuments[0]
+        }
+        [xml]$combinedPlan = $planDocuments[0]
+        $combinedNs = New-Object System.Xml.XmlNamespaceManager($combinedPlan.NameTable)
+        $combinedNs.AddNamespace("sqp", "http://schemas.microsoft.com/sqlserver/2004/07/showplan")
+        $batchSequence = $combinedPlan.SelectSingleNode("/sqp:ShowPlanXML/sqp:BatchSequence", $combinedNs)
+        for ($i = 1; $i -lt $planDocuments.Count; $i++) {
+            [xml]$batchPlan = $planDocuments[$i]
+            $batchNs = New-Object System.Xml.XmlNamespaceManager($batchPlan.NameTable)
+            $batchNs.AddNamespace("sqp", "http://schemas.microsoft.com/sqlserver/2004/07/showplan")
+            foreach ($batchNode in $batchPlan.SelectNodes("/sqp:ShowPlanXML/sqp:BatchSequence/sqp:Batch", $batchNs)) {
+                $null = $batchSequence.AppendChild($combinedPlan.ImportNode($batchNode, $true))
+            }
+        }
+        return $combinedPlan.OuterXml
+    }
+
+    # Function to read a STATISTICS IO or STATISTICS TIME message into numbers. Returns
+    # $null for other messages. Reads are per table; times are per statement, either
+    # its compilation or its execution.
+    function ConvertFrom-StatisticsMessage($text) {
+        $ioMatch = [regex]::Match($text, "^Table '(?<table>[^']+)'\. Scan count (?<scanCount>\d+)")
+        if ($ioMatch.Success) {
+            $counter = {
+                param($pattern)
+                $match = [regex]::Match($text, $pattern)
+                if ($match.Success) { [long]$match.Groups[1].Value } else { 0 }
+            }
+            return @{
+                kind = 'io'
+                table = $ioMatch.Groups['table'].Value
+                scanCount = [long]$ioMatch.Groups['scanCount'].Value
+                logicalReads = & $counter '(?<!lob )logical reads (\d+)'
+                physicalReads = & $counter '(?<!lob |server )physical reads (\d+)'
+                readAheadReads = & $counter '(?<!lob |server )read-ahead reads (\d+)'
+                lobLogicalReads = & $counter 'lob logical reads (\d+)'
+            }
+        }
+        $timeMatch = [regex]::Match($text, "SQL Server (?<phase>Execution Times|parse and compile time):\s*CPU time = (?<cpu>\d+) ms,\s*elapsed time = (?<elapsed>\d+) ms")
+        if ($timeMatch.Success) {
+            return @{
+                kind = if ($timeMatch.Groups['phase'].Value -eq 'Execution Times') { 'execution' } else { 'compile' }
+                cpuMs = [long]$timeMatch.Groups['cpu'].Value
+                elapsedMs = [long]$timeMatch.Groups['elapsed'].Value
+            }
+        }
+        return $null
+    }
+
+    # Function to invoke SQL queries
+    # $options: executionId (used to cancel), timeout in seconds (0 = no limit),
+    # batches split on GO by the client ({ text, startLine, repeat }), onError
+    # ('stop' or 'continue' after a failing batch), the database and connectionProfile
+    # to connect with, the sessionId of a query session to run on instead of a new
+    # connection, safeDml to leave the changes of an execution in a pending transaction
+    # on that session, actualPlan to return the actual plan and the STATISTICS IO/TIME
+    # figures of an execution and, for background jobs, a sink whose messages and resultSets
+    # fill in as the query runs. Executions report the database the connection ended
+    # in, so a USE in the script carries over to the next query.
+    function Invoke-SqlQuery($serverName, $query, $action, $options) {
+        $executionId = $options.executionId
+        $timeout = if ($null -ne $options.timeout) { [int]$options.timeout } else { 30 }
+        # Without batches the whole query is one batch
+        $batches = @($options.batches | Where-Object { $_ })
+        if ($batches.Count -eq 0) {
+            $batches = @(@{ text = $query; startLine = 0; repeat = 1 })
+        }
+        $safeDmlStarted = $false
+        $statisticsEnabled = $false
+        try {
+            # The execution policy of the server's environment decides what may run
+            $policyCheck = Test-ExecutionPolicy $serverName $action $batches $options.policyConfirmed
+            if (-not $policyCheck.allowed -or $policyCheck.confirmationRequired) {
+                return @{
+                    error = $policyCheck.reason
+                    policyCheck = $policyCheck
+                }
+            }
+
+            Write-Host "Executing query on $serverName"
+
+            # Connect to the database picked in the web interface, else to the default
+            # database of the connection profile
+            $connectionProfile = $options.connectionProfile
+            $databaseName = if ($options.database) { [string]$options.database }
+                elseif ($connectionProfile.defaultDatabase) { $connectionProfile.defaultDatabase }
+                else { "master" }
+            Write-Host "Using database: $databaseName"
+
+            # Create connection with the correct database, or take the one of the session
+            $session = $null
+            if ($options.sessionId) {
+                $sessionConnection = Enter-QuerySession $options.sessionId $serverName $databaseName $connectionProfile
+                if ($sessionConnection.error) {
+                    return @{
+                        error = $sessionConnection.error
+                    }
+                }
+                $session = $sessionConnection.session
+                $connection = $session.connection
+                if ($action -eq 'execute' -and $session.pendingTransaction) {
+                    return @{
+                        error = "A transaction is pending. Commit or roll it back before the next execution."
+                    }
+                }
+            }
+            elseif ($options.safeDml) {
+                return @{
+                    error = "Safe DML needs a session to keep its transaction open"
+                }
+            }
+            else {
+                $connection = New-SqlConnection $serverName $databaseName $connectionProfile
+                
+                try {
+                    $connection.Open()
+                }
+                catch {
+                    return @{
+                        error = "Failed to connect to database '$databaseName': $($_.Exception.Message)"
+                    }
+                }
+            }
+
+            Write-Host "Connected successfully to $serverName, database: $databaseName"
+
+            switch ($action) {
+                "parse" {
+                    try {
+                        # Enable PARSEONLY
+                        $command = New-Object System.Data.SqlClient.SqlCommand("SET PARSEONLY ON", $connection)
+                        $null = $command.ExecuteNonQuery()
+                        $command.Dispose()
+
+                        # Parse every batch so all syntax errors are reported at once
+                        $parseErrors = @()
+                        $parseErrorDetails = @()
+                        for ($batchIndex = 0; $batchIndex -lt $batches.Count; $batchIndex++) {
+                            $batch = $batches[$batchIndex]
+                            $command = New-Object System.Data.SqlClient.SqlCommand([string]$batch.text, $connection)
+                            Register-ActiveCommand $executionId $command
+                            try {
+                                $null = $command.ExecuteNonQuery()
+                            }
+                            catch {
+                                if ($_.Exception.GetType().Name -eq 'SqlException') {
+                                    foreach ($sqlError in $_.Exception.Errors) {
+                                        $parseErrorDetails += ConvertTo-SqlErrorMessage $sqlError ($batchIndex + 1)
+                                    }
+                                }
+                                $parseError = $_.Exception.Message
+                                if ($batches.Count -gt 1) {
+                                    $parseError = "Batch $($batchIndex + 1) (line $([int]$batch.startLine + 1)): $parseError"
+                                }
+                                $parseErrors += $parseError
+                            }
+                            $command.Dispose()
+                        }
+
+                        # Disable PARSEONLY
+                        $command = New-Object System.Data.SqlClient.SqlCommand("SET PARSEONLY OFF", $connection)
+                        $null = $command.ExecuteNonQuery()
+
+                        if ($parseErrors.Count -gt 0) {
+                            return @{
+                                error = $parseErrors -join "`n"
+                                errors = $parseErrorDetails
+                            }
+                        }
+                        return @{
+                            message = if ($batches.Count -gt 1) { "Query syntax is valid ($($batches.Count) batches)" } else { "Query syntax is valid" }
+                        }
+                    }
+                    catch {
+                        Write-Host "Error parsing query: $_"
+                        return @{
+                            error = $_.Exception.Message
+                        }
+                    }
+                    finally {
+                        if ($command) { $command.Dispose() }
+                    }
+                }
+                "execute" {
+                    try {
+                        $isRestore = $query -match '^\s*RESTORE\s+'
+                        if ($isRestore) {
+                            Write-Host "Executing RESTORE command..."
+                        }
+                        $stopOnError = $options.onError -ne 'continue'
+                        $isMultiBatch = $batches.Count -gt 1 -or ($batches | Where-Object { [int]$_.repeat -gt 1 })
+
+                        # Messages in the order SQL Server produced them: PRINT/RAISERROR output,
+                        # errors and the "(n rows affected)" count of each statement
+                        $sink = $options.sink
+                        $messages = New-Object System.Collections.ArrayList
+                        if ($sink) { $messages = $sink.messages }
+                        # Number of the batch running now, and of its statement for STATISTICS TIME,
+                        # for labelling messages
+                        $batchState = @{ number = 1; statement = 1 }
+                        # STATISTICS IO/TIME figures and actual plans of the statements
+                        $statistics = New-Object System.Collections.ArrayList
+                        $actualPlans = New-Object System.Collections.ArrayList
+                        
+                        # Add message handler
+                        $handler = [System.Data.SqlClient.SqlInfoMessageEventHandler] {
+                            param($sqlSender, $sqlEventArgs)
+                            foreach ($sqlError in $sqlEventArgs.Errors) {
+                                if ($options.actualPlan -and $sqlError.Class -eq 0) {
+                                    $figures = ConvertFrom-StatisticsMessage $sqlError.Message
+                                    if ($figures) {
+                                        $figures.batch = $batchState.number
+                                        $figures.statement = $batchState.statement
+                                        $null = $statistics.Add($figures)
+                                        # The execution time closes a statement
+                                        if ($figures.kind -eq 'execution') { $batchState.statement++ }
+                                    }
+                                }
+                                $message = ConvertTo-SqlErrorMessage $sqlError $batchState.number
+                                if ($message.type -eq 'error') {
+                                    Write-Host "SQL Error detected: $($sqlError.Message)"
+                                }
+                                $null = $messages.Add($message)
+                            }
+                        }
+                        $connection.add_InfoMessage($handler)
+                        $connection.FireInfoMessageEventOnUserErrors = $true
+
+                        # Safe DML: everything the batches change stays in a transaction until
+                        # the user commits or rolls it back
+                        if ($options.safeDml) {
+                            $command = New-Object System.Data.SqlClient.SqlCommand("BEGIN TRANSACTION", $connection)
+                            $null = $command.ExecuteNonQuery()
+                            $command.Dispose()
+                            $safeDmlStarted = $true
+                        }
+
+                        # Actual plans arrive as an extra result set after each statement
+                        if ($options.actualPlan) {
+                            $statisticsEnabled = $true
+                            foreach ($statement in 'SET STATISTICS XML ON', 'SET STATISTICS IO ON', 'SET STATISTICS TIME ON') {
+                                $command = New-Object System.Data.SqlClient.SqlCommand($statement, $connection)
+                                $null = $command.ExecuteNonQuery()
+                                $command.Dispose()
+                            }
+                            # Switching the options on reports a time of its own
+                            $statistics.Clear()
+                        }
+                        
+                        # Read every result set the batches produced, in order
+                        $resultSets = New-Object System.Collections.ArrayList
+                        if ($sink) { $resultSets = $sink.resultSets }
+                        $totalRows = 0
+                        $failedBatches = 0
+                        $firstError = $null
+                        $cancelled = $false
+                        $timedOut = $null
+
+                        :batches for ($batchIndex = 0; $batchIndex -lt $batches.Count; $batchIndex++) {
+                            $batch = $batches[$batchIndex]
+                            $batchText = [string]$batch.text
+                            $repeat = [Math]::Max(1, [int]$batch.repeat)
+                            $batchState.number = $batchIndex + 1
+                            $batchState.statement = 1
+
+                            # Extract table name from the batch for validation; RESTORE skips it
+                            $tableMatch = [regex]::Match($batchText, "FROM\s+([^\s;]+)")
+                            if (-not ($batchText -match '^\s*RESTORE\s+') -and $tableMatch.Success) {
+                                $tableName = $tableMatch.Groups[1].Value
+                                Write-Host "Validating existence of table: $tableName"
+                                
+                                # Check if table exists before executing the batch
+                                $checkCmd = New-Object System.Data.SqlClient.SqlCommand(@"
+                                    IF EXISTS (
+                                        SELECT 1 
+                                        FROM sys.objects 
+                                        WHERE object_id = OBJECT_ID(@tableName) 
+                                        AND type in (N'U', N'V')
+                                    )
+                                    SELECT 1
+                                    ELSE
+                                    SELECT 0
+"@, $connection)
+                                $null = $checkCmd.Parameters.AddWithValue("@tableName", $tableName)
+                                $tableExists = [int]$checkCmd.ExecuteScalar() -eq 1
+                                $checkCmd.Dispose()
+                                
+                                if (-not $tableExists) {
+                                    $validationError = "Table or view '$tableName' does not exist in database '$databaseName'. Please verify the object name and database context."
+                                    if ($isMultiBatch) {
+                                        $null = $messages.Add(@{ type = 'batch'; text = "Batch $($batchIndex + 1) of $($batches.Count) (line $([int]$batch.startLine + 1))"; batch = $batchIndex + 1 })
+                                    }
+                                    $null = $messages.Add(@{ type = 'error'; text = $validationError; batch = $batchIndex + 1 })
+                                    if (-not $firstError) { $firstError = $validationError }
+                                    $failedBatches++
+                                    if ($stopOnError) { break batches }
+                                    continue batches
+                                }
+                            }
+
+                            for ($run = 1; $run -le $repeat; $run++) {
+                                if (Test-ExecutionCancelled $executionId) {
+                                    $cancelled = $true
+                                    break batches
+                                }
+                                if ($isMultiBatch) {
+                                    $header = "Batch $($batchIndex + 1) of $($batches.Count) (line $([int]$batch.startLine + 1))"
+                                    if ($repeat -gt 1) { $header += ", run $run of $repeat" }
+                                    $null = $messages.Add(@{ type = 'batch'; text = $header; batch = $batchIndex + 1 })
+                                }
+                                Write-Host "Executing batch $($batchIndex + 1): $batchText"
+                                $errorCountBefore = @($messages | Where-Object { $_.type -eq 'error' }).Count
+                                $batchFailed = $false
+
+                                # Execute the batch
+                                $command = New-Object System.Data.SqlClient.SqlCommand($batchText, $connection)
+                                # Restores get at least 5 minutes unless the user asked for no limit
+                                $command.CommandTimeout = if ($batchText -match '^\s*RESTORE\s+' -and $timeout -gt 0) { [Math]::Max($timeout, 300) } else { $timeout }
+                                Register-ActiveCommand $executionId $command
+                                $command.add_StatementCompleted({
+                                    param($commandSender, $statementEventArgs)
+                                    $count = $statementEventArgs.RecordCount
+                                    $null = $messages.Add(@{
+                                        type = 'rowcount'
+                                        text = if ($count -eq 1) { "(1 row affected)" } else { "($count rows affected)" }
+                                        count = $count
+                                        batch = $batchState.number
+                                    })
+                                })
+
+                                $reader = $null
+                                try {
+                                    $reader = $command.ExecuteReader()
+                                    
+                                    do {
+                                        # Statements without a result set (INSERT, SET, ...) report no fields
+                                        if ($reader.FieldCount -eq 0) {
+                                            continue
+                                        }
+                                        if ($statisticsEnabled -and $reader.FieldCount -eq 1 -and $reader.GetName(0) -eq 'Microsoft SQL Server 2005 XML Showplan') {
+                                            while ($reader.Read()) {
+                                                $null = $actualPlans.Add($reader.GetString(0))
+                                            }
+                                            continue
+                                        }
+                                        
+                                        # Column metadata in SELECT order; names may repeat or be empty
+                                        $schemaTable = $reader.GetSchemaTable()
+                                        $columns = @()
+                                        for ($i = 0; $i -lt $reader.FieldCount; $i++) {
+                                            $schemaRow = $schemaTable.Rows[$i]
+                                            $columns += @{
+                                                name = $reader.GetName($i)
+                                                ordinal = $i
+                                                sqlType = $reader.GetDataTypeName($i)
+                                                nullable = [bool]$schemaRow.AllowDBNull
+                                                maxLength = $schemaRow.ColumnSize
+                                                precision = $schemaRow.NumericPrecision
+                                                scale = $schemaRow.NumericScale
+                                            }
+                                        }
+                                        
+                                        Write-Host "Result set $($resultSets.Count + 1) columns: $(($columns | ForEach-Object { $_.name }) -join ', ')"
+                                        
+                                        # Rows are arrays indexed by column ordinal. The set is added before
+                                        # its rows are read so job polls can pick rows up as they arrive.
+                                        $formattedResults = [System.Collections.ArrayList]::Synchronized((New-Object System.Collections.ArrayList))
+                                        $resultSet = @{
+                                            columns = $columns
+                                            rows = $formattedResults
+                                            rowCount = 0
+                                        }
+                                        if ($isMultiBatch) {
+                                            $resultSet.batch = $batchIndex + 1
+                                            if ($repeat -gt 1) { $resultSet.batchRun = $run }
+                                        }
+                                        $null = $resultSets.Add($resultSet)
+                                        while ($reader.Read()) {
+                                            $row = New-Object object[] $reader.FieldCount
+                                            for ($i = 0; $i -lt $reader.FieldCount; $i++) {
+                                                $row[$i] = if ($reader.IsDBNull($i)) { $null } else { ConvertTo-ResultValue $reader.GetValue($i) }
+                                            }
+                                            $null = $formattedResults.Add($row)
+                                        }
+                                        $resultSet.rowCount = $formattedResults.Count
+                                        Write-Host "Result set $($resultSets.Count) returned $($formattedResults.Count) rows"
+                                        
+                                        $totalRows += $formattedResults.Count
+                                    } while ($reader.NextResult())
+                                    
+                                    $reader.Close()
+                                }
+                                catch {
+                                    Write-Host "Error executing batch $($batchIndex + 1): $_"
+                                    if (Test-ExecutionCancelled $executionId) {
+                                        $cancelled = $true
+                                        break batches
+                                    }
+                                    # SqlClient reports an expired CommandTimeout as error number -2
+                                    if ($_.Exception.GetType().Name -eq 'SqlException' -and $_.Exception.Number -eq -2) {
+                                        $timedOut = "Query timed out after $($command.CommandTimeout) seconds"
+                                        $null = $messages.Add(@{ type = 'error'; text = $timedOut; batch = $batchIndex + 1 })
+                                        break batches
+                                    }
+                                    $batchFailed = $true
+                                    if ($_.Exception.GetType().Name -eq 'SqlException') {
+                                        foreach ($sqlError in $_.Exception.Errors) {
+                                            $null = $messages.Add((ConvertTo-SqlErrorMessage $sqlError ($batchIndex + 1)))
+                                        }
+                                    } else {
+                                        $null = $messages.Add(@{ type = 'error'; text = $_.Exception.Message; batch = $batchIndex + 1 })
+                                    }
+                                    if (-not $firstError) {
+                                        $firstError = if ($_.Exception.Message -match "Invalid object name") {
+                                            "Table or view does not exist. Please check the object name and database context."
+                                        } elseif ($_.Exception.GetType().Name -eq 'SqlException') {
+                                            "SQL Error $($_.Exception.Number): $($_.Exception.Message)"
+                                        } else {
+                                            $_.Exception.Message
+                                        }
+                                    }
+                                }
+                                finally {
+                                    if ($reader) { $reader.Dispose() }
+                                    $command.Dispose()
+                                }
+
+                                # Errors raised as info messages do not throw; compare the error count
+                                $batchErrors = @($messages | Where-Object { $_.type -eq 'error' })
+                                if ($batchFailed -or $batchErrors.Count -gt $errorCountBefore) {
+                                    if (-not $firstError) { $firstError = $batchErrors[$errorCountBefore].text }
+                                    $failedBatches++
+                                    if ($stopOnError) { break batches }
+                                    # A failing run is not repeated
+                                    continue batches
+                                }
+                            }
+                        }
+
+                        if ($cancelled) {
+                            $null = $messages.Add(@{ type = 'error'; text = "Query was cancelled by the user"; batch = $batchState.number })
+                            return @{
+                                cancelled = $true
+                                error = "Query was cancelled by the user"
+                                messages = $messages
+                                resultSets = $resultSets
+                                database = $connection.Database
+                                actualPlan = Merge-ShowPlanDocuments $actualPlans
+                                statistics = $statistics
+                            }
+                        }
+                        if ($timedOut) {
+                            return @{
+                                timedOut = $true
+                                error = $timedOut
+                                messages = $messages
+                                resultSets = $resultSets
+                                database = $connection.Database
+                                actualPlan = Merge-ShowPlanDocuments $actualPlans
+                                statistics = $statistics
+                            }
+                        }
+                        if ($firstError) {
+                            # Keep whatever the statements before the error returned
+                            $skipped = if ($stopOnError -and $batchState.number -lt $batches.Count) { " Remaining batches were skipped." } else { "" }
+                            return @{
+                                error = $firstError
+                                message = if ($isMultiBatch) { "Error: $failedBatches of $($batches.Count) batches failed.$skipped" } else { "Error: $firstError" }
+                                messages = $messages
+                                resultSets = $resultSets
+                                database = $connection.Database
+                                actualPlan = Merge-ShowPlanDocuments $actualPlans
+                                statistics = $statistics
+                            }
+                        }
+                        
+                        return @{
+                            resultSets = $resultSets
+                            messages = $messages
+                            database = $connection.Database
+                            actualPlan = Merge-ShowPlanDocuments $actualPlans
+                            statistics = $statistics
+                            message = if ($isRestore) {
+                                "Restore command executed successfully"
+                            } elseif ($resultSets.Count -eq 0) { 
+                                "Query executed successfully but returned no results" 
+                            } elseif ($resultSets.Count -eq 1) { 
+                                "Query executed successfully. Returned $totalRows rows." 
+                            } else {
+                                "Query executed successfully. Returned $($resultSets.Count) result sets with $totalRows rows."
+                            }
+                        }
+                    }
+                    catch {
+                        Write-Host "Error in SQL execution: $_"
+                        return @{
+                            error = $_.Exception.Message
+                            message = "Error: $($_.Exception.Message)"
+                        }
+                    }
+                    finally {
+                        if ($checkCmd) { $checkCmd.Dispose() }
+                        # A session connection runs other actions next, which expect errors to throw
+                        if ($handler) {
+                            $connection.remove_InfoMessage($handler)
+                            $connection.FireInfoMessageEventOnUserErrors = $false
+                        }
+                        if ($statisticsEnabled -and $connection.State -eq 'Open') {
+                            foreach ($statement in 'SET STATISTICS XML OFF', 'SET STATISTICS IO OFF', 'SET STATISTICS TIME OFF') {
+                                try {
+                                    $command = New-Object System.Data.SqlClient.SqlCommand($statement, $connection)
+                                    $null = $command.ExecuteNonQuery()
+                                    $command.Dispose()
+                                }
+                                catch {
+                                    Write-Host "Warning: Error switching statistics off: $_"
+                                }
+                            }
+                        }
+                    }
+                }
+                "plan" {
+                    try {
+                        Write-Host "Getting estimated execution plan..."
+                        
+                        # First, check if the query is valid by parsing it
+                        $parseCmd = New-Object System.Data.SqlClient.SqlCommand("SET PARSEONLY ON", $connection)
+                        $parseCmd.ExecuteNonQuery()
+                        
+                        foreach ($batch in $batches) {
+                            $testCmd = New-Object System.Data.SqlClient.SqlCommand([string]$batch.text, $connection)
+                            Register-ActiveCommand $executionId $testCmd
+                            $testCmd.ExecuteNonQuery()
+                            $testCmd.Dispose()
+                        }
+                        
+                        $parseCmd = New-Object System.Data.SqlClient.SqlCommand("SET PARSEONLY OFF", $connection)
+                        $parseCmd.ExecuteNonQuery()
+
+                        # Now get the execution plan using SET SHOWPLAN_XML
+                        Write-Host "Query is valid, getting execution plan..."
+                        
+                        # Enable SHOWPLAN_XML
+                        $cmd = New-Object System.Data.SqlClient.SqlCommand("SET SHOWPLAN_XML ON", $connection)
+                        $cmd.ExecuteNonQuery()
+                        
+                        # Run each batch to get its plan; SQL Server returns one ShowPlanXML document per batch
+                        $planDocuments = @()
+                        foreach ($batch in $batches) {
+                            $cmd = New-Object System.Data.SqlClient.SqlCommand([string]$batch.text, $connection)
+                            Register-ActiveCommand $executionId $cmd
+                            $reader = $cmd.ExecuteReader()
+                            do {
+                                while ($reader.Read()) {
+                                    $planDocuments += $reader.GetString(0)
+                                }
+                            } while ($reader.NextResult())
+                            $reader.Close()
+                        }
+                        
+                        # Get the execution plan XML of all batches
+                        $planXml = Merge-ShowPlanDocuments $planDocuments
+                        
+                        # Disable SHOWPLAN_XML
+                        $cmd = New-Object System.Data.SqlClient.SqlCommand("SET SHOWPLAN_XML OFF", $connection)
+                        $cmd.ExecuteNonQuery()
+                        
+                        if ($planXml) {
+                            Write-Host "Raw plan XML length: $($planXml.Length)"
+                            
+                            # Validate the XML
+                            try {
+                                [xml]$xmlDoc = $planXml
+                                
+                                # Get the XML namespace
+                                $ns = New-Object System.Xml.XmlNamespaceManager($xmlDoc.NameTable)
+                                $ns.AddNamespace("sqp", "http://schemas.microsoft.com/sqlserver/2004/07/showplan")
+                                
+                                # Check root element with namespace
+                                $hasShowPlanXML = $xmlDoc.DocumentElement.LocalName -eq 'ShowPlanXML'
+                                
+                                # Check for statement elements using namespace
+                                $stmtNodes = $xmlDoc.SelectNodes("//sqp:StmtSimple | //sqp:StmtCompound", $ns)
+                                $hasStmtElement = $null -ne $stmtNodes -and $stmtNodes.Count -gt 0
+                                
+                                if ($hasShowPlanXML -and $hasStmtElement) {
+                                    Write-Host "Valid execution plan found"
+                                    return @{
+                                        plan = $planXml
+                                        message = "Execution plan generated successfully"
+                                    }
+                                } else {
+                                    return @{
+                                        error = "Generated XML is not a valid execution plan - missing required elements"
+                                    }
+                                }
+                            }
+                            catch {
+                                Write-Host "XML parsing error: $_"
+                                return @{
+                                    error = "Invalid XML format in execution plan: $($_.Exception.Message)"
+                                }
+                            }
+                        } else {
+                            return @{
+                                error = "No execution plan was generated"
+                            }
+                        }
+                    }
+                    catch {
+                        Write-Host "Error getting execution plan: $_"
+                        return @{
+                            error = "Failed to generate execution plan: $($_.Exception.Message)"
                         }
                     }
                     finally {
@@ -646,22 +1907,859 @@ try {
             }
         }
         catch {
-            Write-Host "Error executing query: $_"
+            Write-Host "Error executing query: $_"
+            return @{
+                error = $_.Exception.Message
+            }
+        }
+        finally {
+            if ($session) {
+                # The session keeps its connection for the next execution
+                Exit-QuerySession $session $action $safeDmlStarted
+            }
+            elseif ($connection -and $connection.State -eq 'Open') {
+                try {
+                    $connection.Close()
+                    $connection.Dispose()
+                }
+                catch {
+                    Write-Host "Warning: Error closing connection: $_"
+                }
+            }
+        }
+    }
+
+    # Function to build the script a query worker runs. Runspaces do not share
+    # functions with this one, so the definitions are carried along as text.
+    function Get-WorkerScript($body) {
+        $functionNames = @(
+            'Invoke-InventoryQuery',
+            'Get-InstanceEnvironment',
+            'Get-QueryExecutionPolicy',
+            'Get-EnvironmentPolicy',
+            'Find-ChangeStatements',
+            'Find-PlanOptionStatements',
+            'Test-ExecutionPolicy',
+            'ConvertTo-ResultValue',
+            'ConvertTo-SqlErrorMessage',
+            'Register-ActiveCommand',
+            'Test-ExecutionCancelled',
+            'New-SqlConnection',
+            'Enter-QuerySession',
+            'Exit-QuerySession',
+            'Merge-ShowPlanDocuments',
+            'ConvertFrom-StatisticsMessage',
+            'Invoke-SqlQuery'
+        )
+        $definitions = foreach ($name in $functionNames) {
+            "function $name {`n$((Get-Item "function:$name").Definition)`n}"
+        }
+        return (@(
+            'param($config, $shared, $arguments)',
+            '$script:config = $config',
+            '$script:shared = $shared'
+        ) + $definitions + $body) -join "`n"
+    }
+
+    # Function to run a script on the worker pool; the request loop keeps serving
+    # other requests (such as /api/cancel) while it runs
+    function Start-QueryWorker($body, $arguments) {
+        $worker = [powershell]::Create()
+        $worker.RunspacePool = $script:workerPool
+        $null = $worker.AddScript((Get-WorkerScript $body))
+        $null = $worker.AddParameter('config', $script:config)
+        $null = $worker.AddParameter('shared', $script:shared)
+        $null = $worker.AddParameter('arguments', $arguments)
+        return @{
+            powershell = $worker
+            handle = $worker.BeginInvoke()
+        }
+    }
+
+    # Function to collect the result of a finished query worker
+    function Receive-WorkerResult($worker) {
+        $output = $worker.powershell.EndInvoke($worker.handle)
+        # Stray pipeline output can precede the result; the response is the last hashtable
+        $result = @($output | Where-Object { $_ -is [hashtable] }) | Select-Object -Last 1
+        if (-not $result) {
+            $workerErrors = @($worker.powershell.Streams.Error | ForEach-Object { $_.ToString() })
+            $result = @{
+                error = if ($workerErrors.Count -gt 0) { $workerErrors -join "`n" } else { "The query worker returned no result" }
+            }
+        }
+        return $result
+    }
+
+    # Function to answer requests whose query worker has finished
+    function Complete-PendingRequests {
+        foreach ($pending in @($script:pendingRequests)) {
+            if (-not $pending.worker.handle.IsCompleted) {
+                continue
+            }
+            $script:pendingRequests.Remove($pending)
+
+            try {
+                $result = Receive-WorkerResult $pending.worker
+                Send-Response $pending.response 200 $result
+            }
+            catch {
+                Write-Warning "Error completing request: $_"
+                Send-Response $pending.response 500 @{ error = $_.Exception.Message }
+            }
+            finally {
+                $pending.worker.powershell.Dispose()
+                if ($pending.executionId) {
+                    $script:shared.executions.Remove($pending.executionId)
+                }
+            }
+        }
+    }
+
+    # Function to start a query as a background job. The job id doubles as the
+    # execution id, so /api/cancel stops jobs the same way as regular executions.
+    # $options are passed on to Invoke-SqlQuery (timeout, batches, onError, policyConfirmed,
+    # database, connectionProfile, sessionId, safeDml, actualPlan).
+    function Start-QueryJob($serverName, $query, $jobId, $options) {
+        if (-not $jobId) {
+            $jobId = [guid]::NewGuid().ToString()
+        }
+        if ($script:queryJobs.ContainsKey($jobId)) {
+            return @{
+                error = "Job '$jobId' already exists"
+            }
+        }
+
+        # The worker appends to these lists while the request loop reads them
+        $sink = [hashtable]::Synchronized(@{
+            messages = [System.Collections.ArrayList]::Synchronized((New-Object System.Collections.ArrayList))
+            resultSets = [System.Collections.ArrayList]::Synchronized((New-Object System.Collections.ArrayList))
+        })
+        $script:shared.executions[$jobId] = [hashtable]::Synchronized(@{ cancelled = $false; command = $null })
+        $worker = Start-QueryWorker 'Invoke-SqlQuery @arguments' @{
+            serverName = $serverName
+            query = $query
+            action = 'execute'
+            options = @{
+                executionId = $jobId
+                timeout = $options.timeout
+                batches = $options.batches
+                onError = $options.onError
+                policyConfirmed = $options.policyConfirmed
+                database = $options.database
+                connectionProfile = $options.connectionProfile
+                sessionId = $options.sessionId
+                safeDml = $options.safeDml
+                actualPlan = $options.actualPlan
+                sink = $sink
+            }
+        }
+
+        $script:queryJobs[$jobId] = @{
+            id = $jobId
+            serverName = $serverName
+            queryPreview = if ($query.Length -gt 200) { $query.Substring(0, 200) + '...' } else { $query }
+            status = 'running'
+            detached = $false
+            abandoned = $false
+            startedAt = Get-Date
+            finishedAt = $null
+            lastPolled = Get-Date
+            sink = $sink
+            worker = $worker
+            result = $null
+        }
+        Write-Host "Started job $jobId on $serverName"
+        return @{
+            jobId = $jobId
+            status = 'running'
+        }
+    }
+
+    # Function to finish completed jobs, cancel jobs nobody follows any more and
+    # forget finished jobs after a while
+    function Update-QueryJobs {
+        $now = Get-Date
+        foreach ($job in @($script:queryJobs.Values)) {
+            if ($job.status -eq 'running') {
+                if ($job.worker.handle.IsCompleted) {
+                    try {
+                        $result = Receive-WorkerResult $job.worker
+                    }
+                    catch {
+                        $result = @{ error = $_.Exception.Message }
+                    }
+                    finally {
+                        $job.worker.powershell.Dispose()
+                        $job.worker = $null
+                        $script:shared.executions.Remove($job.id)
+                    }
+
+                    # Rows and messages are already in the sink; keep only the outcome
+                    $job.result = @{
+                        message = $result.message
+                        error = $result.error
+                        cancelled = [bool]$result.cancelled
+                        timedOut = [bool]$result.timedOut
+                        database = $result.database
+                        actualPlan = $result.actualPlan
+                        statistics = $result.statistics
+                    }
+                    $job.status = if ($result.cancelled) { 'cancelled' } elseif ($result.error) { 'failed' } else { 'completed' }
+                    $job.finishedAt = $now
+                    Write-Host "Job $($job.id) finished with status $($job.status)"
+                }
+                elseif (-not $job.detached -and -not $job.abandoned -and ($now - $job.lastPolled).TotalSeconds -gt 120) {
+                    # The page that started it is gone without saying so
+                    Write-Host "Job $($job.id) is no longer polled, cancelling it"
+                    $job.abandoned = $true
+                    $null = Stop-QueryExecution $job.id
+                }
+            }
+            elseif (($now - $job.finishedAt).TotalMinutes -gt 30) {
+                $script:queryJobs.Remove($job.id)
+            }
+        }
+    }
+
+    # Function to return what a job produced since the offsets the client already has.
+    # Rows are sent in chunks; hasMore tells the client to poll again right away.
+    function Get-QueryJobStatus($jobId, $messageOffset, $rowOffsets) {
+        $job = $script:queryJobs[$jobId]
+        if (-not $job) {
+            return @{
+                error = "Job '$jobId' was not found. It may have finished more than 30 minutes ago."
+            }
+        }
+        $job.lastPolled = Get-Date
+
+        # Read the status first: once it is final the sink no longer changes
+        $status = $job.status
+        $sink = $job.sink
+
+        # CopyTo copies under the list's lock while the worker keeps appending
+        $messageOffset = [int]$messageOffset
+        $messageCount = [Math]::Max(0, $sink.messages.Count - $messageOffset)
+        $newMessages = New-Object object[] $messageCount
+        if ($messageCount -gt 0) {
+            $sink.messages.CopyTo($messageOffset, $newMessages, 0, $messageCount)
+        }
+
+        $rowBudget = 5000
+        $hasMore = $false
+        $resultSets = @()
+        $setCount = $sink.resultSets.Count
+        for ($i = 0; $i -lt $setCount; $i++) {
+            $set = $sink.resultSets[$i]
+            $offset = if ($rowOffsets -and $i -lt @($rowOffsets).Count) { [int]@($rowOffsets)[$i] } else { 0 }
+            $available = $set.rows.Count - $offset
+            $take = [Math]::Max(0, [Math]::Min($available, $rowBudget))
+            $rowBudget -= $take
+            if ($take -lt $available) {
+                $hasMore = $true
+            }
+
+            $rows = New-Object object[] $take
+            if ($take -gt 0) {
+                $set.rows.CopyTo($offset, $rows, 0, $take)
+            }
+            $resultSets += @{
+                index = $i
+                columns = $set.columns
+                rows = $rows
+                rowCount = $set.rows.Count
+            }
+        }
+
+        return @{
+            jobId = $job.id
+            status = $status
+            detached = $job.detached
+            startedAt = $job.startedAt.ToString('o')
+            elapsedMs = [int](((Get-Date) - $job.startedAt).TotalMilliseconds)
+            messages = $newMessages
+            resultSets = $resultSets
+            hasMore = $hasMore
+            result = if ($status -ne 'running') { $job.result } else { $null }
+        }
+    }
+
+    # Function to mark a job as detached: it keeps running when its page goes away
+    function Set-QueryJobDetached($jobId) {
+        $job = $script:queryJobs[$jobId]
+        if (-not $job) {
+            return @{
+                error = "Job '$jobId' was not found"
+            }
+        }
+        $job.detached = $true
+        Write-Host "Job $jobId detached"
+        return @{
+            jobId = $jobId
+            message = "Job detached"
+        }
+    }
+
+    # Function called when the page that follows a job is closed
+    function Stop-AbandonedQueryJob($jobId) {
+        $job = $script:queryJobs[$jobId]
+        if (-not $job -or $job.detached -or $job.status -ne 'running') {
+            return @{
+                message = "Nothing to cancel"
+            }
+        }
+        Write-Host "Job $jobId was abandoned by its page, cancelling it"
+        $job.abandoned = $true
+        return Stop-QueryExecution $jobId
+    }
+
+    # Function to list known jobs, newest first
+    function Get-QueryJobList {
+        $jobs = @($script:queryJobs.Values | Sort-Object { $_.startedAt } -Descending | ForEach-Object {
+            $rowCount = 0
+            foreach ($set in @($_.sink.resultSets)) {
+                $rowCount += $set.rows.Count
+            }
+            @{
+                jobId = $_.id
+                serverName = $_.serverName
+                queryPreview = $_.queryPreview
+                status = $_.status
+                detached = $_.detached
+                startedAt = $_.startedAt.ToString('o')
+                finishedAt = if ($_.finishedAt) { $_.finishedAt.ToString('o') } else { $null }
+                rowCount = $rowCount
+                messageCount = $_.sink.messages.Count
+            }
+        })
+        return @{
+            jobs = $jobs
+        }
+    }
+
+    # Multi-server runs, by run id. The run id doubles as the execution id, so
+    # /api/cancel stops a whole run.
+    $script:multiServerRuns = @{}
+
+    # Function to start running one query on a list of servers, at most $options.concurrency
+    # at a time. Each server goes through Invoke-SqlQuery, so its environment's execution
+    # policy applies. $options: executionId, concurrency, timeout, batches, onError, policyConfirmed
+    # and profiles, the connection profile id to use for each server name (Windows
+    # Authentication for servers without one).
+    function Start-MultiServerRun($servers, $query, $options) {
+        $serverNames = @($servers | Where-Object { $_ } | ForEach-Object { ([string]$_).Trim() } | Where-Object { $_ } | Select-Object -Unique)
+        if ($serverNames.Count -eq 0) {
+            return @{
+                error = "Pick at least one server"
+            }
+        }
+        $runId = if ($options.executionId) { $options.executionId } else { [guid]::NewGuid().ToString() }
+        if ($script:multiServerRuns.ContainsKey($runId)) {
+            return @{
+                error = "Run '$runId' already exists"
+            }
+        }
+
+        # Leave room in the worker pool for other requests
+        $concurrency = if ($options.concurrency) { [int]$options.concurrency } else { 4 }
+        $concurrency = [Math]::Max(1, [Math]::Min(6, $concurrency))
+
+        # Every profile must be usable before the first server starts
+        $connectionProfiles = @{}
+        foreach ($serverName in $serverNames) {
+            $profileId = if ($options.profiles) { $options.profiles.$serverName }
+            if ($profileId) {
+                $resolved = Resolve-ConnectionProfile $profileId $serverName
+                if ($resolved.error) {
+                    return $resolved
+                }
+                $connectionProfiles[$serverName] = $resolved.profile
+            }
+        }
+
+        $index = 0
+        $targets = foreach ($serverName in $serverNames) {
+            $index++
+            @{
+                serverName = $serverName
+                connectionProfile = $connectionProfiles[$serverName]
+                executionId = "$runId/$index"
+                status = 'queued'
+                worker = $null
+                result = $null
+                startedAt = $null
+                finishedAt = $null
+            }
+        }
+        $script:multiServerRuns[$runId] = @{
+            id = $runId
+            query = $query
+            options = $options
+            concurrency = $concurrency
+            targets = @($targets)
+            status = 'running'
+            cancelled = $false
+            startedAt = Get-Date
+            lastPolled = Get-Date
+            finishedAt = $null
+            resultSets = $null
+        }
+        Write-Host "Started multi-server run $runId on $($serverNames.Count) servers, $concurrency at a time"
+        Update-MultiServerRuns
+        return @{
+            runId = $runId
+            serverCount = $serverNames.Count
+            concurrency = $concurrency
+        }
+    }
+
+    # Function to advance multi-server runs: collect finished servers, start queued ones
+    # while there is room and merge the results once every server is done. Runs that
+    # are no longer polled are cancelled; finished runs are forgotten after 30 minutes.
+    function Update-MultiServerRuns {
+        $now = Get-Date
+        foreach ($run in @($script:multiServerRuns.Values)) {
+            if ($run.status -ne 'running') {
+                if (($now - $run.finishedAt).TotalMinutes -gt 30) {
+                    $script:multiServerRuns.Remove($run.id)
+                }
+                continue
+            }
+            if (-not $run.cancelled -and ($now - $run.lastPolled).TotalSeconds -gt 120) {
+                Write-Host "Multi-server run $($run.id) is no longer polled, cancelling it"
+                $null = Stop-MultiServerRun $run.id
+            }
+
+            foreach ($target in $run.targets) {
+                if ($target.status -ne 'running' -or -not $target.worker.handle.IsCompleted) {
+                    continue
+                }
+                try {
+                    $result = Receive-WorkerResult $target.worker
+                }
+                catch {
+                    $result = @{ error = $_.Exception.Message }
+                }
+                finally {
+                    $target.worker.powershell.Dispose()
+                    $target.worker = $null
+                    $script:shared.executions.Remove($target.executionId)
+                }
+                $target.result = $result
+                $target.finishedAt = $now
+                $target.status = if ($result.policyCheck) { 'blocked' }
+                    elseif ($result.cancelled) { 'cancelled' }
+                    elseif ($result.timedOut) { 'timedOut' }
+                    elseif ($result.error) { 'failed' }
+                    else { 'completed' }
+            }
+
+            $running = @($run.targets | Where-Object { $_.status -eq 'running' }).Count
+            foreach ($target in $run.targets) {
+                if ($target.status -ne 'queued') {
+                    continue
+                }
+                if ($run.cancelled) {
+                    $target.status = 'cancelled'
+                    continue
+                }
+                if ($running -ge $run.concurrency) {
+                    break
+                }
+                $script:shared.executions[$target.executionId] = [hashtable]::Synchronized(@{ cancelled = $false; command = $null })
+                $target.worker = Start-QueryWorker 'Invoke-SqlQuery @arguments' @{
+                    serverName = $target.serverName
+                    query = $run.query
+                    action = 'execute'
+                    options = @{
+                        executionId = $target.executionId
+                        timeout = $run.options.timeout
+                        batches = $run.options.batches
+                        onError = $run.options.onError
+                        policyConfirmed = $run.options.policyConfirmed
+                        connectionProfile = $target.connectionProfile
+                    }
+                }
+                $target.status = 'running'
+                $target.startedAt = $now
+                $running++
+            }
+
+            if (-not @($run.targets | Where-Object { $_.status -eq 'queued' -or $_.status -eq 'running' })) {
+                $run.resultSets = Merge-ServerResultSets $run.targets
+                $run.status = if ($run.cancelled) { 'cancelled' } else { 'completed' }
+                $run.finishedAt = $now
+                Write-Host "Multi-server run $($run.id) finished with status $($run.status)"
+            }
+        }
+    }
+
+    # Function to merge the result sets of the servers of a run. Sets at the same position
+    # with the same columns become one set with a leading ServerName column; a server
+    # whose set has other columns gets a set of its own.
+    function Merge-ServerResultSets($targets) {
+        $merged = New-Object System.Collections.ArrayList
+        $setsBySignature = @{}
+        foreach ($target in $targets) {
+            $sets = @($target.result.resultSets | Where-Object { $_ })
+            for ($i = 0; $i -lt $sets.Count; $i++) {
+                $set = $sets[$i]
+                $signature = "$i|" + (($set.columns | ForEach-Object { "$($_.name):$($_.sqlType)" }) -join ',')
+                $mergedSet = $setsBySignature[$signature]
+                if (-not $mergedSet) {
+                    $columns = @(@{
+                        name = 'ServerName'
+                        ordinal = 0
+                        sqlType = 'nvarchar'
+                        nullable = $false
+                        maxLength = 256
+                    })
+                    foreach ($column in $set.columns) {
+                        $copy = $column.Clone()
+                        $copy.ordinal = $column.ordinal + 1
+                        $columns += $copy
+                    }
+                    $mergedSet = @{
+                        columns = $columns
+                        rows = New-Object System.Collections.ArrayList
+                        rowCount = 0
+                    }
+                    if ($set.batch) { $mergedSet.batch = $set.batch }
+                    if ($set.batchRun) { $mergedSet.batchRun = $set.batchRun }
+                    $setsBySignature[$signature] = $mergedSet
+                    $null = $merged.Add($mergedSet)
+                }
+                foreach ($row in $set.rows) {
+                    $null = $mergedSet.rows.Add([object[]](@($target.serverName) + $row))
+                }
+                $mergedSet.rowCount = $mergedSet.rows.Count
+            }
+        }
+        return $merged
+    }
+
+    # Function to report the servers of a run; the merged result sets are included once
+    # every server has finished
+    function Get-MultiServerRunStatus($runId) {
+        $run = $script:multiServerRuns[$runId]
+        if (-not $run) {
+            return @{
+                error = "Run '$runId' was not found. It may have finished more than 30 minutes ago."
+            }
+        }
+        $now = Get-Date
+        $run.lastPolled = $now
+
+        $servers = foreach ($target in $run.targets) {
+            $result = $target.result
+            $rowCount = 0
+            foreach ($set in @($result.resultSets | Where-Object { $_ })) {
+                $rowCount += $set.rows.Count
+            }
+            @{
+                serverName = $target.serverName
+                status = $target.status
+                error = $result.error
+                message = $result.message
+                environment = if ($result.policyCheck) { $result.policyCheck.environment } else { $null }
+                errors = @($result.messages | Where-Object { $_ -and $_.type -eq 'error' } | Select-Object -First 5 | ForEach-Object { $_.text })
+                rowCount = $rowCount
+                elapsedMs = if ($target.startedAt) { [int]((($target.finishedAt, $now | Where-Object { $_ } | Select-Object -First 1) - $target.startedAt).TotalMilliseconds) } else { $null }
+            }
+        }
+        $status = @{
+            runId = $run.id
+            status = $run.status
+            concurrency = $run.concurrency
+            servers = @($servers)
+        }
+        if ($run.status -ne 'running') {
+            $status.resultSets = @($run.resultSets)
+        }
+        return $status
+    }
+
+    # Function to cancel a run: queued servers are skipped and running ones cancelled
+    function Stop-MultiServerRun($runId) {
+        $run = $script:multiServerRuns[$runId]
+        if (-not $run) {
+            return @{
+                error = "Run '$runId' was not found"
+            }
+        }
+        $run.cancelled = $true
+        foreach ($target in $run.targets) {
+            if ($target.status -eq 'running') {
+                $null = Stop-QueryExecution $target.executionId
+            }
+        }
+        Write-Host "Cancellation requested for multi-server run $runId"
+        return @{
+            message = "Cancellation requested"
+        }
+    }
+
+    # Database refreshes started from the web interface, by refresh id
+    $script:databaseRefreshes = @{}
+
+    # Function to check that a database may be refreshed on a target instance: never on
+    # a blocked environment (PROD unless configured otherwise), nor on a server outside
+    # the inventory, whose environment is unknown
+    function Test-RefreshTarget($targetInstance) {
+        $envInfo = Get-InstanceEnvironment $targetInstance
+        if ($envInfo.error) {
+            return @{
+                allowed = $false
+                environment = $null
+                reason = $envInfo.error
+            }
+        }
+        if ($envInfo.unclassified) {
+            return @{
+                allowed = $false
+                environment = $null
+                reason = "$targetInstance is not in the inventory, so it could be a production server. Add it to the inventory to refresh databases on it."
+            }
+        }
+        if ($script:config.RefreshBlockedEnvironments -contains $envInfo.environment) {
+            return @{
+                allowed = $false
+                environment = $envInfo.environment
+                reason = "$targetInstance is a $($envInfo.environment) server. Databases cannot be refreshed on $($envInfo.environment)."
+            }
+        }
+        return @{
+            allowed = $true
+            environment = $envInfo.environment
+        }
+    }
+
+    # Function to start DatabaseRefresh.ps1 on the worker pool without prompts.
+    # $options: sourceInstance, sourceDatabase, targetInstance, targetDatabase, backupType,
+    # authMode (windows or sql), sourceLogin, targetLogin ({ username, password }),
+    # backupPath, dataFilePath, logFilePath and keepBackup.
+    function Start-DatabaseRefresh($options) {
+        foreach ($field in 'sourceInstance', 'sourceDatabase', 'targetInstance', 'targetDatabase') {
+            if ([string]::IsNullOrWhiteSpace($options.$field)) {
+                return @{
+                    error = "$field is required"
+                }
+            }
+        }
+        # Names and paths end up in T-SQL literals and bracketed names
+        foreach ($field in 'sourceDatabase', 'targetDatabase', 'backupPath', 'dataFilePath', 'logFilePath') {
+            if ($options.$field -match "['\[\]]") {
+                return @{
+                    error = "$field cannot contain quotes or brackets"
+                }
+            }
+        }
+        if ($options.sourceInstance -eq $options.targetInstance -and $options.sourceDatabase -eq $options.targetDatabase) {
+            return @{
+                error = "The target database cannot be the source database"
+            }
+        }
+
+        $targetCheck = Test-RefreshTarget $options.targetInstance
+        if (-not $targetCheck.allowed) {
+            return @{
+                error = $targetCheck.reason
+                targetCheck = $targetCheck
+            }
+        }
+
+        $parameters = @{
+            SourceInstanceName = $options.sourceInstance
+            SourceDatabaseName = $options.sourceDatabase
+            TargetInstanceName = $options.targetInstance
+            TargetDatabaseName = $options.targetDatabase
+            BackupType = if ($options.backupType -eq 'Full') { 'Full' } else { 'CopyOnly' }
+            NonInteractive = $true
+            KeepBackup = [bool]$options.keepBackup
+        }
+        if ($options.authMode -eq 'sql') {
+            foreach ($login in @(@{ name = 'SourceCredential'; value = $options.sourceLogin }, @{ name = 'TargetCredential'; value = $options.targetLogin })) {
+                if (-not $login.value.username) {
+                    return @{
+                        error = "SQL Authentication needs a login for the $(($login.name -replace 'Credential', '').ToLower()) server"
+                    }
+                }
+                $password = ConvertTo-SecureString ([string]$login.value.password) -AsPlainText -Force
+                $parameters[$login.name] = New-Object System.Management.Automation.PSCredential ($login.value.username, $password)
+            }
+        }
+        else {
+            $parameters.UseWindowsAuth = $true
+        }
+        foreach ($path in @(@{ name = 'BackupPath'; value = $options.backupPath }, @{ name = 'DataFilePath'; value = $options.dataFilePath }, @{ name = 'LogFilePath'; value = $options.logFilePath })) {
+            if (-not [string]::IsNullOrWhiteSpace($path.value)) {
+                $parameters[$path.name] = $path.value.Trim()
+            }
+        }
+
+        # The script reports its steps, log and file moves here while it runs
+        $progress = [hashtable]::Synchronized(@{
+            status = 'running'
+            currentStep = $null
+            error = $null
+            backupFile = $null
+            steps = [System.Collections.ArrayList]::Synchronized((New-Object System.Collections.ArrayList))
+            log = [System.Collections.ArrayList]::Synchronized((New-Object System.Collections.ArrayList))
+            fileMoves = [System.Collections.ArrayList]::Synchronized((New-Object System.Collections.ArrayList))
+        })
+        $parameters.Progress = $progress
+
+        $refreshId = [guid]::NewGuid().ToString()
+        $worker = Start-QueryWorker '$parameters = $arguments.parameters; $null = & $arguments.scriptPath @parameters; @{ finished = $true }' @{
+            scriptPath = $script:config.DatabaseRefreshScript
+            parameters = $parameters
+        }
+        $script:databaseRefreshes[$refreshId] = @{
+            id = $refreshId
+            sourceInstance = $options.sourceInstance
+            sourceDatabase = $options.sourceDatabase
+            targetInstance = $options.targetInstance
+            targetDatabase = $options.targetDatabase
+            targetEnvironment = $targetCheck.environment
+            backupType = $parameters.BackupType
+            authMode = if ($options.authMode -eq 'sql') { 'sql' } else { 'windows' }
+            status = 'running'
+            startedAt = Get-Date
+            finishedAt = $null
+            progress = $progress
+            worker = $worker
+        }
+        Write-Host "Started database refresh $refreshId of $($options.sourceInstance)/$($options.sourceDatabase) to $($options.targetInstance)/$($options.targetDatabase)"
+        return @{
+            refreshId = $refreshId
+        }
+    }
+
+    # Function to describe a refresh for the web interface and the history file
+    function ConvertTo-RefreshSummary($refresh) {
+        return @{
+            refreshId = $refresh.id
+            sourceInstance = $refresh.sourceInstance
+            sourceDatabase = $refresh.sourceDatabase
+            targetInstance = $refresh.targetInstance
+            targetDatabase = $refresh.targetDatabase
+            targetEnvironment = $refresh.targetEnvironment
+            backupType = $refresh.backupType
+            authMode = $refresh.authMode
+            status = $refresh.status
+            error = $refresh.progress.error
+            backupFile = $refresh.progress.backupFile
+            startedAt = $refresh.startedAt.ToString('o')
+            finishedAt = if ($refresh.finishedAt) { $refresh.finishedAt.ToString('o') } else { $null }
+            steps = @($refresh.progress.steps | ForEach-Object { @{ name = $_.name; status = $_.status; percent = $_.percent } })
+            fileMoves = @($refresh.progress.fileMoves)
+        }
+    }
+
+    # Function to read the refreshes of earlier runs of the server, newest first
+    function Get-RefreshHistory {
+        if (-not (Test-Path $script:config.RefreshHistoryFile)) {
+            return @()
+        }
+        try {
+            # Piping through ForEach-Object unrolls the array ConvertFrom-Json returns as one object
+            return @(Get-Content $script:config.RefreshHistoryFile -Raw | ConvertFrom-Json | ForEach-Object { $_ })
+        }
+        catch {
+            Write-Warning "Error reading the refresh history: $_"
+            return @()
+        }
+    }
+
+    # Function to finish refreshes whose script has ended and add them to the history file
+    function Update-DatabaseRefreshes {
+        foreach ($refresh in @($script:databaseRefreshes.Values)) {
+            if ($refresh.status -ne 'running' -or -not $refresh.worker.handle.IsCompleted) {
+                continue
+            }
+            try {
+                $result = Receive-WorkerResult $refresh.worker
+            }
+            catch {
+                $result = @{ error = $_.Exception.Message }
+            }
+            finally {
+                $refresh.worker.powershell.Dispose()
+                $refresh.worker = $null
+            }
+
+            # The script reports its outcome through the progress; anything else is a crash
+            if ($refresh.progress.status -eq 'running') {
+                $refresh.progress.status = 'failed'
+                $refresh.progress.error = if ($result.error) { $result.error } else { "The refresh ended without reporting its outcome" }
+            }
+            $refresh.status = $refresh.progress.status
+            $refresh.finishedAt = Get-Date
+            Write-Host "Database refresh $($refresh.id) finished with status $($refresh.status)"
+
+            try {
+                $history = @(ConvertTo-RefreshSummary $refresh) + @(Get-RefreshHistory) | Select-Object -First $script:config.RefreshHistoryLimit
+                $null = New-Item -ItemType Directory -Path (Split-Path $script:config.RefreshHistoryFile) -Force
+                ConvertTo-Json -InputObject @($history) -Depth 6 | Set-Content -Path $script:config.RefreshHistoryFile -Encoding UTF8
+            }
+            catch {
+                Write-Warning "Error saving the refresh history: $_"
+            }
+        }
+    }
+
+    # Function to report the progress of a refresh; log lines are returned from $logOffset on
+    function Get-DatabaseRefreshStatus($refreshId, $logOffset) {
+        $refresh = $script:databaseRefreshes[$refreshId]
+        if (-not $refresh) {
             return @{
-                error = $_.Exception.Message
+                error = "Refresh '$refreshId' was not found"
             }
         }
-        finally {
-            if ($connection -and $connection.State -eq 'Open') {
-                try {
-                    $connection.Close()
-                    $connection.Dispose()
-                }
-                catch {
-                    Write-Host "Warning: Error closing connection: $_"
-                }
+        $offset = [Math]::Max(0, [int]$logOffset)
+        $log = $refresh.progress.log
+        $count = $log.Count
+        $status = ConvertTo-RefreshSummary $refresh
+        $status.currentStep = $refresh.progress.currentStep
+        $status.log = if ($offset -lt $count) { @($log.GetRange($offset, $count - $offset)) } else { @() }
+        $status.logCount = $count
+        return $status
+    }
+
+    # Function to list the refreshes: the ones of this run of the server first, then the history file
+    function Get-DatabaseRefreshList {
+        $current = @($script:databaseRefreshes.Values | Sort-Object { $_.startedAt } -Descending | ForEach-Object { ConvertTo-RefreshSummary $_ })
+        $currentIds = @($current | ForEach-Object { $_.refreshId })
+        $earlier = @(Get-RefreshHistory | Where-Object { $currentIds -notcontains $_.refreshId })
+        return @{
+            refreshes = @($current + $earlier | Select-Object -First $script:config.RefreshHistoryLimit)
+        }
+    }
+
+    # Function to cancel a running execution on SQL Server
+    function Stop-QueryExecution($executionId) {
+        if ($script:multiServerRuns.ContainsKey([string]$executionId)) {
+            return Stop-MultiServerRun $executionId
+        }
+        $execution = $script:shared.executions[$executionId]
+        if (-not $execution) {
+            return @{
+                error = "No running query found for execution '$executionId'"
+            }
+        }
+
+        $execution.cancelled = $true
+        if ($execution.command) {
+            try {
+                $execution.command.Cancel()
+            }
+            catch {
+                Write-Host "Warning: Error cancelling command: $_"
             }
         }
+        Write-Host "Cancellation requested for execution $executionId"
+        return @{
+            message = "Cancellation requested"
+        }
     }
 
     function Send-StaticFile($path, $response) {
@@ -690,7 +2788,48 @@ try {
         }
     }
 
-    function Get-DatabaseObjects($serverName, $objectType, $context) {
+    # Function to open an SMO connection to a server, with the settings and login of a
+    # connection profile when one is given
+    function New-SmoServer($serverName, $connectionProfile) {
+        $server = New-Object Microsoft.SqlServer.Management.Smo.Server($serverName)
+        $server.ConnectionContext.ConnectTimeout = 30
+        $server.ConnectionContext.StatementTimeout = 60
+        $server.ConnectionContext.ApplicationName = "SQL Query Executor"
+        $server.ConnectionContext.TrustServerCertificate = $true
+        if ($connectionProfile) {
+            $server.ConnectionContext.EncryptConnection = [bool]$connectionProfile.encrypt
+            $server.ConnectionContext.TrustServerCertificate = [bool]$connectionProfile.trustServerCertificate
+            if ($connectionProfile.applicationName) {
+                $server.ConnectionContext.ApplicationName = $connectionProfile.applicationName
+            }
+            if ($connectionProfile.defaultDatabase) {
+                $server.ConnectionContext.DatabaseName = $connectionProfile.defaultDatabase
+            }
+            if ($connectionProfile.authType -eq 'sql') {
+                $server.ConnectionContext.LoginSecure = $false
+                $server.ConnectionContext.Login = $connectionProfile.login
+                $server.ConnectionContext.SecurePassword = $connectionProfile.password
+            }
+        }
+        
+        # Test connection
+        $null = $server.ConnectionContext.Connect()
+        return $server
+    }
+
+    # Function to find a table, or else a view, by name; without a schema SMO looks in dbo
+    function Find-SmoTable($database, $name, $schema) {
+        $table = if ($schema) { $database.Tables[$name, $schema] } else { $database.Tables[$name] }
+        if (-not $table) {
+            $table = if ($schema) { $database.Views[$name, $schema] } else { $database.Views[$name] }
+        }
+        return $table
+    }
+
+    # $context: database, schema and table narrow the objects. Object Explorer also
+    # sends limit, offset and search to page through complete lists; without a limit
+    # tables and views are capped at the 100 most recently created for autocomplete.
+    function Get-DatabaseObjects($serverName, $objectType, $context, $connectionProfile) {
         try {
             Write-Host "Attempting to connect to server: $serverName for $objectType"
             if ($context) {
@@ -698,14 +2837,7 @@ try {
             }
             
             # Create SQL Server connection with proper settings
-            $server = New-Object Microsoft.SqlServer.Management.Smo.Server($serverName)
-            $server.ConnectionContext.ConnectTimeout = 30
-            $server.ConnectionContext.StatementTimeout = 60
-            $server.ConnectionContext.ApplicationName = "SQL Query Executor"
-            $server.ConnectionContext.TrustServerCertificate = $true
-            
-            # Test connection
-            $null = $server.ConnectionContext.Connect()
+            $server = New-SmoServer $serverName $connectionProfile
             
             # Get database name from context or use current
             $dbName = if ($context.database) { $context.database } else { $server.ConnectionContext.CurrentDatabase }
@@ -713,33 +2845,47 @@ try {
             
             # Initialize results array
             $objects = @()
+            $paged = [bool]$context.limit
+            $database = $server.Databases[$dbName]
             
             switch ($objectType) {
                 "databases" {
-                    # Get user databases
+                    # Get user databases, and system databases when asked for
                     $objects = $server.Databases |
-                        Where-Object { -not $_.IsSystemObject } |
+                        Where-Object { $context.includeSystem -or -not $_.IsSystemObject } |
                         Select-Object @{N='name';E={$_.Name}},
                                     @{N='type';E={'database'}},
                                     @{N='isCurrentDb';E={$_.Name -eq $dbName}}
                 }
+                "schemas" {
+                    # Get schemas from specified database, without the fixed database role schemas
+                    $objects = $database.Schemas |
+                        Where-Object { $_.Name -notlike 'db_*' } |
+                        Select-Object @{N='name';E={$_.Name}},
+                                    @{N='type';E={'schema'}},
+                                    @{N='database';E={$dbName}}
+                }
                 "tables" {
-                    # Get user tables from specified database
-                    $objects = $server.Databases[$dbName].Tables | 
-                        Where-Object { -not $_.IsSystemObject } |
-                        Sort-Object CreateDate -Descending |
-                        Select-Object -First 100 |
+                    # Get user tables from specified database, optionally from one schema
+                    $tables = $database.Tables | 
+                        Where-Object { -not $_.IsSystemObject -and (-not $context.schema -or $_.Schema -eq $context.schema) }
+                    if (-not $paged) {
+                        $tables = $tables | Sort-Object CreateDate -Descending | Select-Object -First 100
+                    }
+                    $objects = $tables |
                         Select-Object @{N='name';E={$_.Name}}, 
                                     @{N='type';E={'table'}}, 
                                     @{N='schema';E={$_.Schema}},
                                     @{N='database';E={$dbName}}
                 }
                 "views" {
-                    # Get views from specified database
-                    $objects = $server.Databases[$dbName].Views |
-                        Where-Object { -not $_.IsSystemObject } |
-                        Sort-Object CreateDate -Descending |
-                        Select-Object -First 100 |
+                    # Get views from specified database, optionally from one schema
+                    $views = $database.Views |
+                        Where-Object { -not $_.IsSystemObject -and (-not $context.schema -or $_.Schema -eq $context.schema) }
+                    if (-not $paged) {
+                        $views = $views | Sort-Object CreateDate -Descending | Select-Object -First 100
+                    }
+                    $objects = $views |
                         Select-Object @{N='name';E={$_.Name}}, 
                                     @{N='type';E={'view'}}, 
                                     @{N='schema';E={$_.Schema}},
@@ -747,21 +2893,24 @@ try {
                 }
                 "columns" {
                     if ($context.table) {
-                        # Get columns for specific table
-                        Write-Host "Fetching columns for table: $($context.table)"
-                        $table = $server.Databases[$dbName].Tables[$context.table]
+                        # Get columns for specific table or view
+                        Write-Host "Fetching columns for table: $($context.schema).$($context.table)"
+                        $table = Find-SmoTable $database $context.table $context.schema
                         if ($table) {
                             $objects = $table.Columns |
                                 Select-Object @{N='name';E={$_.Name}}, 
                                             @{N='type';E={'column'}}, 
                                             @{N='dataType';E={$_.DataType.Name}},
+                                            @{N='nullable';E={$_.Nullable}},
+                                            @{N='inPrimaryKey';E={$_.InPrimaryKey}},
+                                            @{N='identity';E={$_.Identity}},
                                             @{N='table';E={$table.Name}},
                                             @{N='schema';E={$table.Schema}},
                                             @{N='database';E={$dbName}}
                         }
                     } else {
                         # Get columns from most commonly used tables
-                        $objects = $server.Databases[$dbName].Tables |
+                        $objects = $database.Tables |
                             Where-Object { -not $_.IsSystemObject } |
                             Sort-Object CreateDate -Descending |
                             Select-Object -First 20 |
@@ -777,10 +2926,96 @@ try {
                             }
                     }
                 }
+                "procedures" {
+                    # Get stored procedures, optionally from one schema
+                    $objects = $database.StoredProcedures |
+                        Where-Object { -not $_.IsSystemObject -and (-not $context.schema -or $_.Schema -eq $context.schema) } |
+                        Select-Object @{N='name';E={$_.Name}},
+                                    @{N='type';E={'procedure'}},
+                                    @{N='schema';E={$_.Schema}},
+                                    @{N='database';E={$dbName}}
+                }
+                "functions" {
+                    # Get user-defined functions, optionally from one schema
+                    $objects = $database.UserDefinedFunctions |
+                        Where-Object { -not $_.IsSystemObject -and (-not $context.schema -or $_.Schema -eq $context.schema) } |
+                        Select-Object @{N='name';E={$_.Name}},
+                                    @{N='type';E={'function'}},
+                                    @{N='functionType';E={[string]$_.FunctionType}},
+                                    @{N='schema';E={$_.Schema}},
+                                    @{N='database';E={$dbName}}
+                }
+                "indexes" {
+                    # Get indexes of a table or indexed view
+                    $table = Find-SmoTable $database $context.table $context.schema
+                    if ($table) {
+                        $objects = $table.Indexes |
+                            Select-Object @{N='name';E={$_.Name}},
+                                        @{N='type';E={'index'}},
+                                        @{N='indexType';E={[string]$_.IndexType}},
+                                        @{N='isUnique';E={$_.IsUnique}},
+                                        @{N='columns';E={($_.IndexedColumns | ForEach-Object { $_.Name }) -join ', '}}
+                    }
+                }
+                "keys" {
+                    # Get primary, unique and foreign keys of a table
+                    $table = Find-SmoTable $database $context.table $context.schema
+                    if ($table) {
+                        $keyIndexes = $table.Indexes |
+                            Where-Object { [string]$_.IndexKeyType -ne 'None' } |
+                            Select-Object @{N='name';E={$_.Name}},
+                                        @{N='type';E={'key'}},
+                                        @{N='keyType';E={ if ([string]$_.IndexKeyType -eq 'DriPrimaryKey') { 'PRIMARY KEY' } else { 'UNIQUE' } }},
+                                        @{N='columns';E={($_.IndexedColumns | ForEach-Object { $_.Name }) -join ', '}}
+                        # Views have no foreign keys
+                        $foreignKeys = @()
+                        if ($table -is [Microsoft.SqlServer.Management.Smo.Table]) {
+                            $foreignKeys = $table.ForeignKeys |
+                                Select-Object @{N='name';E={$_.Name}},
+                                            @{N='type';E={'key'}},
+                                            @{N='keyType';E={'FOREIGN KEY'}},
+                                            @{N='columns';E={($_.Columns | ForEach-Object { $_.Name }) -join ', '}},
+                                            @{N='referencedTable';E={"$($_.ReferencedTableSchema).$($_.ReferencedTable)"}}
+                        }
+                        $objects = @($keyIndexes) + @($foreignKeys)
+                    }
+                }
+                "triggers" {
+                    # Get DML triggers of a table or view
+                    $table = Find-SmoTable $database $context.table $context.schema
+                    if ($table) {
+                        $objects = $table.Triggers |
+                            Select-Object @{N='name';E={$_.Name}},
+                                        @{N='type';E={'trigger'}},
+                                        @{N='isEnabled';E={$_.IsEnabled}}
+                    }
+                }
                 default {
                     throw "Invalid object type specified: $objectType"
                 }
             }
+
+            if ($paged) {
+                # Filter by name, then return one page; lists of schema objects are sorted by name
+                $objects = @($objects)
+                if ($context.search) {
+                    $pattern = "*$([System.Management.Automation.WildcardPattern]::Escape([string]$context.search))*"
+                    $objects = @($objects | Where-Object { $_.name -like $pattern })
+                }
+                if ($objectType -in @('databases', 'schemas', 'tables', 'views', 'procedures', 'functions')) {
+                    $objects = @($objects | Sort-Object @{E={$_.schema}}, @{E={$_.name}})
+                }
+                $total = $objects.Count
+                $offset = [int]$context.offset
+                $objects = @($objects | Select-Object -Skip $offset -First ([int]$context.limit))
+
+                Write-Host "Retrieved $($objects.Count) of $total $objectType"
+                return @{
+                    objects = $objects
+                    total = $total
+                    hasMore = ($offset + $objects.Count) -lt $total
+                }
+            }
             
             Write-Host "Retrieved $($objects.Count) $objectType"
             return @{
@@ -801,10 +3036,208 @@ try {
         }
     }
 
-    # Main request handling loop
+    # Function to quote one part of an object name: Order Details -> [Order Details]
+    function ConvertTo-QuotedName($name) {
+        return "[" + ([string]$name).Replace(']', ']]') + "]"
+    }
+
+    # Function to describe an SMO data type the way it is declared: nvarchar(50), decimal(18,2)
+    function Format-SmoDataType($dataType) {
+        $name = $dataType.Name
+        if ($name -match '^(n?(var)?char|(var)?binary)$') {
+            $length = if ($dataType.MaximumLength -eq -1) { 'max' } else { $dataType.MaximumLength }
+            return "$name($length)"
+        }
+        if ($name -match '^(decimal|numeric)$') {
+            return "$name($($dataType.NumericPrecision),$($dataType.NumericScale))"
+        }
+        return $name
+    }
+
+    # Function to find a table, view, procedure or function to script. Without an
+    # object type each kind is tried in that order.
+    function Find-SmoScriptable($database, $name, $schema, $objectType) {
+        $collections = [ordered]@{
+            table = 'Tables'
+            view = 'Views'
+            procedure = 'StoredProcedures'
+            function = 'UserDefinedFunctions'
+        }
+        $kinds = if ($objectType) { @($objectType) } else { @($collections.Keys) }
+        foreach ($kind in $kinds) {
+            if (-not $collections.Contains($kind)) {
+                continue
+            }
+            $collection = $database.($collections[$kind])
+            $object = if ($schema) { $collection[$name, $schema] } else { $collection[$name] }
+            if ($object) {
+                return @{
+                    kind = $kind
+                    object = $object
+                }
+            }
+        }
+        return $null
+    }
+
+    # Function to script an object with SMO
+    # $scriptType: create, alter, dropcreate, select, insert, update or exec
+    # $context: database, schema, name and optionally objectType (table, view, procedure, function)
+    function Get-ObjectScript($serverName, $scriptType, $context, $connectionProfile) {
+        try {
+            $server = New-SmoServer $serverName $connectionProfile
+            $dbName = if ($context.database) { $context.database } else { $server.ConnectionContext.CurrentDatabase }
+            $database = $server.Databases[$dbName]
+            if (-not $database) {
+                return @{
+                    error = "Database '$dbName' was not found"
+                }
+            }
+
+            $found = Find-SmoScriptable $database $context.name $context.schema $context.objectType
+            if (-not $found) {
+                return @{
+                    error = "No table, view, procedure or function named '$($context.name)' was found in database '$dbName'"
+                }
+            }
+            $object = $found.object
+            $kind = $found.kind
+            $qualifiedName = "$(ConvertTo-QuotedName $dbName).$(ConvertTo-QuotedName $object.Schema).$(ConvertTo-QuotedName $object.Name)"
+            Write-Host "Scripting $kind $qualifiedName as $scriptType"
+
+            # Column lists for the query templates; identity, computed and rowversion columns are not written
+            $isTabular = $kind -eq 'table' -or $kind -eq 'view'
+            $columns = if ($isTabular) { @($object.Columns) } else { @() }
+            $writableColumns = @($columns | Where-Object { -not $_.Identity -and -not $_.Computed -and $_.DataType.Name -ne 'timestamp' })
+            $placeholder = { param($name, $dataType) "<$name, $(Format-SmoDataType $dataType),>" }
+
+            $notApplicable = "Script as $scriptType is not available for a $kind"
+            $script = $null
+            switch ($scriptType) {
+                { $_ -in @('create', 'alter', 'dropcreate') } {
+                    $options = New-Object Microsoft.SqlServer.Management.Smo.ScriptingOptions
+                    $options.SchemaQualify = $true
+                    if ($kind -eq 'table') {
+                        $options.DriAll = $true
+                        $options.Indexes = $true
+                        $options.Triggers = $true
+                    }
+                    $createScript = @($object.Script($options)) -join "`nGO`n"
+                }
+                "create" {
+                    $script = "$createScript`nGO"
+                }
+                "alter" {
+                    if ($kind -eq 'table') {
+                        return @{ error = "$notApplicable; use CREATE or DROP and CREATE" }
+                    }
+                    $alterPattern = [regex]::new('\bCREATE(\s+OR\s+ALTER)?\s+(PROCEDURE|PROC|VIEW|FUNCTION)\b', 'IgnoreCase')
+                    $script = $alterPattern.Replace($createScript, 'ALTER $2', 1) + "`nGO"
+                }
+                "dropcreate" {
+                    $dropOptions = New-Object Microsoft.SqlServer.Management.Smo.ScriptingOptions
+                    $dropOptions.SchemaQualify = $true
+                    $dropOptions.ScriptDrops = $true
+                    $dropOptions.IncludeIfNotExists = $true
+                    $dropScript = @($object.Script($dropOptions)) -join "`nGO`n"
+                    $script = "$dropScript`nGO`n`n$createScript`nGO"
+                }
+                "select" {
+                    if (-not $isTabular) { return @{ error = $notApplicable } }
+                    $columnList = ($columns | ForEach-Object { ConvertTo-QuotedName $_.Name }) -join "`n      ,"
+                    $script = "SELECT TOP (1000) $columnList`n  FROM $qualifiedName"
+                }
+                "insert" {
+                    if (-not $isTabular) { return @{ error = $notApplicable } }
+                    $columnList = ($writableColumns | ForEach-Object { ConvertTo-QuotedName $_.Name }) -join "`n           ,"
+                    $valueList = ($writableColumns | ForEach-Object { & $placeholder $_.Name $_.DataType }) -join "`n           ,"
+                    $script = "INSERT INTO $qualifiedName`n           ($columnList)`n     VALUES`n           ($valueList)"
+                }
+                "update" {
+                    if (-not $isTabular) { return @{ error = $notApplicable } }
+                    $setList = ($writableColumns | ForEach-Object { "$(ConvertTo-QuotedName $_.Name) = $(& $placeholder $_.Name $_.DataType)" }) -join "`n      ,"
+                    $script = "UPDATE $qualifiedName`n   SET $setList`n WHERE <Search Conditions,,>"
+                }
+                "exec" {
+                    if ($kind -eq 'procedure') {
+                        $parameterList = ($object.Parameters | ForEach-Object {
+                            "$($_.Name) = $(& $placeholder $_.Name $_.DataType)$(if ($_.IsOutputParameter) { ' OUTPUT' })"
+                        }) -join "`n   ,"
+                        $script = if ($parameterList) { "EXECUTE $qualifiedName`n    $parameterList" } else { "EXECUTE $qualifiedName" }
+                    }
+                    elseif ($kind -eq 'function') {
+                        $argumentList = ($object.Parameters | ForEach-Object { & $placeholder $_.Name $_.DataType }) -join ", "
+                        # Scalar functions return a value; the others return a table
+                        $script = if ([string]$object.FunctionType -eq 'Scalar') {
+                            "SELECT $qualifiedName($argumentList)"
+                        } else {
+                            "SELECT *`n  FROM $qualifiedName($argumentList)"
+                        }
+                    }
+                    else {
+                        return @{ error = $notApplicable }
+                    }
+                }
+            }
+            if ($null -eq $script) {
+                return @{
+                    error = "Unknown script type: $scriptType"
+                }
+            }
+
+            $labels = @{
+                create = 'CREATE'
+                alter = 'ALTER'
+                dropcreate = 'DROP and CREATE'
+                select = 'SELECT'
+                insert = 'INSERT'
+                update = 'UPDATE'
+                exec = 'EXECUTE'
+            }
+            return @{
+                script = ("USE $(ConvertTo-QuotedName $dbName)`nGO`n`n$script`n") -replace "`r`n", "`n"
+                title = "$($object.Schema).$($object.Name) - $($labels[$scriptType])"
+                objectType = $kind
+            }
+        }
+        catch {
+            Write-Warning "Error in Get-ObjectScript: $_"
+            return @{
+                error = "Failed to script object: $($_.Exception.Message)"
+            }
+        }
+        finally {
+            if ($server -and $server.ConnectionContext.IsOpen) {
+                $server.ConnectionContext.Disconnect()
+            }
+        }
+    }
+
+    # Main request handling loop. Requests are accepted asynchronously so that
+    # finished query workers can be answered while waiting for the next request.
+    # Workers, jobs, runs, refreshes and sessions are looked after on every pass,
+    # so clients polling faster than the wait cannot hold them up.
+    $contextTask = $http.GetContextAsync()
     while ($http.IsListening) {
+        $response = $null
         try {
-            $context = $http.GetContext()
+            $requestArrived = $contextTask.Wait(100)
+            try {
+                Complete-PendingRequests
+                Update-QueryJobs
+                Update-MultiServerRuns
+                Update-DatabaseRefreshes
+                Update-QuerySessions
+            }
+            catch {
+                # A failing update must not keep the request that arrived from being handled
+                Write-Warning "Error updating background work: $_"
+            }
+            if (-not $requestArrived) {
+                continue
+            }
+            $context = $contextTask.Result
+            $contextTask = $http.GetContextAsync()
             $request = $context.Request
             $response = $context.Response
             
@@ -812,6 +3245,7 @@ try {
             
             # Read request body for POST requests
             $body = $null
+            $data = $null
             if ($request.HasEntityBody) {
                 $reader = New-Object System.IO.StreamReader($request.InputStream, $request.ContentEncoding)
                 $body = $reader.ReadToEnd()
@@ -825,6 +3259,12 @@ try {
                         $path = "/index.html"
                     }
                     
+                    # Only the pages of the web interface are served, not scripts or data files
+                    # such as a refresh-history.json left by an older version
+                    if ([System.IO.Path]::GetExtension($path) -notin @('.html', '.css', '.js')) {
+                        Send-Response $response 404 @{ error = "File not found" }
+                        break
+                    }
                     $filePath = Join-Path $PSScriptRoot $path.TrimStart("/")
                     Write-Host "Serving static file: $filePath"
                     Send-StaticFile $filePath $response
@@ -832,21 +3272,201 @@ try {
                 }
                 
                 "POST" {
+                    # Requests that connect to a server carry the id of the connection profile
+                    # to use; without one they connect with Windows Authentication
+                    $connectionProfile = $null
+                    if ($data.profileId) {
+                        $resolved = Resolve-ConnectionProfile $data.profileId $data.serverName
+                        if ($resolved.error) {
+                            Send-Response $response 200 $resolved
+                            break
+                        }
+                        $connectionProfile = $resolved.profile
+                    }
+
                     switch ($request.Url.LocalPath) {
                         "/api/database-objects" {
                             Write-Host "Received request to /api/database-objects"
-                            $result = Get-DatabaseObjects -serverName $data.serverName -objectType $data.objectType -context $data.context
+                            $result = Get-DatabaseObjects -serverName $data.serverName -objectType $data.objectType -context $data.context -connectionProfile $connectionProfile
                             Send-Response -response $response -statusCode 200 -data $result
                         }
                         "/api/execute" {
                             Write-Host "Received request to /api/execute"
-                            $result = Invoke-SqlQuery $data.serverName $data.query $data.action
-                            Write-Host "Result to be sent: $($result | ConvertTo-Json -Depth 10)"
+                            if ($data.mode -eq 'job') {
+                                if ($data.action -ne 'execute') {
+                                    Send-Response $response 400 @{ error = "Only queries can run as background jobs" }
+                                    break
+                                }
+                                $result = Start-QueryJob $data.serverName $data.query $data.executionId @{
+                                    timeout = $data.timeout
+                                    batches = $data.batches
+                                    onError = $data.onError
+                                    policyConfirmed = $data.policyConfirmed
+                                    database = $data.database
+                                    connectionProfile = $connectionProfile
+                                    sessionId = $data.sessionId
+                                    safeDml = $data.safeDml
+                                    actualPlan = $data.actualPlan
+                                }
+                                Send-Response $response 200 $result
+                                break
+                            }
+                            if ($data.executionId) {
+                                $script:shared.executions[$data.executionId] = [hashtable]::Synchronized(@{ cancelled = $false; command = $null })
+                            }
+                            $worker = Start-QueryWorker 'Invoke-SqlQuery @arguments' @{
+                                serverName = $data.serverName
+                                query = $data.query
+                                action = $data.action
+                                options = @{
+                                    executionId = $data.executionId
+                                    timeout = $data.timeout
+                                    batches = $data.batches
+                                    onError = $data.onError
+                                    policyConfirmed = $data.policyConfirmed
+                                    database = $data.database
+                                    connectionProfile = $connectionProfile
+                                    sessionId = $data.sessionId
+                                    safeDml = $data.safeDml
+                                    actualPlan = $data.actualPlan
+                                }
+                            }
+                            # The response is sent by Complete-PendingRequests
+                            $null = $script:pendingRequests.Add(@{
+                                response = $response
+                                worker = $worker
+                                executionId = $data.executionId
+                            })
+                        }
+                        "/api/multi-policy" {
+                            Write-Host "Received request to /api/multi-policy"
+                            # One inventory lookup per server: run them off the request loop
+                            $worker = Start-QueryWorker '@{ checks = @($arguments.servers | ForEach-Object { $check = Test-ExecutionPolicy $_ $arguments.action @($arguments.batches) $false; $check.serverName = $_; $check }) }' @{
+                                servers = @($data.servers)
+                                action = 'execute'
+                                batches = $data.batches
+                            }
+                            $null = $script:pendingRequests.Add(@{
+                                response = $response
+                                worker = $worker
+                                executionId = $null
+                            })
+                        }
+                        "/api/multi-execute" {
+                            Write-Host "Received request to /api/multi-execute"
+                            $result = Start-MultiServerRun $data.servers $data.query @{
+                                executionId = $data.executionId
+                                concurrency = $data.concurrency
+                                timeout = $data.timeout
+                                batches = $data.batches
+                                onError = $data.onError
+                                policyConfirmed = $data.policyConfirmed
+                                profiles = $data.profiles
+                            }
+                            Send-Response $response 200 $result
+                        }
+                        "/api/multi-status" {
+                            $result = Get-MultiServerRunStatus $data.runId
+                            Send-Response $response 200 $result
+                        }
+                        "/api/refresh-check" {
+                            Write-Host "Received request to /api/refresh-check"
+                            $result = Test-RefreshTarget $data.targetInstance
+                            Send-Response $response 200 $result
+                        }
+                        "/api/refresh-start" {
+                            Write-Host "Received request to /api/refresh-start"
+                            $result = Start-DatabaseRefresh $data
+                            Send-Response $response 200 $result
+                        }
+                        "/api/refresh-status" {
+                            $result = Get-DatabaseRefreshStatus $data.refreshId $data.logOffset
+                            Send-Response $response 200 $result
+                        }
+                        "/api/refreshes" {
+                            Write-Host "Received request to /api/refreshes"
+                            $result = Get-DatabaseRefreshList
+                            Send-Response $response 200 $result
+                        }
+                        "/api/profiles" {
+                            Write-Host "Received request to /api/profiles"
+                            $result = Sync-ConnectionProfiles $data.profiles
+                            Send-Response $response 200 $result
+                        }
+                        "/api/profile-save" {
+                            Write-Host "Received request to /api/profile-save"
+                            $result = Set-ConnectionProfile $data
+                            Send-Response $response 200 $result
+                        }
+                        "/api/profile-remove" {
+                            Write-Host "Received request to /api/profile-remove"
+                            $result = Remove-ConnectionProfile $data.id
+                            Send-Response $response 200 $result
+                        }
+                        "/api/session-status" {
+                            $result = Get-QuerySessionStatus $data.sessionId
+                            Send-Response $response 200 $result
+                        }
+                        "/api/session-reset" {
+                            Write-Host "Received request to /api/session-reset"
+                            $result = Remove-QuerySession $data.sessionId
+                            Send-Response $response 200 $result
+                        }
+                        "/api/transaction-end" {
+                            Write-Host "Received request to /api/transaction-end"
+                            $action = if ($data.action -eq 'commit') { 'commit' } else { 'rollback' }
+                            $result = Complete-SessionTransaction $data.sessionId $action
+                            Send-Response $response 200 $result
+                        }
+                        "/api/cancel" {
+                            Write-Host "Received request to /api/cancel"
+                            $result = Stop-QueryExecution $data.executionId
+                            Send-Response $response 200 $result
+                        }
+                        "/api/job-status" {
+                            $result = Get-QueryJobStatus $data.jobId $data.messageOffset $data.rowOffsets
+                            Send-Response $response 200 $result
+                        }
+                        "/api/job-detach" {
+                            Write-Host "Received request to /api/job-detach"
+                            $result = Set-QueryJobDetached $data.jobId
+                            Send-Response $response 200 $result
+                        }
+                        "/api/job-abandon" {
+                            Write-Host "Received request to /api/job-abandon"
+                            $result = Stop-AbandonedQueryJob $data.jobId
+                            Send-Response $response 200 $result
+                        }
+                        "/api/jobs" {
+                            $result = Get-QueryJobList
+                            Send-Response $response 200 $result
+                        }
+                        "/api/script-object" {
+                            Write-Host "Received request to /api/script-object"
+                            $result = Get-ObjectScript $data.serverName $data.scriptType $data.context $connectionProfile
+                            Send-Response $response 200 $result
+                        }
+                        "/api/instances" {
+                            Write-Host "Received request to /api/instances"
+                            $result = Get-InventoryInstances
+                            Send-Response $response 200 $result
+                        }
+                        "/api/dashboard" {
+                            Write-Host "Received request to /api/dashboard"
+                            $result = Get-InventoryDashboard
                             Send-Response $response 200 $result
                         }
                         "/api/validate-environment" {
                             Write-Host "Received request to /api/validate-environment"
-                            $result = Get-InstanceEnvironment $data.serverName
+                            # With an action the policy check is returned; without one, the
+                            # environment and its policy
+                            if ($data.action) {
+                                $result = Test-ExecutionPolicy $data.serverName $data.action @($data.batches) $false
+                            }
+                            else {
+                                $result = Get-InstanceEnvironment $data.serverName
+                                $result.policy = Get-EnvironmentPolicy $result
+                            }
                             Send-Response $response 200 $result
                         }
                         default {
@@ -863,7 +3483,12 @@ try {
         }
         catch {
             Write-Warning "Error processing request: $_"
-            Send-Response $response 500 @{ error = $_.Exception.Message }
+            if ($response) {
+                Send-Response $response 500 @{ error = $_.Exception.Message }
+            }
+            if ($contextTask.IsFaulted -and $http.IsListening) {
+                $contextTask = $http.GetContextAsync()
+            }
         }
     }
 }
@@ -871,6 +3496,17 @@ catch {
     Write-Error "Server error: $_"
 }
 finally {
+    if ($script:shared) {
+        foreach ($session in @($script:shared.sessions.Values)) {
+            if ($session.connection) {
+                $session.connection.Dispose()
+            }
+        }
+    }
+    if ($script:workerPool) {
+        $script:workerPool.Close()
+        $script:workerPool.Dispose()
+    }
     if ($http) {
         try {
             $http.Stop()
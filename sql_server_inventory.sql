@@ -15,19 +15,44 @@ BEGIN
         EnvironmentID INT IDENTITY(1,1) PRIMARY KEY,
         EnvironmentName NVARCHAR(50) NOT NULL,
         Description NVARCHAR(500),
+        -- What the query tool may run: Unrestricted, ConfirmChanges, ReadOnly or PlanOnly
+        ExecutionPolicy NVARCHAR(20) NOT NULL CONSTRAINT DF_Environments_ExecutionPolicy DEFAULT 'ReadOnly',
         CreatedDate DATETIME DEFAULT GETDATE(),
         ModifiedDate DATETIME DEFAULT GETDATE(),
-        CONSTRAINT UQ_Environment UNIQUE (EnvironmentName)
+        CONSTRAINT UQ_Environment UNIQUE (EnvironmentName),
+        CONSTRAINT CK_Environments_ExecutionPolicy CHECK (ExecutionPolicy IN ('Unrestricted', 'ConfirmChanges', 'ReadOnly', 'PlanOnly'))
     );
 
     -- Insert default environments
-    INSERT INTO Environments (EnvironmentName, Description)
+    INSERT INTO Environments (EnvironmentName, Description, ExecutionPolicy)
     VALUES 
-        ('PROD', 'Production Environment'),
-        ('DEV', 'Development Environment'),
-        ('QA', 'Quality Assurance Environment'),
-        ('UAT', 'User Acceptance Testing Environment'),
-        ('STG', 'Staging Environment');
+        ('PROD', 'Production Environment', 'PlanOnly'),
+        ('DEV', 'Development Environment', 'Unrestricted'),
+        ('QA', 'Quality Assurance Environment', 'Unrestricted'),
+        ('UAT', 'User Acceptance Testing Environment', 'ConfirmChanges'),
+        ('STG', 'Staging Environment', 'ReadOnly');
+END
+GO
+
+-- Add the execution policy to inventories created before it existed
+IF COL_LENGTH('Environments', 'ExecutionPolicy') IS NULL
+BEGIN
+    ALTER TABLE Environments ADD ExecutionPolicy NVARCHAR(20) NOT NULL
+        CONSTRAINT DF_Environments_ExecutionPolicy DEFAULT 'ReadOnly'
+        CONSTRAINT CK_Environments_ExecutionPolicy CHECK (ExecutionPolicy IN ('Unrestricted', 'ConfirmChanges', 'ReadOnly', 'PlanOnly'));
+
+    -- Seed the default policies together with the column, so later runs keep the policies
+    -- set since. The new column is only visible to statements compiled after the ALTER.
+    EXEC('
+    UPDATE Environments
+    SET ExecutionPolicy = CASE EnvironmentName
+            WHEN ''PROD'' THEN ''PlanOnly''
+            WHEN ''DEV'' THEN ''Unrestricted''
+            WHEN ''QA'' THEN ''Unrestricted''
+            WHEN ''UAT'' THEN ''ConfirmChanges''
+            ELSE ''ReadOnly''
+        END,
+        ModifiedDate = GETDATE();');
 END
 GO
 
@@ -238,6 +263,7 @@ SELECT
     i.ServerName,
     i.InstanceName,
     e.EnvironmentName,
+    e.ExecutionPolicy,
     i.Version,
     i.Edition,
     COUNT(d.DatabaseID) AS DatabaseCount,
@@ -252,6 +278,7 @@ GROUP BY
     i.ServerName,
     i.InstanceName,
     e.EnvironmentName,
+    e.ExecutionPolicy,
     i.Version,
     i.Edition,
     i.LastScanDate;
@@ -325,6 +352,9 @@ EXEC sp_CollectInstanceInfo
     @InstanceName = 'MSSQLSERVER',
     @EnvironmentName = 'PROD';
 
+-- Let UAT run changes without a confirmation
+UPDATE Environments SET ExecutionPolicy = 'Unrestricted', ModifiedDate = GETDATE() WHERE EnvironmentName = 'UAT';
+
 -- List instances by environment
 SELECT 
     e.EnvironmentName,